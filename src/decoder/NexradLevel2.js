@@ -1,6 +1,8 @@
 /**
  * NEXRAD Level 2 File Reader (Vanilla JS)
  * * A lightweight parser for NEXRAD Level 2 radar data files.
+ * * Radials are read from Message 31 (Build 10 and later) or legacy
+ *   Message 1 (ARCHIVE2 / AR2V0001 files) into the same sweep structure.
  * * Moment Names:
  * REF - Reflectivity (dBZ)
  * VEL - Velocity (m/s)
@@ -13,6 +15,14 @@
 
 import seekBzip from 'seek-bzip';
 import { Buffer } from 'buffer';
+import {
+    decodeAdaptationData,
+    decodeClutterBypassMap,
+    decodeClutterFilterMap,
+    decodeRdaStatusMessage,
+    decodeVcpMessage
+} from './metadataMessages.js';
+import { unwrapVolume } from './container.js';
 globalThis.Buffer = Buffer;
 
 const MOMENT_MAP = {
@@ -30,37 +40,309 @@ const MOMENT_MAP = {
 const CTM_HEADER_SIZE = 12;
 const MSG_HEADER_SIZE = 16;
 const VOLUME_HEADER_SIZE = 24;
+const LEGACY_FRAME_SIZE = 2432; // CTM header + fixed-size message
+const MSG1_HEADER_SIZE = 100;
+const LEGACY_ANGLE_SCALE = 180 / 32768; // Message 1 coded angles
+const CODE_BELOW_THRESHOLD = 0;
+const CODE_RANGE_FOLDED = 1;
+export const SAME_ELEVATION_TOLERANCE = 0.25;  // deg, measured elevations of one target angle
+
+// Sweep cut type by VCP waveform
+const CUT_TYPES = {
+    'CS': 'surveillance',
+    'CD/W': 'doppler',
+    'CD/WO': 'doppler',
+    'B': 'batch',
+    'SPP': 'staggered'
+};
+
+// Metadata messages and the property each one is decoded into
+const METADATA_DECODERS = {
+    2: { key: 'rdaStatus', decode: decodeRdaStatusMessage },
+    5: { key: 'vcpDefinition', decode: decodeVcpMessage },
+    13: { key: 'clutterBypassMap', decode: decodeClutterBypassMap },
+    15: { key: 'clutterFilterMap', decode: decodeClutterFilterMap },
+    18: { key: 'adaptationData', decode: decodeAdaptationData },
+};
+
+/**
+ * Per-gate mask returned by getData(): why a gate has no value.
+ */
+export const GATE_MASK = {
+    VALID: 0,
+    NO_DATA: 1,       // Below SNR threshold or outside the radial
+    RANGE_FOLDED: 2,  // Echo overlaid from a later trip
+};
+
+// Message 31 radial status values
+export const RADIAL_STATUS = {
+    START_OF_ELEVATION: 0,
+    INTERMEDIATE: 1,
+    END_OF_ELEVATION: 2,
+    START_OF_VOLUME: 3,
+    END_OF_VOLUME: 4,
+    START_OF_LAST_ELEVATION: 5,
+};
 
 export class NexradLevel2 {
     /**
-     * @param {ArrayBuffer} buffer - The raw binary data of the file
+     * @param {ArrayBuffer} buffer - The raw binary data of the file, optionally
+     *                               gzip/bzip2 wrapped (see container.js)
+     * @param {Object} options - Optional filters
+     *   - moments: Moment names to keep (default: all)
+     *   - sweeps: Zero-based elevation numbers to keep (default: all)
      */
-    constructor(buffer) {
+    constructor(buffer, options = {}) {
         if (!(buffer instanceof ArrayBuffer)) {
             throw new Error("Input must be an ArrayBuffer");
         }
 
+        buffer = unwrapVolume(buffer);
         this._buffer = buffer;
         this._view = new DataView(buffer);
+        this._initState(options);
+
+        this._parse();
+        this._assertHasData();
+    }
+
+    /**
+     * Build a volume from records decoded elsewhere (worker pool, streams).
+     * Only the volume header of `headerBuffer` is read; the rays come from
+     * record states produced by NexradLevel2.decodeRecord().
+     * @param {ArrayBuffer} headerBuffer - At least the 24-byte volume header
+     * @param {Object[]} recordStates - Decoded records in file order
+     * @param {Object} options - Same filters as the constructor
+     * @returns {NexradLevel2}
+     */
+    static fromRecords(headerBuffer, recordStates, options = {}) {
+        const radar = NexradLevel2._empty(headerBuffer, options);
+        for (const state of recordStates) {
+            radar._mergeRecordState(state);
+        }
+        radar._finalize();
+        radar._assertHasData();
+        return radar;
+    }
 
+    /**
+     * Decode one LDM record without building a volume.
+     * The returned state is plain data (typed arrays, numbers, strings) so it
+     * can be posted between threads and merged with fromRecords().
+     * @param {Uint8Array} bytes - Record payload (without the 4-byte size)
+     * @param {boolean} isCompressed - Whether the record is bzip2 compressed
+     * @param {Object} options - Same filters as the constructor
+     * @returns {Object} { raysBySweep, stationId, datetime, vcp, site, metadata }
+     */
+    static decodeRecord(bytes, isCompressed = true, options = {}) {
+        const radar = NexradLevel2._empty(null, options);
+        radar._appendRecord(bytes, isCompressed);
+        return radar._exportRecordState();
+    }
+
+    /**
+     * Locate the LDM records of a file without decompressing them.
+     * @param {ArrayBuffer} buffer - The raw binary data of the file, already
+     *                               passed through unwrapVolume()
+     * @returns {Object[]} [{ offset, size, isCompressed }] relative to the file start
+     */
+    static splitRecords(buffer) {
+        if (buffer.byteLength < VOLUME_HEADER_SIZE) {
+            throw new Error("File too small");
+        }
+        const body = new Uint8Array(buffer, VOLUME_HEADER_SIZE);
+        if (!NexradLevel2._usesLdmRecords(new Uint8Array(buffer))) {
+            // Bare frames: the whole body is one uncompressed record
+            return [{ offset: VOLUME_HEADER_SIZE, size: body.byteLength, isCompressed: false }];
+        }
+
+        const records = [];
+        for (const record of NexradLevel2._iterRecords(body)) {
+            records.push({
+                offset: VOLUME_HEADER_SIZE + record.offset,
+                size: record.size,
+                isCompressed: record.isCompressed
+            });
+        }
+        return records;
+    }
+
+    /**
+     * Whether a file holds size-prefixed LDM records after its volume header.
+     * AR2V files always do; pre-LDM "ARCHIVE2." files are usually a bare
+     * stream of 2432-byte message frames, though some were repackaged as
+     * LDM records, so those are told apart by the first record word.
+     * @param {Uint8Array} bytes - File bytes from the volume header on
+     *                             (at least VOLUME_HEADER_SIZE + 8 bytes)
+     */
+    static _usesLdmRecords(bytes) {
+        const version = String.fromCharCode(...bytes.subarray(0, 4));
+        if (version === 'AR2V' || bytes.byteLength < VOLUME_HEADER_SIZE + 8) return true;
+
+        // Compressed records start with the bzip2 'BZ' signature; uncompressed
+        // records have a negative size. Bare frames start with a zeroed CTM header.
+        const recordSize = new DataView(bytes.buffer, bytes.byteOffset + VOLUME_HEADER_SIZE, 4).getInt32(0, false);
+        if (recordSize > 0) {
+            return bytes[VOLUME_HEADER_SIZE + 4] === 0x42 && bytes[VOLUME_HEADER_SIZE + 5] === 0x5A;
+        }
+        return recordSize < 0;
+    }
+
+    /**
+     * Size of the message frame starting at `pos`, CTM header included.
+     * Message 31 (and 29) frames are sized to fit; every other message
+     * sits in a fixed 2432-byte frame regardless of its own size.
+     * @param {DataView} view
+     * @param {number} pos - Frame start (at least a CTM and message header must follow)
+     * @returns {number} 0 if the message header is not plausible
+     */
+    static _frameSize(view, pos) {
+        const msgHeaderStart = pos + CTM_HEADER_SIZE;
+        const msgSizeBytes = view.getUint16(msgHeaderStart, false) * 2;
+        const msgType = view.getUint8(msgHeaderStart + 3);
+
+        if (msgSizeBytes < MSG_HEADER_SIZE || msgSizeBytes > 20000) return 0;
+        return (msgType === 31 || msgType === 29)
+            ? CTM_HEADER_SIZE + msgSizeBytes
+            : LEGACY_FRAME_SIZE;
+    }
+
+    /**
+     * Create an instance with nothing parsed but the optional volume header.
+     */
+    static _empty(headerBuffer, options = {}) {
+        const radar = Object.create(NexradLevel2.prototype);
+        radar._buffer = headerBuffer;
+        radar._view = headerBuffer ? new DataView(headerBuffer) : null;
+        radar._initState(options);
+        if (headerBuffer) {
+            if (headerBuffer.byteLength < VOLUME_HEADER_SIZE) {
+                throw new Error("File too small");
+            }
+            radar._parseVolumeHeader();
+        }
+        return radar;
+    }
+
+    /**
+     * Yield the size-prefixed LDM records in a byte range.
+     * @param {Uint8Array} bytes - Bytes following the volume header
+     */
+    static *_iterRecords(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let pos = 0;
+
+        while (pos + 4 < bytes.byteLength) {
+            // Record size (Big Endian int32)
+            const recordSize = view.getInt32(pos, false);
+            pos += 4;
+
+            if (recordSize === 0) break;
+
+            const size = Math.abs(recordSize);
+            if (pos + size > bytes.byteLength) break;
+
+            yield { offset: pos, size: size, isCompressed: recordSize > 0 };
+            pos += size;
+        }
+    }
+
+    _initState(options) {
+        this._options = {
+            moments: options.moments ? new Set(options.moments) : null,
+            sweeps: options.sweeps ? new Set(options.sweeps) : null
+        };
+
+        this._version = '';
         this._stationId = '';
         this._datetime = null;
         this._vcp = 0;
+        this._site = null;     // Radar location from the RVOL block
         this._sweepsData = []; // Metadata
         this._rays = [];       // Data: rays[sweepIndex] = [ray1, ray2...]
+        this._raysBySweep = {}; // Rays keyed by elevation number while parsing
+        this._segments = {};    // Partial segmented messages keyed by type
+        this._metadata = {
+            vcpDefinition: null,
+            rdaStatus: null,
+            adaptationData: null,
+            clutterFilterMap: null,
+            clutterBypassMap: null
+        };
+    }
 
-        this._parse();
-
+    _assertHasData() {
         if (!this._rays.length || this._rays.every(s => s.length === 0)) {
             throw new Error("File contains no valid radar data");
         }
     }
 
+    /** Archive format from the volume header, e.g. "AR2V0006" or "ARCHIVE2" */
+    get version() { return this._version; }
     get stationId() { return this._stationId; }
     get datetime() { return this._datetime; }
-    get vcp() { return this._vcp; }
+    get vcp() { return this._metadata.vcpDefinition?.pattern ?? this._vcp; }
     get sweeps() { return [...this._sweepsData]; }
 
+    /**
+     * Sweeps scanned at an elevation angle, in time order. Matches the VCP
+     * target angle when known, otherwise the measured average elevation.
+     * @param {Object} query
+     *   - elevation: Angle in degrees (default: any)
+     *   - moment: Only sweeps carrying this moment (default: any)
+     *   - cutType: 'surveillance', 'doppler', 'batch' or 'staggered' (default: any)
+     *   - includeSupplemental: Include SAILS/MRLE cuts (default: true)
+     *   - tolerance: Allowed elevation difference in degrees (default: 0.25)
+     * @returns {Object[]} Entries of `sweeps`
+     */
+    findSweeps(query = {}) {
+        const {
+            elevation = null,
+            moment = null,
+            cutType = null,
+            includeSupplemental = true,
+            tolerance = SAME_ELEVATION_TOLERANCE
+        } = query;
+
+        return this._sweepsData
+            .filter(sweep => {
+                if (elevation !== null &&
+                    Math.abs((sweep.targetElevation ?? sweep.elevation) - elevation) > tolerance) return false;
+                if (moment && !sweep.moments.includes(moment)) return false;
+                if (cutType && sweep.cutType !== cutType) return false;
+                return includeSupplemental || !sweep.isSupplemental;
+            })
+            .sort((a, b) => (a.startTime ?? 0) - (b.startTime ?? 0) || a.index - b.index);
+    }
+
+    /**
+     * Most recent sweep matching a query, e.g. the latest 0.5° reflectivity:
+     *   radar.latestSweep({ elevation: 0.5, moment: 'REF' })
+     * @param {Object} query - Same as findSweeps()
+     * @returns {Object|null} Entry of `sweeps`
+     */
+    latestSweep(query = {}) {
+        const sweeps = this.findSweeps(query);
+        return sweeps.length ? sweeps[sweeps.length - 1] : null;
+    }
+
+    /**
+     * Radar location as recorded in the file (RVOL block).
+     * @returns {Object|null} { lat, lon, height (m MSL), feedhornHeight (m AGL) }
+     */
+    get site() { return this._site; }
+
+    /** VCP definition from Message 5: { pattern, cuts[], sails, mrle, ... } or null */
+    get vcpDefinition() { return this._metadata.vcpDefinition; }
+    /** RDA status from Message 2, or null */
+    get rdaStatus() { return this._metadata.rdaStatus; }
+    /** RDA adaptation data from Message 18, or null */
+    get adaptationData() { return this._metadata.adaptationData; }
+    /** Clutter filter map from Message 15, or null */
+    get clutterFilterMap() { return this._metadata.clutterFilterMap; }
+    /** Clutter filter bypass map from Message 13, or null */
+    get clutterBypassMap() { return this._metadata.clutterBypassMap; }
+
     /**
      * Get list of all moment names available in this volume.
      * @returns {string[]}
@@ -95,9 +377,17 @@ export class NexradLevel2 {
      * Extract moment data for a specific sweep.
      * @param {number} sweepIndex
      * @param {string} moment
-     * @returns {Object} { data: Float32Array, azimuths: Float32Array, ranges: Float32Array, elevation: number }
+     * @param {Object} options
+     *   - raw: Return the stored gate codes instead of physical values (default: false)
+     * @returns {Object} { data: Float32Array, azimuths: Float32Array, ranges: Float32Array, elevation: number,
+     *                    dims, mask: Uint8Array, nyquistVelocity, nyquistVelocities: Float32Array,
+     *                    velocityResolution, unambiguousRange, site }
+     *   With raw, `data` is replaced by { codes: Uint8Array|Uint16Array, scale, offset }
+     *   where value = (code - offset) / scale. `mask` holds a GATE_MASK value per gate.
      */
-    getData(sweepIndex, moment) {
+    getData(sweepIndex, moment, options = {}) {
+        const { raw = false } = options;
+
         if (sweepIndex < 0 || sweepIndex >= this._rays.length) {
             throw new Error(`Sweep index ${sweepIndex} out of range`);
         }
@@ -133,35 +423,71 @@ export class NexradLevel2 {
 
         const numRays = sweepRays.length;
         const azimuths = new Float32Array(numRays);
+        const nyquistVelocities = new Float32Array(numRays).fill(NaN); // m/s, per ray
 
-        // Flattened 2D array [rays * gates]
-        // You can use a wrapper to access as [r][g] if preferred, but flat is better for WebGL/Canvas
-        const data = new Float32Array(numRays * numGates);
-        data.fill(NaN);
+        // Flattened 2D arrays [rays * gates], row-major: Ray1, Ray2...
+        const CodeArray = momentInfo.codes.constructor;
+        const codes = raw ? new CodeArray(numRays * numGates) : null;
+        const data = raw ? null : new Float32Array(numRays * numGates).fill(NaN);
+        const mask = new Uint8Array(numRays * numGates).fill(GATE_MASK.NO_DATA);
 
         for (let i = 0; i < numRays; i++) {
             const ray = sweepRays[i];
             azimuths[i] = ray.azimuth;
+            if (ray.radialConstants) nyquistVelocities[i] = ray.radialConstants.nyquistVelocity;
+
+            const rayMoment = ray.moments[moment];
+            if (!rayMoment) continue;
+
+            const rayCodes = rayMoment.codes;
+            const limit = Math.min(rayCodes.length, numGates);
+            const rowStart = i * numGates;
+
+            // Rays of one sweep share scale and offset in practice; recode if not
+            const sameScaling = rayMoment.scale === momentInfo.scale && rayMoment.offset === momentInfo.offset;
+            if (raw && sameScaling) codes.set(rayCodes.subarray(0, limit), rowStart);
+
+            for (let g = 0; g < limit; g++) {
+                const code = rayCodes[g];
+                const index = rowStart + g;
+                if (code === CODE_BELOW_THRESHOLD) continue;
+                if (code === CODE_RANGE_FOLDED) {
+                    mask[index] = GATE_MASK.RANGE_FOLDED;
+                    if (raw) codes[index] = CODE_RANGE_FOLDED;
+                    continue;
+                }
 
-            if (ray.moments[moment]) {
-                const rayMoment = ray.moments[moment];
-                const rayData = rayMoment.data;
-                const limit = Math.min(rayData.length, numGates);
-
-                // Copy data into the flattened array
-                // Offset = current ray index * stride (numGates)
-                const offset = i * numGates;
-                data.set(rayData.subarray(0, limit), offset);
+                mask[index] = GATE_MASK.VALID;
+                const value = (code - rayMoment.offset) / rayMoment.scale;
+                if (!raw) {
+                    data[index] = value;
+                } else if (!sameScaling) {
+                    codes[index] = Math.round(value * momentInfo.scale + momentInfo.offset);
+                }
             }
         }
 
-        return {
-            data: data, // Flat Float32Array (Row-major: Ray1, Ray2...)
+        const sweep = this._sweepsData[sweepIndex];
+        const result = {
             azimuths: azimuths,
             ranges: ranges,
-            elevation: this._sweepsData[sweepIndex].elevation,
-            dims: [numRays, numGates]
+            elevation: sweep.elevation,
+            dims: [numRays, numGates],
+            mask: mask,
+            nyquistVelocity: sweep.nyquistVelocity,
+            nyquistVelocities: nyquistVelocities,
+            velocityResolution: sweep.velocityResolution,
+            unambiguousRange: sweep.unambiguousRange,
+            site: this._site
         };
+        if (raw) {
+            result.codes = codes;
+            result.scale = momentInfo.scale;
+            result.offset = momentInfo.offset;
+        } else {
+            result.data = data; // NaN where mask is not VALID
+        }
+        return result;
     }
 
     _parse() {
@@ -171,21 +497,28 @@ export class NexradLevel2 {
 
         this._parseVolumeHeader();
 
-        // Parse compressed records
-        // Starting after header
+        // Parse records starting after header. Pre-LDM archives are a bare
+        // stream of message frames, decoded as one uncompressed record.
         const rawBytes = new Uint8Array(this._buffer, VOLUME_HEADER_SIZE);
-        this._parseCompressedRecords(rawBytes);
-
-        this._buildSweepMetadata();
+        if (NexradLevel2._usesLdmRecords(new Uint8Array(this._buffer))) {
+            this._parseCompressedRecords(rawBytes);
+        } else {
+            this._appendRecord(rawBytes, false);
+            this._finalize();
+        }
     }
 
     _parseVolumeHeader() {
-        // Bytes 20-23: Station ID
+        // Bytes 0-8: Version ("AR2V0006." or legacy "ARCHIVE2.")
+        const versionBytes = new Uint8Array(this._buffer, 0, 8);
+        this._version = new TextDecoder().decode(versionBytes).replace(/\0/g, '');
+
+        // Bytes 20-23: Station ID (blank in some ARCHIVE2 files)
         const stationBytes = new Uint8Array(this._buffer, 20, 4);
-        this._stationId = new TextDecoder().decode(stationBytes).replace(/\0/g, '');
+        this._stationId = new TextDecoder().decode(stationBytes).replace(/[\0\s]/g, '');
 
-        const julianDate = this._view.getUint16(12, false); // Big Endian
-        const milliseconds = this._view.getUint32(14, false);
+        const julianDate = this._view.getUint32(12, false); // Big Endian
+        const milliseconds = this._view.getUint32(16, false);
 
         if (julianDate > 0) {
             // JS Dates are epoch based. Julian 1 = Jan 1 1970
@@ -196,46 +529,72 @@ export class NexradLevel2 {
     }
 
     _parseCompressedRecords(compressedData) {
-        const raysBySweep = {};
-        let pos = 0;
-        const view = new DataView(compressedData.buffer, compressedData.byteOffset, compressedData.byteLength);
-
-        while (pos + 4 < compressedData.byteLength) {
-            // Record size (Big Endian int32)
-            const recordSize = view.getInt32(pos, false);
-            pos += 4;
-
-            if (recordSize === 0) break;
-
-            const isCompressed = recordSize > 0;
-            const actualSize = Math.abs(recordSize);
-
-            if (pos + actualSize > compressedData.byteLength) break;
+        for (const record of NexradLevel2._iterRecords(compressedData)) {
+            const chunk = compressedData.subarray(record.offset, record.offset + record.size);
+            this._appendRecord(chunk, record.isCompressed);
+        }
+        this._finalize();
+    }
 
-            const chunk = new Uint8Array(compressedData.buffer, compressedData.byteOffset + pos, actualSize);
-            pos += actualSize;
+    _appendRecord(chunk, isCompressed) {
+        let decompressed = null;
+        if (isCompressed) {
+            // *** DECOMPRESSION HOOK ***
+            // Note: NEXRAD files use Bzip2. Browsers do NOT support Bzip2 natively.
+            // If you are loading standard L2 files, you need a JS bzip2 decoder here.
+            // If you are loading Gzipped L2 files, we could use DecompressionStream (async),
+            // but for this synchronous parser, we assume an external helper or uncompressed.
+
+            decompressed = this._decompressChunk(chunk);
+        } else {
+            decompressed = chunk;
+        }
 
-            let decompressed = null;
-            if (isCompressed) {
-                // *** DECOMPRESSION HOOK ***
-                // Note: NEXRAD files use Bzip2. Browsers do NOT support Bzip2 natively.
-                // If you are loading standard L2 files, you need a JS bzip2 decoder here.
-                // If you are loading Gzipped L2 files, we could use DecompressionStream (async),
-                // but for this synchronous parser, we assume an external helper or uncompressed.
+        if (decompressed) {
+            this._parseMessages(decompressed, this._raysBySweep);
+        }
+    }
 
-                decompressed = this._decompressChunk(chunk);
-            } else {
-                decompressed = chunk;
-            }
+    /**
+     * Snapshot of everything parsed so far, as plain transferable data.
+     */
+    _exportRecordState() {
+        return {
+            raysBySweep: this._raysBySweep,
+            stationId: this._stationId,
+            datetime: this._datetime,
+            vcp: this._vcp,
+            site: this._site,
+            metadata: this._metadata
+        };
+    }
 
-            if (decompressed) {
-                this._parseMessages(decompressed, raysBySweep);
-            }
+    /**
+     * Merge a record state (see decodeRecord) into this volume.
+     * States must be merged in file order so rays stay in arrival order.
+     */
+    _mergeRecordState(state) {
+        for (const [sweepNum, rays] of Object.entries(state.raysBySweep)) {
+            if (!this._raysBySweep[sweepNum]) this._raysBySweep[sweepNum] = [];
+            this._raysBySweep[sweepNum].push(...rays);
         }
+        if (state.vcp > 0) this._vcp = state.vcp;
+        if (!this._datetime && state.datetime) this._datetime = state.datetime;
+        if (state.stationId) this._stationId = state.stationId;
+        if (!this._site && state.site) this._site = state.site;
+        for (const [key, value] of Object.entries(state.metadata)) {
+            if (value) this._metadata[key] = value;
+        }
+    }
 
-        // Sort and store
+    /**
+     * Order the collected rays by elevation number and rebuild sweep metadata.
+     */
+    _finalize() {
+        const raysBySweep = this._raysBySweep;
         const sortedKeys = Object.keys(raysBySweep).map(Number).sort((a, b) => a - b);
         this._rays = sortedKeys.map(k => raysBySweep[k]);
+        this._buildSweepMetadata();
     }
 
     /**
@@ -268,28 +627,32 @@ export class NexradLevel2 {
 
             if (msgHeaderStart + MSG_HEADER_SIZE > data.byteLength) break;
 
-            const msgSizeHw = view.getUint16(msgHeaderStart, false);
             const msgType = view.getUint8(msgHeaderStart + 3);
-            const msgSizeBytes = msgSizeHw * 2;
+            const msgSizeBytes = view.getUint16(msgHeaderStart, false) * 2;
 
-            if (msgSizeBytes < MSG_HEADER_SIZE || msgSizeBytes > 20000) {
+            const totalSize = NexradLevel2._frameSize(view, pos);
+            if (!totalSize) {
                 pos += 1;
                 continue;
             }
 
-            const totalSize = CTM_HEADER_SIZE + msgSizeBytes;
-
-            if (msgType === 31) {
-                const msg31Start = msgHeaderStart + MSG_HEADER_SIZE;
-                // Parse Message 31
-                const rayInfo = this._parseMessage31(view, msg31Start, msgSizeBytes - MSG_HEADER_SIZE);
-
-                if (rayInfo) {
+            if (METADATA_DECODERS[msgType]) {
+                this._parseMetadataMessage(view, msgHeaderStart, msgType, msgSizeBytes);
+            } else if (msgType === 31 || msgType === 1) {
+                const bodyStart = msgHeaderStart + MSG_HEADER_SIZE;
+                // Parse Message 31 (generic digital radar data) or
+                // Message 1 (legacy digital radar data, pre-Build 10)
+                const rayInfo = msgType === 31
+                    ? this._parseMessage31(view, bodyStart, msgSizeBytes - MSG_HEADER_SIZE)
+                    : this._parseMessage1(view, bodyStart);
+
+                if (rayInfo && this._keepRay(rayInfo)) {
                     const sweepNum = rayInfo.sweepNumber;
                     if (!raysBySweep[sweepNum]) raysBySweep[sweepNum] = [];
                     raysBySweep[sweepNum].push(rayInfo);
 
                     if (rayInfo.vcp > 0) this._vcp = rayInfo.vcp;
+                    if (!this._site && rayInfo.volumeConstants) this._site = this._siteFrom(rayInfo.volumeConstants);
                     if (!this._datetime && rayInfo.datetime) this._datetime = rayInfo.datetime;
                     if (rayInfo.stationId) this._stationId = rayInfo.stationId;
                 }
@@ -299,6 +662,63 @@ export class NexradLevel2 {
         }
     }
 
+    _siteFrom(volumeConstants) {
+        const { lat, lon, siteHeight, feedhornHeight } = volumeConstants;
+        return { lat, lon, height: siteHeight, feedhornHeight };
+    }
+
+    /**
+     * Decode a metadata message, buffering segmented messages (13, 15, 18)
+     * until all of their segments have been seen.
+     */
+    _parseMetadataMessage(view, msgHeaderStart, msgType, msgSizeBytes) {
+        const numSegments = view.getUint16(msgHeaderStart + 12, false);
+        const segmentNum = view.getUint16(msgHeaderStart + 14, false);
+        const bodyStart = msgHeaderStart + MSG_HEADER_SIZE;
+        const bodyLength = Math.min(msgSizeBytes - MSG_HEADER_SIZE, view.byteLength - bodyStart);
+        const body = new Uint8Array(view.buffer, view.byteOffset + bodyStart, bodyLength);
+
+        let payload = body;
+        if (numSegments > 1) {
+            const parts = this._segments[msgType] ?? (this._segments[msgType] = []);
+            parts[segmentNum - 1] = body.slice();
+
+            const received = parts.filter(Boolean);
+            if (received.length < numSegments) return;
+
+            payload = new Uint8Array(received.reduce((n, part) => n + part.byteLength, 0));
+            let offset = 0;
+            for (const part of received) {
+                payload.set(part, offset);
+                offset += part.byteLength;
+            }
+            delete this._segments[msgType];
+        }
+
+        const { key, decode } = METADATA_DECODERS[msgType];
+        try {
+            this._metadata[key] = decode(new DataView(payload.buffer, payload.byteOffset, payload.byteLength));
+        } catch (e) {
+            console.error(`Failed to decode message ${msgType}`, e);
+        }
+    }
+
+    /**
+     * Apply the sweep/moment filters. Drops unwanted moments from the ray
+     * and reports whether anything is left to keep.
+     */
+    _keepRay(rayInfo) {
+        const { moments, sweeps } = this._options;
+        if (sweeps && !sweeps.has(rayInfo.sweepNumber - 1)) return false;
+        if (moments) {
+            for (const name of Object.keys(rayInfo.moments)) {
+                if (!moments.has(name)) delete rayInfo.moments[name];
+            }
+            return Object.keys(rayInfo.moments).length > 0;
+        }
+        return true;
+    }
+
     _parseMessage31(view, start, maxLength) {
         try {
             if (start + 60 > view.byteLength) return null;
@@ -330,6 +750,7 @@ export class NexradLevel2 {
                 if (azimuthAngle < 0 || azimuthAngle >= 360) return null;
             }
 
+            const radialStatus = view.getUint8(start + 21);
             const elevationNum = view.getUint8(start + 22);
             const elevationAngle = view.getFloat32(start + 24, false);
 
@@ -348,6 +769,9 @@ export class NexradLevel2 {
 
             const momentsData = {};
             let vcp = 0;
+            let volumeConstants = null;
+            let elevationConstants = null;
+            let radialConstants = null;
 
             for (const ptr of blockPointers) {
                 if (ptr === 0) continue;
@@ -360,9 +784,17 @@ export class NexradLevel2 {
                 const typeChar = String.fromCharCode(view.getUint8(blockPos));
 
                 if (typeChar === 'R') {
-                    // Volume Data
-                    if (blockPos + 20 <= view.byteLength) {
-                        vcp = view.getUint16(blockPos + 16, false);
+                    // Constant blocks: RVOL (volume), RELV (elevation), RRAD (radial)
+                    const blockName = String.fromCharCode(
+                        view.getUint8(blockPos + 1), view.getUint8(blockPos + 2), view.getUint8(blockPos + 3));
+
+                    if (blockName === 'VOL') {
+                        volumeConstants = this._parseVolumeBlock(view, blockPos);
+                        if (volumeConstants) vcp = volumeConstants.vcp;
+                    } else if (blockName === 'ELV') {
+                        elevationConstants = this._parseElevationBlock(view, blockPos);
+                    } else if (blockName === 'RAD') {
+                        radialConstants = this._parseRadialBlock(view, blockPos);
                     }
                 } else if (typeChar === 'D') {
                     // Moment Data
@@ -391,9 +823,13 @@ export class NexradLevel2 {
                 azimuth: azimuthAngle,
                 elevation: elevationAngle,
                 sweepNumber: elevationNum,
+                radialStatus: radialStatus,
                 moments: momentsData,
                 vcp: vcp,
-                datetime: rayDatetime
+                datetime: rayDatetime,
+                volumeConstants: volumeConstants,
+                elevationConstants: elevationConstants,
+                radialConstants: radialConstants
             };
 
         } catch (e) {
@@ -401,6 +837,156 @@ export class NexradLevel2 {
         }
     }
 
+    /**
+     * Message 1 - Legacy digital radar data.
+     * Produces the same ray structure as Message 31: REF from the
+     * surveillance bins (1 km) and VEL/SW from the Doppler bins (250 m).
+     */
+    _parseMessage1(view, start) {
+        try {
+            if (start + MSG1_HEADER_SIZE > view.byteLength) return null;
+
+            const collectionTime = view.getUint32(start, false);
+            const julianDate = view.getUint16(start + 4, false);
+            const azimuthAngle = view.getUint16(start + 8, false) * LEGACY_ANGLE_SCALE;
+            const radialStatus = view.getUint16(start + 12, false);
+            const elevationAngle = view.getUint16(start + 14, false) * LEGACY_ANGLE_SCALE;
+            const elevationNum = view.getUint16(start + 16, false);
+
+            if (azimuthAngle >= 360 || elevationAngle > 90) return null;
+            if (elevationNum < 1 || elevationNum > 25) return null;
+
+            const surFirstGate = view.getInt16(start + 18, false);
+            const dopFirstGate = view.getInt16(start + 20, false);
+            const surGateWidth = view.getUint16(start + 22, false);
+            const dopGateWidth = view.getUint16(start + 24, false);
+            const surGates = view.getUint16(start + 26, false);
+            const dopGates = view.getUint16(start + 28, false);
+            const surPointer = view.getUint16(start + 36, false);
+            const velPointer = view.getUint16(start + 38, false);
+            const swPointer = view.getUint16(start + 40, false);
+            // 2 = 0.5 m/s, 4 = 1.0 m/s
+            const velocityResolution = view.getUint16(start + 42, false) === 4 ? 1.0 : 0.5;
+
+            const block = (name, pointer, numGates, firstGateM, gateWidthM, scale, offset) => {
+                if (!pointer || !numGates) return null;
+                const dataStart = start + pointer;
+                if (dataStart + numGates > view.byteLength) return null;
+                return {
+                    name: name,
+                    numGates: numGates,
+                    firstGate: firstGateM / 1000.0, // km
+                    gateWidth: gateWidthM / 1000.0, // km
+                    scale: scale,
+                    offset: offset,
+                    codes: new Uint8Array(view.buffer, view.byteOffset + dataStart, numGates).slice()
+                };
+            };
+
+            const momentsData = {};
+            const ref = block('REF', surPointer, surGates, surFirstGate, surGateWidth, 2, 66);
+            const vel = block('VEL', velPointer, dopGates, dopFirstGate, dopGateWidth,
+                velocityResolution === 0.5 ? 2 : 1, 129);
+            const sw = block('SW', swPointer, dopGates, dopFirstGate, dopGateWidth, 2, 129);
+            if (ref) momentsData.REF = ref;
+            if (vel) momentsData.VEL = vel;
+            if (sw) momentsData.SW = sw;
+
+            if (Object.keys(momentsData).length === 0) return null;
+
+            let rayDatetime = null;
+            if (julianDate > 0) {
+                const baseTime = (julianDate - 1) * 86400000;
+                rayDatetime = new Date(baseTime + collectionTime);
+            }
+
+            return {
+                stationId: '',
+                azimuth: azimuthAngle,
+                elevation: elevationAngle,
+                sweepNumber: elevationNum,
+                radialStatus: radialStatus,
+                moments: momentsData,
+                vcp: view.getUint16(start + 44, false),
+                datetime: rayDatetime,
+                velocityResolution: velocityResolution,
+                volumeConstants: null,
+                elevationConstants: {
+                    atmosphericAttenuation: view.getInt16(start + 62, false) / 1000, // dB/km
+                    calibrationConstant: view.getFloat32(start + 32, false)          // dBZ
+                },
+                radialConstants: {
+                    unambiguousRange: view.getInt16(start + 6, false) / 10,  // km
+                    noiseLevelH: null,
+                    noiseLevelV: null,
+                    nyquistVelocity: view.getInt16(start + 60, false) / 100, // m/s
+                    calibrationConstantH: null,
+                    calibrationConstantV: null
+                }
+            };
+
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * RVOL - Volume data constant block.
+     * @returns {Object|null} Site location, calibration and RDA version
+     */
+    _parseVolumeBlock(view, pos) {
+        if (pos + 44 > view.byteLength) return null;
+        const size = view.getUint16(pos + 4, false);
+
+        return {
+            versionMajor: view.getUint8(pos + 6),
+            versionMinor: view.getUint8(pos + 7),
+            lat: view.getFloat32(pos + 8, false),
+            lon: view.getFloat32(pos + 12, false),
+            siteHeight: view.getInt16(pos + 16, false),           // m above sea level
+            feedhornHeight: view.getUint16(pos + 18, false),      // m above ground
+            calibrationConstant: view.getFloat32(pos + 20, false), // dBZ
+            horizontalTxPower: view.getFloat32(pos + 24, false),  // kW
+            verticalTxPower: view.getFloat32(pos + 28, false),    // kW
+            systemZdr: view.getFloat32(pos + 32, false),          // dB
+            initialSystemPhi: view.getFloat32(pos + 36, false),   // deg
+            vcp: view.getUint16(pos + 40, false),
+            processingStatus: size >= 44 ? view.getUint16(pos + 42, false) : 0
+        };
+    }
+
+    /**
+     * RELV - Elevation data constant block.
+     * @returns {Object|null}
+     */
+    _parseElevationBlock(view, pos) {
+        if (pos + 12 > view.byteLength) return null;
+
+        return {
+            atmosphericAttenuation: view.getInt16(pos + 6, false) / 1000, // dB/km
+            calibrationConstant: view.getFloat32(pos + 8, false)          // dBZ
+        };
+    }
+
+    /**
+     * RRAD - Radial data constant block.
+     * @returns {Object|null}
+     */
+    _parseRadialBlock(view, pos) {
+        if (pos + 20 > view.byteLength) return null;
+        const size = view.getUint16(pos + 4, false);
+        const hasCalibration = size >= 28 && pos + 28 <= view.byteLength;
+
+        return {
+            unambiguousRange: view.getInt16(pos + 6, false) / 10,   // km
+            noiseLevelH: view.getFloat32(pos + 8, false),           // dBm
+            noiseLevelV: view.getFloat32(pos + 12, false),          // dBm
+            nyquistVelocity: view.getInt16(pos + 16, false) / 100, // m/s
+            calibrationConstantH: hasCalibration ? view.getFloat32(pos + 20, false) : null, // dBZ
+            calibrationConstantV: hasCalibration ? view.getFloat32(pos + 24, false) : null  // dBZ
+        };
+    }
+
     _parseMomentBlock(view, pos) {
         try {
             if (pos + 28 > view.byteLength) return null;
@@ -426,7 +1012,8 @@ export class NexradLevel2 {
             if (dataWordSize === 8) {
                 byteSize = numGates;
                 if (dataStart + byteSize > view.byteLength) return null;
-                rawValues = new Uint8Array(view.buffer, view.byteOffset + dataStart, numGates);
+                // Copy so the codes don't keep the whole decompressed record alive
+                rawValues = new Uint8Array(view.buffer, view.byteOffset + dataStart, numGates).slice();
             } else if (dataWordSize === 16) {
                 byteSize = numGates * 2;
                 if (dataStart + byteSize > view.byteLength) return null;
@@ -441,23 +1028,14 @@ export class NexradLevel2 {
                 return null;
             }
 
-            // Convert to physical units
-            const physicalValues = new Float32Array(numGates);
-            for (let i = 0; i < numGates; i++) {
-                const val = rawValues[i];
-                if (val < 2) {
-                    physicalValues[i] = NaN; // Below threshold or range folded
-                } else {
-                    physicalValues[i] = (val - offset) / scale;
-                }
-            }
-
             return {
                 name: name,
                 numGates: numGates,
                 firstGate: firstGateM / 1000.0, // km
                 gateWidth: gateWidthM / 1000.0, // km
-                data: physicalValues
+                scale: scale,
+                offset: offset,
+                codes: rawValues // Physical value = (code - offset) / scale
             };
 
         } catch (e) {
@@ -473,11 +1051,93 @@ export class NexradLevel2 {
             const elevationSum = sweepRays.reduce((acc, r) => acc + r.elevation, 0);
             const avgElevation = elevationSum / sweepRays.length;
 
+            // The VCP lists cuts in elevation-number order, starting at 1
+            const cut = this.vcpDefinition?.cuts[sweepRays[0].sweepNumber - 1] ?? null;
+
+            // Batch cuts change PRF by sector, so report the largest values
+            let nyquistVelocity = null;
+            let unambiguousRange = null;
+            let velocityResolution = null;
+            let startTime = null;
+            let endTime = null;
+            const moments = new Set();
+            const statuses = new Set();
+            for (const ray of sweepRays) {
+                Object.keys(ray.moments).forEach(m => moments.add(m));
+                statuses.add(ray.radialStatus);
+                // Message 1 states it; in Message 31 it is the VEL scale (2 = 0.5 m/s)
+                if (velocityResolution === null) {
+                    velocityResolution = ray.velocityResolution ?? (ray.moments.VEL ? 1 / ray.moments.VEL.scale : null);
+                }
+                if (ray.datetime) {
+                    if (!startTime || ray.datetime < startTime) startTime = ray.datetime;
+                    if (!endTime || ray.datetime > endTime) endTime = ray.datetime;
+                }
+
+                const radial = ray.radialConstants;
+                if (!radial) continue;
+                nyquistVelocity = Math.max(nyquistVelocity ?? 0, radial.nyquistVelocity);
+                unambiguousRange = Math.max(unambiguousRange ?? 0, radial.unambiguousRange);
+            }
+            const elevationConstants = sweepRays.find(r => r.elevationConstants)?.elevationConstants ?? null;
+
             this._sweepsData.push({
                 index: i,
+                elevationNumber: sweepRays[0].sweepNumber,
                 elevation: parseFloat(avgElevation.toFixed(2)),
-                rayCount: sweepRays.length
+                rayCount: sweepRays.length,
+                moments: Array.from(moments).sort(),
+                targetElevation: cut ? cut.elevation : null,
+                waveform: cut ? cut.waveform : null,
+                cut: cut,
+                cutType: cut ? (CUT_TYPES[cut.waveform] ?? null) : null,
+                isSupplemental: cut ? (cut.isSails || cut.isMrle) : false,
+                startTime: startTime,
+                endTime: endTime,
+                radialStatus: {
+                    startOfVolume: statuses.has(RADIAL_STATUS.START_OF_VOLUME),
+                    startOfElevation: statuses.has(RADIAL_STATUS.START_OF_ELEVATION) ||
+                        statuses.has(RADIAL_STATUS.START_OF_VOLUME) ||
+                        statuses.has(RADIAL_STATUS.START_OF_LAST_ELEVATION),
+                    endOfElevation: statuses.has(RADIAL_STATUS.END_OF_ELEVATION) ||
+                        statuses.has(RADIAL_STATUS.END_OF_VOLUME),
+                    endOfVolume: statuses.has(RADIAL_STATUS.END_OF_VOLUME),
+                    lastElevation: statuses.has(RADIAL_STATUS.START_OF_LAST_ELEVATION)
+                },
+                nyquistVelocity: nyquistVelocity,     // m/s
+                unambiguousRange: unambiguousRange,   // km
+                velocityResolution: velocityResolution, // m/s, null without VEL
+                atmosphericAttenuation: elevationConstants?.atmosphericAttenuation ?? null, // dB/km
+                calibrationConstant: elevationConstants?.calibrationConstant ?? null        // dBZ
             });
         });
+
+        if (!this.vcpDefinition) this._inferCutTypes();
+    }
+
+    /**
+     * Without a VCP definition, classify cuts from what they contain: a
+     * reflectivity-only sweep is the surveillance half of a split cut, a
+     * velocity sweep right after it at the same angle is the Doppler half,
+     * and a return to an angle already scanned below a higher sweep is a
+     * SAILS/MRLE supplemental cut.
+     */
+    _inferCutTypes() {
+        const sweeps = this._sweepsData;
+        sweeps.forEach((sweep, i) => {
+            const previous = sweeps[i - 1];
+            const sameAngle = (a, b) => Math.abs(a.elevation - b.elevation) <= SAME_ELEVATION_TOLERANCE;
+
+            if (sweep.moments.includes('REF') && !sweep.moments.includes('VEL')) {
+                sweep.cutType = 'surveillance';
+            } else if (previous && previous.cutType === 'surveillance' && sameAngle(previous, sweep)) {
+                sweep.cutType = 'doppler';
+            }
+
+            const revisit = sweeps.slice(0, i).some((earlier, j) =>
+                sameAngle(earlier, sweep) &&
+                sweeps.slice(j + 1, i).some(between => between.elevation > sweep.elevation + SAME_ELEVATION_TOLERANCE));
+            sweep.isSupplemental = revisit;
+        });
     }
-}
\ No newline at end of file
+}
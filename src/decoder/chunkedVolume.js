@@ -0,0 +1,270 @@
+/**
+ * ChunkedVolumeAssembler - Rebuild volumes from real-time Level II chunks
+ *
+ * The real-time feed publishes each volume as numbered chunks instead of one
+ * archive file:
+ *
+ *   {station}/{volume}/{yyyymmdd}-{hhmmss}-{seq}-{type}   e.g. KTLX/585/20250812-041552-001-S
+ *
+ *   S - Start chunk: 24-byte volume header + metadata record (+ maybe radials)
+ *   I - Intermediate chunk: LDM records only
+ *   E - End chunk: the last LDM records of the volume
+ *
+ * Chunks may arrive in any order. They are held per volume number until
+ * every earlier sequence number is present, then their records are decoded
+ * into a growing NexradLevel2 view.
+ *
+ * Usage:
+ *   const assembler = new ChunkedVolumeAssembler({ onUpdate: (info) => { ... } });
+ *   assembler.addChunk('KTLX/585/20250812-041552-001-S', buffer);
+ *   await assembler.addDirectory(paths, (path) => fs.promises.readFile(join(dir, path)));
+ *   const latest = assembler.latestCompleteSweep();
+ *   latest.volume.getData(latest.sweepIndex, 'REF');
+ */
+
+import {NexradLevel2, RADIAL_STATUS} from "./NexradLevel2.js";
+
+const VOLUME_HEADER_SIZE = 24;
+const CHUNK_NAME_PATTERN = /(?:([A-Z]{4})\/)?(\d{1,3})\/(\d{8})-(\d{6})-(\d{3})-([SIE])$/;
+
+/**
+ * Parse a chunk key or path.
+ * @param {string} name - Key, relative path or "{volume}/{file}" name
+ * @returns {Object|null} { station, volume, sequence, type, time }
+ */
+export function parseChunkName(name) {
+    const match = CHUNK_NAME_PATTERN.exec(name.replace(/\\/g, '/'));
+    if (!match) return null;
+
+    const [, station = null, volume, date, time, sequence, type] = match;
+    return {
+        station: station,
+        volume: Number(volume),
+        sequence: Number(sequence),
+        type: type,
+        time: new Date(Date.UTC(
+            +date.slice(0, 4), +date.slice(4, 6) - 1, +date.slice(6, 8),
+            +time.slice(0, 2), +time.slice(2, 4), +time.slice(4, 6)
+        ))
+    };
+}
+
+export class ChunkedVolumeAssembler {
+    /**
+     * @param {Object} options
+     *   - moments: Moment names to keep (default: all)
+     *   - sweeps: Zero-based elevation numbers to keep (default: all)
+     *   - onUpdate: Called with { volumeNumber, volume, completedSweeps, isComplete }
+     *               whenever decoded data is added to a volume
+     */
+    constructor(options = {}) {
+        const { moments, sweeps, onUpdate = null } = options;
+        this._filters = { moments, sweeps };
+        this.onUpdate = onUpdate;
+        this._volumes = new Map(); // volume number -> assembly state
+    }
+
+    /**
+     * Volume numbers seen so far, oldest first.
+     * @returns {number[]}
+     */
+    get volumeNumbers() {
+        return this._orderedVolumes().map(v => v.number);
+    }
+
+    /**
+     * Add one chunk.
+     * @param {string|Object} name - Chunk key, or { volume, sequence, type[, time] }
+     * @param {ArrayBuffer} buffer - Chunk bytes
+     */
+    addChunk(name, buffer) {
+        const info = typeof name === 'string' ? parseChunkName(name) : name;
+        if (!info) {
+            throw new Error(`Not a Level II chunk name: ${name}`);
+        }
+        if (!(buffer instanceof ArrayBuffer)) {
+            throw new Error("Chunk must be an ArrayBuffer");
+        }
+
+        const state = this._volumeState(info.volume);
+        if (info.time && (!state.time || info.time < state.time)) state.time = info.time;
+        if (state.chunks.has(info.sequence) || info.sequence < state.nextSequence) return;
+
+        if (info.type === 'S' && info.sequence !== 1) {
+            throw new Error(`Start chunk of volume ${info.volume} has sequence ${info.sequence}`);
+        }
+        state.chunks.set(info.sequence, { type: info.type, buffer });
+
+        this._drain(state);
+    }
+
+    /**
+     * Add every chunk in a list of files (e.g. a directory picked with
+     * `webkitdirectory`, or Node File objects). Files that are not chunks
+     * are skipped.
+     * @param {Iterable<File>} files
+     */
+    async addFiles(files) {
+        for (const file of files) {
+            const name = file.webkitRelativePath || file.name;
+            if (!parseChunkName(name)) continue;
+            this.addChunk(name, await file.arrayBuffer());
+        }
+    }
+
+    /**
+     * Add every chunk among the paths of a directory listing, read with
+     * `readFile` (e.g. fs.promises.readFile for a local directory, or a
+     * fetch() wrapper for a served one). Paths that are not chunks are
+     * skipped.
+     * @param {string[]} paths - e.g. ['KTLX/585/20250812-041552-001-S', ...]
+     * @param {Function} readFile - (path) => Promise<ArrayBuffer|Uint8Array>
+     */
+    async addDirectory(paths, readFile) {
+        for (const path of paths) {
+            if (!parseChunkName(path)) continue;
+            const bytes = await readFile(path);
+            this.addChunk(path, bytes instanceof ArrayBuffer
+                ? bytes
+                : bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+        }
+    }
+
+    /**
+     * Decoded view of a volume (latest by default). The instance keeps
+     * growing as more chunks are added.
+     * @param {number} volumeNumber
+     * @returns {NexradLevel2|null} null until the volume has any radials
+     */
+    getVolume(volumeNumber = this._latestNumber()) {
+        const state = this._volumes.get(volumeNumber);
+        if (!state || !state.radar || !state.radar._rays.length) return null;
+        return state.radar;
+    }
+
+    /**
+     * Whether the end chunk and every chunk before it have been decoded.
+     * @param {number} volumeNumber
+     * @returns {boolean}
+     */
+    isComplete(volumeNumber = this._latestNumber()) {
+        return !!this._volumes.get(volumeNumber)?.isComplete;
+    }
+
+    /**
+     * The most recently completed sweep across all volumes.
+     * @returns {Object|null} { volumeNumber, sweepIndex, elevationNumber, volume }
+     */
+    latestCompleteSweep() {
+        const volumes = this._orderedVolumes().reverse();
+        for (const state of volumes) {
+            if (!state.completed.size) continue;
+
+            const elevationNumber = Math.max(...state.completed);
+            const sweepIndex = state.radar.sweeps.findIndex(s => s.elevationNumber === elevationNumber);
+            return { volumeNumber: state.number, sweepIndex, elevationNumber, volume: state.radar };
+        }
+        return null;
+    }
+
+    /**
+     * Forget a volume and its chunks.
+     * @param {number} volumeNumber
+     */
+    removeVolume(volumeNumber) {
+        this._volumes.delete(volumeNumber);
+    }
+
+    _volumeState(number) {
+        let state = this._volumes.get(number);
+        if (!state) {
+            state = {
+                number: number,
+                time: null,
+                chunks: new Map(),     // sequence -> { type, buffer } awaiting decode
+                nextSequence: 1,
+                radar: null,
+                completed: new Set(),  // Elevation numbers known to be complete
+                isComplete: false
+            };
+            this._volumes.set(number, state);
+        }
+        return state;
+    }
+
+    /**
+     * Decode every chunk that is now contiguous with what has been decoded.
+     */
+    _drain(state) {
+        let decodedAny = false;
+
+        while (state.chunks.has(state.nextSequence)) {
+            const { type, buffer } = state.chunks.get(state.nextSequence);
+            state.chunks.delete(state.nextSequence);
+            state.nextSequence++;
+
+            let records = new Uint8Array(buffer);
+            if (type === 'S') {
+                state.radar = NexradLevel2._empty(buffer.slice(0, VOLUME_HEADER_SIZE), this._filters);
+                records = records.subarray(VOLUME_HEADER_SIZE);
+            } else if (!state.radar) {
+                throw new Error(`Volume ${state.number} is missing its start chunk`);
+            }
+
+            for (const record of NexradLevel2._iterRecords(records)) {
+                state.radar._appendRecord(
+                    records.subarray(record.offset, record.offset + record.size),
+                    record.isCompressed
+                );
+            }
+            decodedAny = true;
+
+            if (type === 'E') state.isComplete = true;
+        }
+
+        if (!decodedAny) return;
+
+        state.radar._finalize();
+        this._markCompletedSweeps(state);
+
+        if (this.onUpdate) {
+            this.onUpdate({
+                volumeNumber: state.number,
+                volume: state.radar,
+                completedSweeps: [...state.completed].sort((a, b) => a - b),
+                isComplete: state.isComplete
+            });
+        }
+    }
+
+    _markCompletedSweeps(state) {
+        const raysBySweep = state.radar._raysBySweep;
+        const received = Object.keys(raysBySweep).map(Number);
+        const newest = Math.max(...received);
+
+        for (const num of received) {
+            if (state.isComplete || num < newest) {
+                state.completed.add(num);
+                continue;
+            }
+            const rays = raysBySweep[num];
+            const last = rays[rays.length - 1];
+            if (last.radialStatus === RADIAL_STATUS.END_OF_ELEVATION ||
+                last.radialStatus === RADIAL_STATUS.END_OF_VOLUME) {
+                state.completed.add(num);
+            }
+        }
+    }
+
+    _orderedVolumes() {
+        return [...this._volumes.values()].sort((a, b) => {
+            if (a.time && b.time) return a.time - b.time;
+            return a.number - b.number;
+        });
+    }
+
+    _latestNumber() {
+        const volumes = this._orderedVolumes();
+        return volumes.length ? volumes[volumes.length - 1].number : null;
+    }
+}
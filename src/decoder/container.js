@@ -0,0 +1,178 @@
+/**
+ * Level II container detection
+ *
+ * Volumes reach us wrapped in several ways besides the plain archive file:
+ *
+ *   gzip        - Whole file gzipped by a mirror or download tool (.gz)
+ *   bzip2       - Whole file bzip2 compressed (.bz2), records inside may be
+ *                 compressed again
+ *   messages    - Bare message stream with no volume header, e.g. records
+ *                 already decompressed and concatenated
+ *
+ * unwrapVolume() and unwrapVolumeStream() peel these layers off and return
+ * bytes that start with a volume header ("AR2V00xx." or "ARCHIVE2."), so the
+ * decoders never need to know how a file was delivered.
+ */
+
+import seekBzip from 'seek-bzip';
+import { gunzipSync } from 'fflate';
+
+const VOLUME_HEADER_SIZE = 24;
+const CTM_HEADER_SIZE = 12;
+const SNIFF_SIZE = 32;     // Enough to recognize every container
+const MAX_LAYERS = 3;      // e.g. gzip around bzip2 around the archive
+
+// Message types that may open a bare message stream
+const MESSAGE_TYPES = new Set([1, 2, 3, 5, 13, 15, 18, 29, 31]);
+
+/**
+ * Identify the outermost layer of a file.
+ * @param {Uint8Array} bytes - At least the first SNIFF_SIZE bytes, if the file has them
+ * @returns {string} 'volume', 'gzip', 'bzip2', 'messages' or 'unknown'
+ */
+export function detectContainer(bytes) {
+    if (bytes.byteLength >= 2 && bytes[0] === 0x1F && bytes[1] === 0x8B) return 'gzip';
+    if (bytes.byteLength >= 3 && bytes[0] === 0x42 && bytes[1] === 0x5A && bytes[2] === 0x68) return 'bzip2';
+
+    const magic = String.fromCharCode(...bytes.subarray(0, 8));
+    if (magic.startsWith('AR2V') || magic === 'ARCHIVE2') return 'volume';
+
+    if (bytes.byteLength >= CTM_HEADER_SIZE + 4) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const sizeHalfwords = view.getUint16(CTM_HEADER_SIZE, false);
+        const type = bytes[CTM_HEADER_SIZE + 3];
+        if (sizeHalfwords >= 8 && MESSAGE_TYPES.has(type)) return 'messages';
+    }
+    return 'unknown';
+}
+
+/**
+ * Volume header placed in front of a bare message stream. It carries no
+ * station or time; those are taken from the radials instead.
+ */
+function syntheticHeader() {
+    const header = new Uint8Array(VOLUME_HEADER_SIZE);
+    header.set(Array.from('ARCHIVE2.', c => c.charCodeAt(0)));
+    return header;
+}
+
+function unknownFormatError(bytes) {
+    const hex = Array.from(bytes.subarray(0, 8), b => b.toString(16).padStart(2, '0')).join(' ');
+    return new Error(`Unrecognized Level II file format (starts with ${hex || 'no data'})`);
+}
+
+/**
+ * Remove any compression or missing header around a volume.
+ * @param {ArrayBuffer} buffer - File contents as delivered
+ * @returns {ArrayBuffer} File contents starting with a volume header
+ */
+export function unwrapVolume(buffer) {
+    let bytes = new Uint8Array(buffer);
+
+    for (let layer = 0; layer <= MAX_LAYERS; layer++) {
+        switch (detectContainer(bytes)) {
+            case 'volume':
+                // Decoders may return views into larger (pooled) buffers
+                return bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+                    ? bytes.buffer
+                    : bytes.slice().buffer;
+            case 'gzip':
+                bytes = gunzipSync(bytes);
+                break;
+            case 'bzip2':
+                bytes = new Uint8Array(seekBzip.decode(bytes));
+                break;
+            case 'messages': {
+                const file = new Uint8Array(VOLUME_HEADER_SIZE + bytes.byteLength);
+                file.set(syntheticHeader(), 0);
+                file.set(bytes, VOLUME_HEADER_SIZE);
+                return file.buffer;
+            }
+            default:
+                throw unknownFormatError(bytes);
+        }
+    }
+    throw new Error("Too many compression layers around Level II file");
+}
+
+/**
+ * Stream version of unwrapVolume(). gzip is inflated as it arrives; a
+ * whole-file bzip2 stream has to be received completely before decoding.
+ * @param {ReadableStream} stream - File contents as delivered
+ * @returns {Promise<ReadableStream>} File contents starting with a volume header
+ */
+export async function unwrapVolumeStream(stream) {
+    for (let layer = 0; layer <= MAX_LAYERS; layer++) {
+        const { head, rest } = await peek(stream, SNIFF_SIZE);
+
+        switch (detectContainer(head)) {
+            case 'volume':
+                return rest;
+            case 'gzip':
+                stream = rest.pipeThrough(new DecompressionStream('gzip'));
+                break;
+            case 'bzip2': {
+                const compressed = await new Response(rest).arrayBuffer();
+                stream = new Blob([seekBzip.decode(new Uint8Array(compressed))]).stream();
+                break;
+            }
+            case 'messages':
+                return replay(syntheticHeader(), rest.getReader());
+            default:
+                await rest.cancel();
+                throw unknownFormatError(head);
+        }
+    }
+    throw new Error("Too many compression layers around Level II file");
+}
+
+/**
+ * Read at least `size` bytes (or the whole stream if shorter) without
+ * consuming them.
+ * @returns {Promise<Object>} { head, rest } where rest replays head
+ */
+async function peek(stream, size) {
+    const reader = stream.getReader();
+    const chunks = [];
+    let length = 0;
+    let done = false;
+
+    while (length < size) {
+        const result = await reader.read();
+        if (result.done) {
+            done = true;
+            break;
+        }
+        chunks.push(result.value);
+        length += result.value.byteLength;
+    }
+
+    const head = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        head.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+
+    return { head, rest: replay(head, reader, done) };
+}
+
+/**
+ * A stream yielding `first` and then whatever is left in `reader`.
+ */
+function replay(first, reader, done = false) {
+    return new ReadableStream({
+        start(controller) {
+            if (first.byteLength) controller.enqueue(first);
+            if (done) controller.close();
+        },
+        async pull(controller) {
+            const result = await reader.read();
+            if (result.done) controller.close();
+            else controller.enqueue(result.value);
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        }
+    });
+}
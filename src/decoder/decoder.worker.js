@@ -0,0 +1,39 @@
+/**
+ * Decoder Worker
+ *
+ * Decompresses and decodes single LDM records for DecoderPool. Each request
+ * carries one record; the reply carries the decoded record state with every
+ * moment array transferred (not copied) back to the caller.
+ *
+ * Request:  { id, bytes: ArrayBuffer, isCompressed, options }
+ * Reply:    { id, state } or { id, error }
+ */
+
+import {NexradLevel2} from "./NexradLevel2.js";
+
+/**
+ * Collect the ArrayBuffers backing every moment of every ray. The decoder
+ * copies each moment's gate codes out of the record, so no two moments
+ * share a buffer.
+ */
+function collectTransferables(state) {
+    const transfer = [];
+    for (const rays of Object.values(state.raysBySweep)) {
+        for (const ray of rays) {
+            for (const moment of Object.values(ray.moments)) {
+                transfer.push(moment.codes.buffer);
+            }
+        }
+    }
+    return transfer;
+}
+
+self.onmessage = (event) => {
+    const { id, bytes, isCompressed, options } = event.data;
+    try {
+        const state = NexradLevel2.decodeRecord(new Uint8Array(bytes), isCompressed, options);
+        self.postMessage({ id, state }, collectTransferables(state));
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
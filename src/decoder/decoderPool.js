@@ -0,0 +1,180 @@
+/**
+ * DecoderPool - Decode Level II volumes off the main thread
+ *
+ * The volume is split into its LDM records on the calling thread (cheap:
+ * only the 4-byte size words are read), then every record is bzip2
+ * decompressed and decoded by a small pool of workers in parallel. Decoded
+ * moment arrays come back as transferred buffers, so nothing is copied on
+ * the way home. The result is an ordinary NexradLevel2 instance.
+ *
+ * Usage:
+ *   const radar = await decodeVolumeAsync(buffer, {
+ *       moments: ['REF', 'VEL'],
+ *       sweeps: [0, 1],
+ *       onProgress: ({ decoded, total }) => { ... }
+ *   });
+ */
+
+import {NexradLevel2} from "./NexradLevel2.js";
+import {unwrapVolume} from "./container.js";
+
+const MAX_WORKERS = 4;
+
+function defaultWorkerCount() {
+    const cores = globalThis.navigator?.hardwareConcurrency ?? 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+}
+
+export class DecoderPool {
+    /**
+     * @param {number} size - Number of workers (default: cores - 1, at most 4)
+     */
+    constructor(size = defaultWorkerCount()) {
+        this.size = size;
+        this._workers = [];
+        this._idle = [];
+        this._queue = [];       // Tasks waiting for a worker
+        this._pending = new Map(); // id -> { resolve, reject }
+        this._nextId = 0;
+    }
+
+    _spawn() {
+        const worker = new Worker(new URL('./decoder.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => this._onMessage(worker, event.data);
+        worker.onerror = (event) => {
+            console.error("Decoder worker failed", event.message);
+            this._discard(worker, new Error(`Decoder worker failed: ${event.message}`));
+        };
+        this._workers.push(worker);
+        this._idle.push(worker);
+    }
+
+    /**
+     * Drop a broken worker and fail the task it was running.
+     */
+    _discard(worker, error) {
+        worker.terminate();
+        this._workers = this._workers.filter(w => w !== worker);
+        this._idle = this._idle.filter(w => w !== worker);
+
+        for (const [id, task] of this._pending) {
+            if (task.worker === worker) {
+                this._pending.delete(id);
+                task.reject(error);
+            }
+        }
+        this._dispatch();
+    }
+
+    _onMessage(worker, message) {
+        const task = this._pending.get(message.id);
+        // Already rejected by _discard() or terminate()
+        if (!task) return;
+        this._pending.delete(message.id);
+
+        if (message.error) {
+            task.reject(new Error(message.error));
+        } else {
+            task.resolve(message.state);
+        }
+
+        this._idle.push(worker);
+        this._dispatch();
+    }
+
+    _dispatch() {
+        while (this._queue.length && (this._idle.length || this._workers.length < this.size)) {
+            if (!this._idle.length) this._spawn();
+
+            const worker = this._idle.pop();
+            const task = this._queue.shift();
+            task.worker = worker;
+            this._pending.set(task.id, task);
+            worker.postMessage(task.message, [task.message.bytes]);
+        }
+    }
+
+    /**
+     * Decode a single record on the next free worker.
+     * @param {ArrayBuffer} bytes - Record payload; ownership moves to the worker
+     * @param {boolean} isCompressed
+     * @param {Object} options - { moments, sweeps } filters
+     * @returns {Promise<Object>} Record state for NexradLevel2.fromRecords()
+     */
+    decodeRecord(bytes, isCompressed, options = {}) {
+        return new Promise((resolve, reject) => {
+            const id = this._nextId++;
+            this._queue.push({
+                id, resolve, reject,
+                message: { id, bytes, isCompressed, options }
+            });
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Decode a full volume.
+     * @param {ArrayBuffer} buffer - The raw binary data of the file (left untouched)
+     * @param {Object} options
+     *   - moments: Moment names to keep (default: all)
+     *   - sweeps: Zero-based elevation numbers to keep (default: all)
+     *   - onProgress: Called with { decoded, total } as records finish
+     * @returns {Promise<NexradLevel2>}
+     */
+    async decodeVolume(buffer, options = {}) {
+        const { moments, sweeps, onProgress = null } = options;
+        const filters = { moments, sweeps };
+
+        buffer = unwrapVolume(buffer);
+        const records = NexradLevel2.splitRecords(buffer);
+        const total = records.length;
+        let decoded = 0;
+
+        const states = await Promise.all(records.map(async (record) => {
+            // Copy the record out so its buffer can be transferred to the worker
+            const bytes = buffer.slice(record.offset, record.offset + record.size);
+            const state = await this.decodeRecord(bytes, record.isCompressed, filters);
+
+            decoded++;
+            if (onProgress) onProgress({ decoded, total });
+            return state;
+        }));
+
+        return NexradLevel2.fromRecords(buffer, states, filters);
+    }
+
+    /**
+     * Stop every worker and fail anything still queued.
+     */
+    terminate() {
+        for (const worker of this._workers) worker.terminate();
+        for (const task of [...this._queue, ...this._pending.values()]) {
+            task.reject(new Error("Decoder pool terminated"));
+        }
+        this._workers = [];
+        this._idle = [];
+        this._queue = [];
+        this._pending.clear();
+    }
+}
+
+let sharedPool = null;
+
+/**
+ * The pool shared by decodeVolumeAsync and streaming readers.
+ * @returns {DecoderPool}
+ */
+export function sharedDecoderPool() {
+    if (!sharedPool) sharedPool = new DecoderPool();
+    return sharedPool;
+}
+
+/**
+ * Decode a volume on the shared worker pool.
+ * @param {ArrayBuffer} buffer
+ * @param {Object} options - See DecoderPool.decodeVolume
+ * @returns {Promise<NexradLevel2>}
+ */
+export function decodeVolumeAsync(buffer, options = {}) {
+    return sharedDecoderPool().decodeVolume(buffer, options);
+}
@@ -0,0 +1,292 @@
+/**
+ * Level II metadata message decoders
+ *
+ * The first LDM record of every volume carries the RDA's metadata as fixed
+ * 2432-byte message frames:
+ *
+ *   Message 15 - Clutter filter map (segmented)
+ *   Message 13 - Clutter filter bypass map (segmented, legacy RDAs)
+ *   Message 18 - RDA adaptation data (segmented)
+ *   Message 3  - Performance/maintenance data (not decoded)
+ *   Message 5  - Volume coverage pattern (VCP) definition
+ *   Message 2  - RDA status
+ *
+ * Each decoder takes a DataView over the message body (after the 16-byte
+ * message header) and returns a plain object, so results can be posted
+ * between threads. Field layouts follow the RDA/RPG ICD (2620002).
+ */
+
+// Angles are 16-bit binary angle measurements (BAMS)
+const BAMS_16 = 360 / 65536;
+// Azimuth rates are BAMS scaled so 16384 counts = 22.5 deg/s
+const AZ_RATE_SCALE = 22.5 / 16384;
+const THRESHOLD_SCALE = 0.125;
+
+const WAVEFORMS = {
+    1: { code: 'CS', name: 'Contiguous Surveillance' },
+    2: { code: 'CD/W', name: 'Contiguous Doppler with Ambiguity Resolution' },
+    3: { code: 'CD/WO', name: 'Contiguous Doppler without Ambiguity Resolution' },
+    4: { code: 'B', name: 'Batch' },
+    5: { code: 'SPP', name: 'Staggered Pulse Pair' },
+};
+
+const CHANNEL_CONFIGS = ['Constant Phase', 'Random Phase', 'SZ2 Phase'];
+
+const RDA_STATES = { 2: 'Start-Up', 4: 'Standby', 8: 'Restart', 16: 'Operate', 64: 'Off-line Operate' };
+const OPERABILITY = [
+    'On-Line', 'Maintenance Action Required', 'Maintenance Action Mandatory',
+    'Commanded Shut Down', 'Inoperable'
+];
+const CONTROL_STATES = { 2: 'Local Only', 4: 'RPG (Remote) Only', 8: 'Either' };
+const OPERATIONAL_MODES = { 2: 'Test', 4: 'Operational', 8: 'Maintenance' };
+const ALARM_CATEGORIES = [
+    'Tower/Utilities', 'Pedestal', 'Transmitter', 'Receiver',
+    'RDA Control', 'Communication', 'Signal Processor'
+];
+
+/**
+ * Read a fixed-length, NUL/space padded ASCII field.
+ */
+function readString(view, offset, length) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, length);
+    return new TextDecoder().decode(bytes).replace(/[\0\s]+$/, '');
+}
+
+/**
+ * Convert a Level II modified Julian date (1 = 1970-01-01) and milliseconds
+ * of day to a Date, or null when the date is unset.
+ */
+function julianToDate(julianDate, milliseconds) {
+    if (!julianDate) return null;
+    return new Date((julianDate - 1) * 86400000 + milliseconds);
+}
+
+/**
+ * Names of the bits set in a flags halfword.
+ * @param {number} value
+ * @param {string[]} names - Name per bit, starting at `firstBit`
+ * @param {number} firstBit
+ */
+function setBits(value, names, firstBit = 0) {
+    return names.filter((name, i) => value & (1 << (i + firstBit)));
+}
+
+/**
+ * Message 5 - Volume Coverage Pattern
+ * @param {DataView} view - Message body
+ * @returns {Object} { pattern, patternType, version, clutterMapGroup,
+ *                     dopplerVelocityResolution, pulseWidth, sails, mrle, cuts[] }
+ */
+export function decodeVcpMessage(view) {
+    const numCuts = view.getUint16(6, false);
+    const dopplerRes = view.getUint8(10);
+    const pulseWidth = view.getUint8(11);
+    const sequencing = view.getUint16(16, false);
+    const supplemental = view.getUint16(18, false);
+
+    const cuts = [];
+    for (let i = 0; i < numCuts; i++) {
+        const base = 22 + i * 46;
+        if (base + 46 > view.byteLength) break;
+
+        const waveformCode = view.getUint8(base + 3);
+        const superRes = view.getUint8(base + 4);
+        const cutSupplemental = view.getUint16(base + 28, false);
+
+        cuts.push({
+            elevation: parseFloat((view.getUint16(base, false) * BAMS_16).toFixed(2)),
+            channelConfig: CHANNEL_CONFIGS[view.getUint8(base + 2)] ?? 'Unknown',
+            waveform: WAVEFORMS[waveformCode]?.code ?? 'Unknown',
+            waveformName: WAVEFORMS[waveformCode]?.name ?? 'Unknown',
+            superResolution: {
+                halfDegreeAzimuth: !!(superRes & 0x01),
+                quarterKmReflectivity: !!(superRes & 0x02),
+                dopplerTo300km: !!(superRes & 0x04),
+                dualPolTo300km: !!(superRes & 0x08),
+            },
+            surveillancePrf: view.getUint8(base + 5),
+            surveillancePulseCount: view.getUint16(base + 6, false),
+            azimuthRate: view.getInt16(base + 8, false) * AZ_RATE_SCALE, // deg/s
+            thresholds: {
+                REF: view.getInt16(base + 10, false) * THRESHOLD_SCALE,
+                VEL: view.getInt16(base + 12, false) * THRESHOLD_SCALE,
+                SW: view.getInt16(base + 14, false) * THRESHOLD_SCALE,
+                ZDR: view.getInt16(base + 16, false) * THRESHOLD_SCALE,
+                PHI: view.getInt16(base + 18, false) * THRESHOLD_SCALE,
+                RHO: view.getInt16(base + 20, false) * THRESHOLD_SCALE,
+            },
+            dopplerSectors: [0, 1, 2].map(s => ({
+                edgeAngle: view.getUint16(base + 22 + s * 8, false) * BAMS_16,
+                prf: view.getUint16(base + 24 + s * 8, false),
+                pulseCount: view.getUint16(base + 26 + s * 8, false),
+            })),
+            isSails: !!(cutSupplemental & 0x0001),
+            sailsSequence: (cutSupplemental >> 1) & 0x7,
+            isMrle: !!(cutSupplemental & 0x0010),
+            mrleSequence: (cutSupplemental >> 5) & 0x7,
+            isMpda: !!(cutSupplemental & 0x0200),
+            isBaseTilt: !!(cutSupplemental & 0x0400),
+            ebcAngle: view.getUint16(base + 36, false) * BAMS_16,
+        });
+    }
+
+    return {
+        pattern: view.getUint16(4, false),
+        patternType: view.getUint16(2, false),
+        version: view.getUint8(8),
+        clutterMapGroup: view.getUint8(9),
+        dopplerVelocityResolution: dopplerRes === 2 ? 0.5 : dopplerRes === 4 ? 1.0 : null, // m/s
+        pulseWidth: pulseWidth === 2 ? 'Short' : pulseWidth === 4 ? 'Long' : 'Unknown',
+        numElevations: sequencing & 0x1F,
+        sails: { enabled: !!(supplemental & 0x0001), cuts: (supplemental >> 1) & 0x7 },
+        mrle: { enabled: !!(supplemental & 0x0010), cuts: (supplemental >> 5) & 0x7 },
+        mpda: !!(supplemental & 0x0800),
+        baseTilt: { enabled: !!(supplemental & 0x1000), cuts: (supplemental >> 13) & 0x7 },
+        cuts: cuts
+    };
+}
+
+/**
+ * Message 2 - RDA Status Data
+ * @param {DataView} view - Message body
+ * @returns {Object}
+ */
+export function decodeRdaStatusMessage(view) {
+    const hw = (n) => view.getUint16((n - 1) * 2, false);
+    const shw = (n) => view.getInt16((n - 1) * 2, false);
+
+    const build = hw(10);
+    const alarmSummary = hw(15);
+    const alarmCodes = [];
+    for (let n = 27; n <= 40; n++) {
+        const code = view.byteLength >= n * 2 ? hw(n) : 0;
+        if (code) alarmCodes.push(code);
+    }
+
+    return {
+        rdaState: RDA_STATES[hw(1)] ?? 'Unknown',
+        operabilityStatus: setBits(hw(2), OPERABILITY, 1),
+        autoCalibrationDisabled: !!(hw(2) & 0x1),
+        controlStatus: CONTROL_STATES[hw(3)] ?? 'Unknown',
+        averageTransmitterPower: hw(5), // W
+        horizontalReflectivityCalibration: shw(6) * 0.01, // dB
+        dataTransmissionEnabled: setBits(hw(7), ['REF', 'VEL', 'SW'], 2),
+        vcp: Math.abs(shw(8)),
+        isLocalVcp: shw(8) < 0,
+        rdaBuild: build / 100 > 2 ? build / 100 : build / 10,
+        operationalMode: OPERATIONAL_MODES[hw(11)] ?? 'Unknown',
+        superResolutionEnabled: hw(12) === 2,
+        clutterMitigationDecision: hw(13),
+        avsetEnabled: hw(14) === 2,
+        alarms: alarmSummary === 0 ? [] : setBits(alarmSummary, ALARM_CATEGORIES, 1),
+        spotBlankingEnabled: hw(18) === 1,
+        bypassMapGenerated: julianToDate(hw(19), hw(20) * 60000),
+        clutterFilterMapGenerated: julianToDate(hw(21), hw(22) * 60000),
+        verticalReflectivityCalibration: shw(23) * 0.01, // dB
+        alarmCodes: alarmCodes
+    };
+}
+
+/**
+ * Message 15 - Clutter Filter Map
+ * For each elevation segment and each of 360 one-degree azimuths, a list of
+ * range zones with the filter operation applied up to `endRange`.
+ * @param {DataView} view - Reassembled message body
+ * @returns {Object} { generated, segments: [azimuth][zone] = { op, endRange } }
+ */
+export function decodeClutterFilterMap(view) {
+    const OPS = ['Bypass Filter', 'Bypass Map in Control', 'Force Filter'];
+    const numSegments = view.getUint16(4, false);
+
+    let pos = 6;
+    const segments = [];
+    for (let e = 0; e < numSegments; e++) {
+        const azimuths = [];
+        for (let az = 0; az < 360; az++) {
+            if (pos + 2 > view.byteLength) break;
+            const numZones = view.getUint16(pos, false);
+            pos += 2;
+
+            const zones = [];
+            for (let z = 0; z < numZones && pos + 4 <= view.byteLength; z++) {
+                const op = view.getUint16(pos, false);
+                zones.push({ op: OPS[op] ?? op, endRange: view.getUint16(pos + 2, false) }); // km
+                pos += 4;
+            }
+            azimuths.push(zones);
+        }
+        segments.push(azimuths);
+    }
+
+    return {
+        generated: julianToDate(view.getUint16(0, false), view.getUint16(2, false) * 60000),
+        segments: segments
+    };
+}
+
+/**
+ * Message 13 - Clutter Filter Bypass Map
+ * Each elevation segment is a bitmap of 360 radials x 512 one-km range
+ * bins; 1 means clutter filtering is performed.
+ * @param {DataView} view - Reassembled message body
+ * @returns {Object} { generated, segments: [{ segment, bins: Uint8Array(360 * 512) }] }
+ */
+export function decodeClutterBypassMap(view) {
+    const RADIALS = 360;
+    const HALFWORDS_PER_RADIAL = 32;
+    const BINS = HALFWORDS_PER_RADIAL * 16;
+
+    const numSegments = view.getUint16(4, false);
+    let pos = 6;
+    const segments = [];
+
+    for (let e = 0; e < numSegments; e++) {
+        if (pos + 2 + RADIALS * HALFWORDS_PER_RADIAL * 2 > view.byteLength) break;
+        const segment = view.getUint16(pos, false);
+        pos += 2;
+
+        const bins = new Uint8Array(RADIALS * BINS);
+        for (let r = 0; r < RADIALS; r++) {
+            for (let h = 0; h < HALFWORDS_PER_RADIAL; h++) {
+                const word = view.getUint16(pos, false);
+                pos += 2;
+                // Bit 15 holds the first range bin of each halfword
+                for (let b = 0; b < 16; b++) {
+                    bins[r * BINS + h * 16 + b] = (word >> (15 - b)) & 1;
+                }
+            }
+        }
+        segments.push({ segment, bins });
+    }
+
+    return {
+        generated: julianToDate(view.getUint16(0, false), view.getUint16(2, false) * 60000),
+        segments: segments
+    };
+}
+
+/**
+ * Message 18 - RDA Adaptation Data
+ * Only the identification block and pedestal limits are decoded; the full
+ * reassembled body is kept in `bytes` for anything more specialized.
+ * @param {DataView} view - Reassembled message body
+ * @returns {Object}
+ */
+export function decodeAdaptationData(view) {
+    const f = (offset) => view.getFloat32(offset, false);
+
+    return {
+        fileName: readString(view, 0, 12),
+        format: readString(view, 12, 4),
+        revision: readString(view, 16, 4),
+        date: readString(view, 20, 12),
+        time: readString(view, 32, 12),
+        azimuthPositionGain: f(44),   // k1
+        azimuthLatency: f(48),        // s
+        elevationPositionGain: f(52), // k3
+        elevationLatency: f(56),      // s
+        parkAzimuth: f(60),           // deg
+        parkElevation: f(64),         // deg
+        bytes: new Uint8Array(view.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength))
+    };
+}
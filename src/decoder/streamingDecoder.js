@@ -0,0 +1,231 @@
+/**
+ * NexradLevel2Stream - Progressive decoding of Level II volumes
+ *
+ * Every LDM record in a Level II file is an independent bzip2 block, and the
+ * lowest elevation sits in the first few records. (Pre-LDM archives and bare
+ * message streams have no records; their frames are decoded in batches as
+ * they arrive.) This reader consumes a
+ * ReadableStream (fetch().body, File.stream()), decodes each record as soon
+ * as its bytes have arrived and announces sweeps as they are completed, so
+ * the 0.5° cut can be on screen long before the volume finishes downloading.
+ *
+ * Events (all CustomEvent, payload in event.detail):
+ *   - progress:      { bytesReceived, recordsDecoded }
+ *   - sweepcomplete: { sweepIndex, elevationNumber, volume }
+ *   - complete:      { volume }
+ *
+ * Usage:
+ *   const reader = new NexradLevel2Stream();
+ *   reader.addEventListener('sweepcomplete', (event) => { ... });
+ *   const radar = await reader.read(response.body);
+ */
+
+import {NexradLevel2, RADIAL_STATUS} from "./NexradLevel2.js";
+import {unwrapVolumeStream} from "./container.js";
+
+const VOLUME_HEADER_SIZE = 24;
+const RECORD_SIZE_BYTES = 4;
+const FRAME_HEADERS_SIZE = 28; // CTM header + message header
+
+/**
+ * Accept the common stream carriers and return a ReadableStream.
+ * @param {ReadableStream|Response|Blob} source
+ * @returns {ReadableStream}
+ */
+function toReadableStream(source) {
+    if (source instanceof ReadableStream) return source;
+    if (typeof Response !== 'undefined' && source instanceof Response) return source.body;
+    if (typeof Blob !== 'undefined' && source instanceof Blob) return source.stream();
+    throw new Error("Expected a ReadableStream, Response or Blob");
+}
+
+export class NexradLevel2Stream extends EventTarget {
+    /**
+     * @param {Object} options
+     *   - moments: Moment names to keep (default: all)
+     *   - sweeps: Zero-based elevation numbers to keep (default: all)
+     *   - pool: DecoderPool to decode records on (default: this thread)
+     */
+    constructor(options = {}) {
+        super();
+        const { moments, sweeps, pool = null } = options;
+        this._filters = { moments, sweeps };
+        this._pool = pool;
+
+        this._pending = new Uint8Array(0); // Bytes received but not yet consumed
+        this._volume = null;
+        this._bareFrames = false;          // Header was followed by message frames, not LDM records
+        this._bytesReceived = 0;
+        this._recordsDecoded = 0;
+        this._emitted = new Set();          // Elevation numbers already announced
+        this._decodeChain = Promise.resolve();
+        this._failed = false;               // A record failed; the chain rejects with its error
+    }
+
+    /**
+     * The volume decoded so far (null until the header has arrived).
+     * It grows as records are decoded; sweep indices never shift because
+     * elevations arrive in increasing order.
+     * @returns {NexradLevel2|null}
+     */
+    get volume() { return this._volume; }
+
+    /**
+     * Consume a stream to the end.
+     * @param {ReadableStream|Response|Blob} source
+     * @param {Object} options
+     *   - signal: AbortSignal; aborting cancels the stream (and so its
+     *             download) and rejects with the signal's reason
+     * @returns {Promise<NexradLevel2>} The complete volume
+     */
+    async read(source, options = {}) {
+        const { signal = null } = options;
+        const stream = await unwrapVolumeStream(toReadableStream(source));
+        const reader = stream.getReader();
+        const cancel = () => reader.cancel(signal.reason).catch(() => {});
+        if (signal?.aborted) cancel();
+        else signal?.addEventListener('abort', cancel, { once: true });
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                signal?.throwIfAborted();
+                if (done) break;
+                this._bytesReceived += value.byteLength;
+                this._push(value);
+                if (this._failed) {
+                    // The volume is lost, stop downloading it
+                    reader.cancel().catch(() => {});
+                    break;
+                }
+            }
+        } finally {
+            signal?.removeEventListener('abort', cancel);
+        }
+
+        if (this._bareFrames && this._pending.byteLength) {
+            this._queueRecord(this._pending, false);
+        }
+
+        await this._decodeChain;
+        if (!this._volume) {
+            throw new Error("Stream ended before the volume header");
+        }
+
+        this._volume._finalize();
+        this._volume._assertHasData();
+        for (const sweep of this._volume.sweeps) {
+            this._emitSweep(sweep.elevationNumber);
+        }
+
+        this.dispatchEvent(new CustomEvent('complete', { detail: { volume: this._volume } }));
+        return this._volume;
+    }
+
+    _push(chunk) {
+        const merged = new Uint8Array(this._pending.byteLength + chunk.byteLength);
+        merged.set(this._pending, 0);
+        merged.set(chunk, this._pending.byteLength);
+        this._pending = merged;
+
+        let pos = 0;
+        if (!this._volume) {
+            if (merged.byteLength < VOLUME_HEADER_SIZE + RECORD_SIZE_BYTES * 2) return;
+            const header = merged.slice(0, VOLUME_HEADER_SIZE).buffer;
+            this._volume = NexradLevel2._empty(header, this._filters);
+            this._bareFrames = !NexradLevel2._usesLdmRecords(merged);
+            pos = VOLUME_HEADER_SIZE;
+        }
+
+        const view = new DataView(merged.buffer);
+
+        if (this._bareFrames) {
+            // Pre-LDM archive or bare messages: decode the complete frames
+            // received so far; anything unparsable waits for the end of the stream
+            let end = pos;
+            while (end + FRAME_HEADERS_SIZE <= merged.byteLength) {
+                const frameSize = NexradLevel2._frameSize(view, end);
+                if (!frameSize || end + frameSize > merged.byteLength) break;
+                end += frameSize;
+            }
+            if (end > pos) this._queueRecord(merged.slice(pos, end), false);
+            this._pending = merged.slice(end);
+            return;
+        }
+
+        while (pos + RECORD_SIZE_BYTES <= merged.byteLength) {
+            const recordSize = view.getInt32(pos, false);
+            const size = Math.abs(recordSize);
+            if (pos + RECORD_SIZE_BYTES + size > merged.byteLength) break;
+
+            const start = pos + RECORD_SIZE_BYTES;
+            this._queueRecord(merged.slice(start, start + size), recordSize > 0);
+            pos = start + size;
+        }
+
+        this._pending = merged.slice(pos);
+    }
+
+    /**
+     * Decode a record and merge it once every earlier record has been merged.
+     */
+    _queueRecord(bytes, isCompressed) {
+        if (this._failed) return;
+        const decoded = this._pool
+            ? this._pool.decodeRecord(bytes.buffer, isCompressed, this._filters)
+            : null;
+        // Awaited in the chain, which is skipped once an earlier record failed
+        decoded?.catch(() => {});
+
+        this._decodeChain = this._decodeChain.then(async () => {
+            const state = decoded
+                ? await decoded
+                : NexradLevel2.decodeRecord(bytes, isCompressed, this._filters);
+
+            this._volume._mergeRecordState(state);
+            this._recordsDecoded++;
+            this._announceCompletedSweeps(state);
+
+            this.dispatchEvent(new CustomEvent('progress', {
+                detail: { bytesReceived: this._bytesReceived, recordsDecoded: this._recordsDecoded }
+            }));
+        });
+        this._decodeChain.catch(() => { this._failed = true; });
+    }
+
+    /**
+     * A sweep is complete once its end-of-elevation radial has been seen or
+     * rays from a later elevation have started arriving.
+     */
+    _announceCompletedSweeps(state) {
+        const received = Object.keys(this._volume._raysBySweep).map(Number);
+        if (!received.length) return;
+        const newest = Math.max(...received);
+
+        const completed = received.filter(num => {
+            if (this._emitted.has(num)) return false;
+            if (num < newest) return true;
+
+            const rays = state.raysBySweep[num] || [];
+            return rays.some(ray =>
+                ray.radialStatus === RADIAL_STATUS.END_OF_ELEVATION ||
+                ray.radialStatus === RADIAL_STATUS.END_OF_VOLUME);
+        });
+        if (!completed.length) return;
+
+        this._volume._finalize();
+        for (const num of completed.sort((a, b) => a - b)) {
+            this._emitSweep(num);
+        }
+    }
+
+    _emitSweep(elevationNumber) {
+        if (this._emitted.has(elevationNumber)) return;
+        this._emitted.add(elevationNumber);
+
+        const sweepIndex = this._volume.sweeps.findIndex(s => s.elevationNumber === elevationNumber);
+        this.dispatchEvent(new CustomEvent('sweepcomplete', {
+            detail: { sweepIndex, elevationNumber, volume: this._volume }
+        }));
+    }
+}
@@ -0,0 +1,342 @@
+/**
+ * Sweep grids - Clean up the radials of a sweep before display or analysis
+ *
+ * NexradLevel2.getData() returns rays in arrival order: a sweep starts at an
+ * arbitrary azimuth, may repeat radials where it overlaps its start and may
+ * miss radials entirely. These helpers work on getData() results (physical
+ * or raw) and return new results of the same shape:
+ *
+ *   normalizeSweep(sweepData)      - Sorted by azimuth, duplicates removed,
+ *                                    per-ray beam widths from the neighbors
+ *   resampleSweep(sweepData, 720)  - Regular 0.5° (720) or 1° (360) grid with
+ *                                    missing rays made explicit
+ *
+ * gateAt(sweep, azimuth, range) looks a single gate up in a normalized or
+ * resampled sweep, e.g. for the value under the mouse. interpolateAt() and
+ * raysWithin() serve gridding (products/gridding.js).
+ *
+ * Both add:
+ *   - beamWidths: Float32Array, angular width of each ray (degrees)
+ *   - rayIndices: Int32Array, ray of the original getData() result each ray
+ *                 came from (-1 for a missing ray)
+ *
+ * Usage:
+ *   const sweep = normalizeSweep(radar.getData(0, 'REF'));
+ *   renderer.loadData(sweep.azimuths, sweep.ranges, sweep.data, { beamWidths: sweep.beamWidths });
+ */
+
+import {GATE_MASK} from "./NexradLevel2.js";
+
+// Rays closer than this fraction of the nominal spacing are the same radial
+const DUPLICATE_FRACTION = 0.25;
+// Spacings wider than this multiple of the nominal spacing are gaps
+const GAP_FACTOR = 1.5;
+// Gate width assumed for a sweep with a single gate
+const DEFAULT_GATE_WIDTH = 0.25; // km
+
+/**
+ * Angular distance from a to b going clockwise, in [0, 360).
+ */
+function clockwise(a, b) {
+    return ((b - a) % 360 + 360) % 360;
+}
+
+/**
+ * Typical spacing between neighboring rays of azimuth-sorted angles.
+ */
+function nominalSpacing(sorted) {
+    const spacings = [];
+    for (let i = 0; i < sorted.length; i++) {
+        const spacing = clockwise(sorted[i], sorted[(i + 1) % sorted.length]);
+        if (spacing > 0.05) spacings.push(spacing);
+    }
+    if (!spacings.length) return 1.0;
+    spacings.sort((a, b) => a - b);
+    return spacings[Math.floor(spacings.length / 2)];
+}
+
+/**
+ * Index of the last sorted azimuth at or before `value`, wrapping to the
+ * last ray when every azimuth is after it.
+ */
+function lastAtOrBefore(sorted, value) {
+    let low = 0;
+    let high = sorted.length - 1;
+    let found = sorted.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (sorted[mid] <= value) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
+
+/**
+ * Ray of a normalized sweep whose beam covers an azimuth, the nearest one
+ * if two overlap.
+ * @returns {number} Ray index, -1 if the azimuth falls in a gap
+ */
+function coveringRay(azimuths, beamWidths, azimuth) {
+    const before = lastAtOrBefore(azimuths, azimuth);
+
+    let best = -1;
+    let bestDistance = Infinity;
+    for (const candidate of [before, (before + 1) % azimuths.length]) {
+        const distance = Math.min(clockwise(azimuths[candidate], azimuth), clockwise(azimuth, azimuths[candidate]));
+        if (distance <= beamWidths[candidate] / 2 && distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Copy the per-ray parts of a getData() result into a new ray order.
+ * @param {Object} sweepData - getData() result
+ * @param {Int32Array} rayIndices - Source ray per output ray, -1 for missing
+ * @returns {Object} New result without azimuths/beamWidths filled in
+ */
+function reorderRays(sweepData, rayIndices) {
+    const [, numGates] = sweepData.dims;
+    const numRays = rayIndices.length;
+    const values = sweepData.codes ?? sweepData.data;
+
+    const outValues = new values.constructor(numRays * numGates);
+    if (!sweepData.codes) outValues.fill(NaN);
+    const outMask = new Uint8Array(numRays * numGates).fill(GATE_MASK.NO_DATA);
+    const outNyquist = new Float32Array(numRays).fill(NaN);
+
+    for (let i = 0; i < numRays; i++) {
+        const source = rayIndices[i];
+        if (source < 0) continue;
+        const from = source * numGates;
+        outValues.set(values.subarray(from, from + numGates), i * numGates);
+        outMask.set(sweepData.mask.subarray(from, from + numGates), i * numGates);
+        outNyquist[i] = sweepData.nyquistVelocities[source];
+    }
+
+    const result = {
+        ...sweepData,
+        dims: [numRays, numGates],
+        mask: outMask,
+        nyquistVelocities: outNyquist,
+        rayIndices: rayIndices
+    };
+    if (sweepData.codes) result.codes = outValues;
+    else result.data = outValues;
+    return result;
+}
+
+/**
+ * Sort rays by azimuth, drop duplicate radials and derive each ray's beam
+ * width from its neighbors. A neighbor further away than a gap is ignored,
+ * so rays next to missing radials keep their own width instead of being
+ * stretched across the gap.
+ * @param {Object} sweepData - NexradLevel2.getData() result
+ * @returns {Object} Result of the same shape plus beamWidths and rayIndices
+ */
+export function normalizeSweep(sweepData) {
+    const { azimuths } = sweepData;
+    const order = Array.from(azimuths, (_, i) => i)
+        .sort((a, b) => azimuths[a] - azimuths[b] || a - b);
+
+    const spacing = nominalSpacing(order.map(i => azimuths[i]));
+
+    // Of two rays at the same azimuth keep the one received last
+    const kept = [];
+    for (const index of order) {
+        const previous = kept[kept.length - 1];
+        if (previous !== undefined &&
+            clockwise(azimuths[previous], azimuths[index]) < spacing * DUPLICATE_FRACTION) {
+            if (index > previous) kept[kept.length - 1] = index;
+            continue;
+        }
+        kept.push(index);
+    }
+    // The sweep may also overlap itself across north
+    if (kept.length > 1 &&
+        clockwise(azimuths[kept[kept.length - 1]], azimuths[kept[0]]) < spacing * DUPLICATE_FRACTION) {
+        const last = kept.pop();
+        if (last > kept[0]) kept[0] = last;
+    }
+
+    const numRays = kept.length;
+    const sortedAzimuths = new Float32Array(numRays);
+    const beamWidths = new Float32Array(numRays);
+    kept.forEach((index, i) => { sortedAzimuths[i] = azimuths[index]; });
+
+    for (let i = 0; i < numRays; i++) {
+        const before = clockwise(sortedAzimuths[(i - 1 + numRays) % numRays], sortedAzimuths[i]);
+        const after = clockwise(sortedAzimuths[i], sortedAzimuths[(i + 1) % numRays]);
+        const neighbors = [before, after].filter(d => d > 0 && d <= spacing * GAP_FACTOR);
+        beamWidths[i] = neighbors.length
+            ? neighbors.reduce((sum, d) => sum + d, 0) / neighbors.length
+            : spacing;
+    }
+
+    const result = reorderRays(sweepData, Int32Array.from(kept));
+    result.azimuths = sortedAzimuths;
+    result.beamWidths = beamWidths;
+    return result;
+}
+
+/**
+ * Resample a sweep onto a regular grid of radials centered at
+ * (i + 0.5) * 360 / numRadials. Each grid radial takes the nearest ray
+ * whose beam covers its center; radials no ray covers are missing (all
+ * gates NO_DATA, rayIndices -1). 1° rays fill two 0.5° radials; 0.5° rays
+ * are thinned to every other one on a 1° grid.
+ * @param {Object} sweepData - NexradLevel2.getData() or normalizeSweep() result
+ * @param {number} numRadials - 360 or 720
+ * @returns {Object} Result of the same shape plus beamWidths and rayIndices
+ */
+export function resampleSweep(sweepData, numRadials = 720) {
+    if (numRadials !== 360 && numRadials !== 720) {
+        throw new Error(`Unsupported radial count ${numRadials} (expected 360 or 720)`);
+    }
+
+    const sweep = sweepData.beamWidths ? sweepData : normalizeSweep(sweepData);
+    const { azimuths, beamWidths } = sweep;
+    const step = 360 / numRadials;
+    const gridIndices = new Int32Array(numRadials).fill(-1);
+
+    for (let i = 0; i < numRadials; i++) {
+        gridIndices[i] = coveringRay(azimuths, beamWidths, (i + 0.5) * step);
+    }
+
+    const result = reorderRays(sweep, gridIndices);
+    result.azimuths = Float32Array.from({ length: numRadials }, (_, i) => (i + 0.5) * step);
+    result.beamWidths = new Float32Array(numRadials).fill(step);
+    // Point back at the original getData() rays rather than the sorted ones
+    result.rayIndices = gridIndices.map(i => i < 0 ? -1 : sweep.rayIndices[i]);
+    return result;
+}
+
+/**
+ * Spacing of a sweep's gates.
+ * @param {Object} sweep - getData()-shaped result
+ * @returns {number} km
+ */
+export function gateWidthOf(sweep) {
+    const { ranges } = sweep;
+    return ranges.length > 1 ? ranges[1] - ranges[0] : DEFAULT_GATE_WIDTH;
+}
+
+/**
+ * Gate of a sweep covering an azimuth and slant range, matching how the
+ * renderer draws it: a ray spans its beam width around its azimuth and a
+ * gate spans one gate width from its entry in `ranges`.
+ * @param {Object} sweep - normalizeSweep() or resampleSweep() result
+ * @param {number} azimuth - degrees clockwise from north
+ * @param {number} range - Slant range (km)
+ * @returns {Object|null} { rayIndex, gateIndex, index, value, mask } with
+ *                        `value` being the physical value or raw code;
+ *                        null outside the sweep or in a gap between rays
+ */
+export function gateAt(sweep, azimuth, range) {
+    const { azimuths, beamWidths, ranges } = sweep;
+    const [numRays, numGates] = sweep.dims;
+    if (!numRays || !numGates) return null;
+
+    const rayIndex = coveringRay(azimuths, beamWidths, ((azimuth % 360) + 360) % 360);
+    if (rayIndex < 0) return null;
+
+    const gateWidth = gateWidthOf(sweep);
+    const gateIndex = Math.floor((range - ranges[0]) / gateWidth);
+    if (gateIndex < 0 || gateIndex >= numGates) return null;
+
+    const index = rayIndex * numGates + gateIndex;
+    return {
+        rayIndex: rayIndex,
+        gateIndex: gateIndex,
+        index: index,
+        value: (sweep.codes ?? sweep.data)[index],
+        mask: sweep.mask[index]
+    };
+}
+
+/**
+ * Value at an azimuth and slant range, interpolated bilinearly between the
+ * two nearest rays and the two nearest gate centers. Gates that are not
+ * VALID are left out and the remaining weights renormalized.
+ * @param {Object} sweep - normalizeSweep() or resampleSweep() result with physical data
+ * @param {number} azimuth - degrees clockwise from north
+ * @param {number} range - Slant range (km)
+ * @returns {number} NaN outside the sweep, in a gap or without valid neighbors
+ */
+export function interpolateAt(sweep, azimuth, range) {
+    const { azimuths, beamWidths, ranges, data, mask } = sweep;
+    const [numRays, numGates] = sweep.dims;
+    if (!numRays || !numGates) return NaN;
+
+    azimuth = ((azimuth % 360) + 360) % 360;
+    const ray = coveringRay(azimuths, beamWidths, azimuth);
+    if (ray < 0) return NaN;
+
+    // Second ray on the other side of the azimuth, unless a gap separates them
+    const rays = [[ray, 1]];
+    const clockwiseOf = clockwise(azimuths[ray], azimuth) < 180;
+    const other = clockwiseOf ? (ray + 1) % numRays : (ray - 1 + numRays) % numRays;
+    const spacing = clockwiseOf ? clockwise(azimuths[ray], azimuths[other]) : clockwise(azimuths[other], azimuths[ray]);
+    if (other !== ray && spacing > 0 && spacing <= (beamWidths[ray] + beamWidths[other]) / 2 * GAP_FACTOR) {
+        const fraction = Math.min(clockwise(azimuths[ray], azimuth), clockwise(azimuth, azimuths[ray])) / spacing;
+        rays[0][1] = 1 - fraction;
+        rays.push([other, fraction]);
+    }
+
+    const gateWidth = gateWidthOf(sweep);
+    const position = (range - ranges[0]) / gateWidth - 0.5;   // Between gate centers
+    if (position < -0.5 || position >= numGates - 0.5) return NaN;
+    const gate = Math.floor(position);
+    const gateFraction = position - gate;
+    const gates = [[gate, 1 - gateFraction], [gate + 1, gateFraction]];
+
+    let sum = 0;
+    let weights = 0;
+    for (const [r, rayWeight] of rays) {
+        for (const [g, gateWeight] of gates) {
+            if (g < 0 || g >= numGates) continue;
+            const index = r * numGates + g;
+            const weight = rayWeight * gateWeight;
+            if (mask[index] !== GATE_MASK.VALID || weight <= 0) continue;
+            sum += data[index] * weight;
+            weights += weight;
+        }
+    }
+    return weights > 0 ? sum / weights : NaN;
+}
+
+/**
+ * Rays of a normalized sweep within an angular distance of an azimuth.
+ * @param {Object} sweep - normalizeSweep() or resampleSweep() result
+ * @param {number} azimuth - degrees clockwise from north
+ * @param {number} maxDistance - degrees
+ * @returns {number[]} Ray indices
+ */
+export function raysWithin(sweep, azimuth, maxDistance) {
+    const { azimuths } = sweep;
+    const numRays = azimuths.length;
+    if (!numRays) return [];
+    if (maxDistance >= 180) return Array.from(azimuths, (_, i) => i);
+
+    azimuth = ((azimuth % 360) + 360) % 360;
+    const found = [];
+    const start = lastAtOrBefore(azimuths, azimuth);
+    for (let i = 0; i < numRays; i++) {
+        const ray = (start - i + numRays) % numRays;
+        if (clockwise(azimuths[ray], azimuth) > maxDistance) break;
+        found.push(ray);
+    }
+    const remaining = numRays - found.length;
+    for (let i = 1; i <= remaining; i++) {
+        const ray = (start + i) % numRays;
+        if (clockwise(azimuth, azimuths[ray]) > maxDistance) break;
+        found.push(ray);
+    }
+    return found;
+}
@@ -0,0 +1,264 @@
+/**
+ * Color tables - GRLevelX `.pal` color table files
+ *
+ * The text format used by GR2Analyst, GRLevel3 and RadarScope:
+ *
+ *   ; comment
+ *   Product: BV
+ *   Units: KTS
+ *   Scale: 1.943844          (table value = data value * Scale + Offset)
+ *   Offset: 0
+ *   Step: 10                 (legend tick spacing, kept as-is)
+ *   RF: 119 0 125            (range-folded color)
+ *   Color: -120 252 0 148 2 252 2     value, color, optional gradient end color
+ *   Color4: -10 120 120 120 255       value, color with alpha, optional end color
+ *   SolidColor: 0 137 0 0             value, color held until the next entry
+ *   SolidColor4: 0 137 0 0 128
+ *
+ * A Color entry fades to its own end color if it has one, otherwise to the
+ * next entry's color. Values below the first entry are not drawn; values
+ * from the last entry up take its color.
+ *
+ * Parsed tables are plain objects:
+ *   { product, moment, units, scale, offset, step, rangeFolded, entries }
+ *   entries: [{ value, color: [r,g,b,a], endColor: [r,g,b,a]|null, solid }]
+ *
+ * Usage:
+ *   const table = parsePalFile(await file.text());
+ *   overlay.useColorTable(table);
+ *   const text = formatPalFile(overlay.colorTable);
+ */
+
+// GRLevelX product codes for the moments we decode
+const PRODUCT_MOMENTS = {
+    BR: 'REF',
+    BV: 'VEL',
+    SW: 'SW',
+    ZDR: 'ZDR',
+    DR: 'ZDR',
+    PHI: 'PHI',
+    CC: 'RHO',
+    RHO: 'RHO',
+    CFP: 'CFP',
+};
+
+// Color keywords: [channels per color (3 or 4), solid]
+const COLOR_KEYS = {
+    'color': [3, false],
+    'color4': [4, false],
+    'solidcolor': [3, true],
+    'solidcolor4': [4, true],
+};
+
+/**
+ * GRLevelX product code for a moment name.
+ * @param {string} moment
+ * @returns {string}
+ */
+function productForMoment(moment) {
+    const match = Object.entries(PRODUCT_MOMENTS).find(([, name]) => name === moment);
+    return match ? match[0] : moment;
+}
+
+function parseColor(numbers, channels, lineNumber) {
+    const color = numbers.slice(0, channels);
+    if (color.length < channels || color.some(c => !Number.isFinite(c))) {
+        throw new Error(`Line ${lineNumber}: expected ${channels} color components`);
+    }
+    if (channels === 3) color.push(255);
+    return color.map(c => Math.max(0, Math.min(255, Math.round(c))));
+}
+
+/**
+ * Parse a `.pal` color table.
+ * @param {string} text - File contents
+ * @returns {Object} Color table (see above)
+ */
+export function parsePalFile(text) {
+    const table = {
+        product: null,
+        moment: null,
+        units: '',
+        scale: 1,
+        offset: 0,
+        step: null,
+        rangeFolded: null,
+        entries: []
+    };
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.replace(/[;#].*$/, '').trim();
+        if (!line) return;
+
+        const separator = line.indexOf(':');
+        if (separator < 0) {
+            throw new Error(`Line ${lineNumber}: expected "Key: value"`);
+        }
+        const key = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+        const numbers = value.split(/[\s,]+/).filter(Boolean).map(Number);
+
+        switch (key) {
+            case 'product':
+                table.product = value;
+                table.moment = PRODUCT_MOMENTS[value.toUpperCase()] ?? null;
+                break;
+            case 'units':
+                table.units = value;
+                break;
+            case 'scale':
+            case 'offset':
+            case 'step':
+                if (!Number.isFinite(numbers[0])) {
+                    throw new Error(`Line ${lineNumber}: ${key} must be a number`);
+                }
+                table[key] = numbers[0];
+                break;
+            case 'rf':
+                table.rangeFolded = parseColor(numbers, numbers.length >= 4 ? 4 : 3, lineNumber);
+                break;
+            default: {
+                const colorKey = COLOR_KEYS[key];
+                if (!colorKey) break; // Other keywords (Decimals, ...) don't affect colors
+                const [channels, solid] = colorKey;
+                if (!Number.isFinite(numbers[0])) {
+                    throw new Error(`Line ${lineNumber}: missing value`);
+                }
+                const rest = numbers.slice(1);
+                table.entries.push({
+                    value: numbers[0],
+                    color: parseColor(rest, channels, lineNumber),
+                    endColor: !solid && rest.length >= channels * 2
+                        ? parseColor(rest.slice(channels), channels, lineNumber)
+                        : null,
+                    solid: solid
+                });
+            }
+        }
+    });
+
+    if (!table.entries.length) {
+        throw new Error("Color table has no Color entries");
+    }
+    if (table.scale === 0) {
+        throw new Error("Color table Scale must not be 0");
+    }
+    table.entries.sort((a, b) => a.value - b.value);
+    return table;
+}
+
+/**
+ * Write a color table in `.pal` format.
+ * @param {Object} table - Color table
+ * @returns {string}
+ */
+export function formatPalFile(table) {
+    const components = (color, alpha) => (alpha ? color : color.slice(0, 3)).join(' ');
+    const lines = [];
+
+    lines.push(`Product: ${table.product ?? productForMoment(table.moment)}`);
+    if (table.units) lines.push(`Units: ${table.units}`);
+    if (table.scale !== 1) lines.push(`Scale: ${table.scale}`);
+    if (table.offset) lines.push(`Offset: ${table.offset}`);
+    if (table.step !== null && table.step !== undefined) lines.push(`Step: ${table.step}`);
+    if (table.rangeFolded) {
+        const alpha = table.rangeFolded[3] !== 255;
+        lines.push(`RF: ${components(table.rangeFolded, alpha)}`);
+    }
+    lines.push('');
+
+    for (const entry of table.entries) {
+        const alpha = entry.color[3] !== 255 || (entry.endColor && entry.endColor[3] !== 255);
+        const key = (entry.solid ? 'SolidColor' : 'Color') + (alpha ? '4' : '');
+        const colors = [components(entry.color, alpha)];
+        if (entry.endColor) colors.push(components(entry.endColor, alpha));
+        lines.push(`${key}: ${entry.value} ${colors.join(' ')}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a color table from a sparse palette (see palettes.js), fading
+ * between entries like buildColorLUT() does.
+ * @param {Object} palette - Sparse palette {value: [r,g,b], ...}
+ * @param {Object} options - { moment, units }
+ * @returns {Object} Color table
+ */
+export function paletteToColorTable(palette, options = {}) {
+    const { moment = null, units = '' } = options;
+    const entries = Object.keys(palette)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(value => ({
+            value: parseFloat(value.toFixed(4)),
+            color: [...palette[value].slice(0, 3), 255],
+            endColor: null,
+            solid: false
+        }));
+
+    return {
+        product: moment ? productForMoment(moment) : null,
+        moment: moment,
+        units: units,
+        scale: 1,
+        offset: 0,
+        step: null,
+        rangeFolded: null,
+        entries: entries
+    };
+}
+
+/**
+ * Data range covered by a table, in the data's units (before Scale/Offset).
+ * @param {Object} table - Color table
+ * @returns {Object} { minValue, maxValue }
+ */
+export function colorTableRange(table) {
+    const { entries, scale, offset } = table;
+    const a = (entries[0].value - offset) / scale;
+    const b = (entries[entries.length - 1].value - offset) / scale;
+    return { minValue: Math.min(a, b), maxValue: Math.max(a, b) };
+}
+
+/**
+ * Color of a table value.
+ * @returns {number[]|null} [r,g,b,a] (0-255), null below the first entry
+ */
+function colorAt(table, value) {
+    const { entries } = table;
+    if (value < entries[0].value) return null;
+
+    let i = entries.length - 1;
+    while (i > 0 && entries[i].value > value) i--;
+    const entry = entries[i];
+    const next = entries[i + 1];
+    if (entry.solid || !next) return entry.color;
+
+    const end = entry.endColor ?? next.color;
+    const t = (value - entry.value) / (next.value - entry.value);
+    return entry.color.map((c, k) => c + t * (end[k] - c));
+}
+
+/**
+ * Build a 256-color RGBA lookup table for the renderer. Index 0 is
+ * transparent; indices 1-255 span minValue..maxValue in data units.
+ * @param {Object} table - Color table
+ * @param {number} minValue - Data value of index 1 (default: table range)
+ * @param {number} maxValue - Data value of index 255 (default: table range)
+ * @returns {Array} 256-element array of [r,g,b,a] normalized to 0-1
+ */
+export function colorTableToLUT(table, minValue, maxValue) {
+    const range = colorTableRange(table);
+    minValue = minValue ?? range.minValue;
+    maxValue = maxValue ?? range.maxValue;
+
+    const lut = new Array(256);
+    lut[0] = [1, 1, 1, 0];
+    for (let i = 1; i < 256; i++) {
+        const dataValue = minValue + ((i - 1) / 254) * (maxValue - minValue);
+        const color = colorAt(table, dataValue * table.scale + table.offset);
+        lut[i] = color ? color.map(c => c / 255) : [1, 1, 1, 0];
+    }
+    return lut;
+}
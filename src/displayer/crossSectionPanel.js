@@ -0,0 +1,261 @@
+/**
+ * Cross-section panel - Draw a line on the map, see the volume above it
+ *
+ * The "Cross-section" button arms the tool: the first click on the map
+ * sets the start of the line and the second its end, with the line
+ * following the mouse in between (Escape cancels). The volume is sampled
+ * along the line (products/crossSection.js) and shown as a range-height
+ * panel in the colors the overlay uses for the moment. The line stays on
+ * the map and the panel is redrawn when the volume, moment or palette
+ * changes.
+ */
+
+import {latLngToGate} from "../geo/beamGeometry.js";
+import {crossSection} from "../products/crossSection.js";
+import {legendTicks} from "./legend.js";
+import {colorIndexFor} from "./radarGl.js";
+
+const PLOT_WIDTH = 480;
+const PLOT_HEIGHT = 200;
+const MARGIN = { left: 32, right: 8, top: 6, bottom: 20 };
+const DEFAULT_MAX_HEIGHT = 18;     // km
+const SAMPLE_SPACING = 0.5;        // km along the line
+const LINE_OPTIONS = {
+    strokeColor: "#000",
+    strokeOpacity: 0.8,
+    strokeWeight: 2,
+    clickable: false
+};
+
+export class CrossSectionPanel {
+    /**
+     * @param {google.maps.Map} map
+     * @param {RadarMapOverlay} overlay - Overlay whose colors are used
+     * @param {Object} options
+     *   - maxHeight: Top of the panel (km above the radar, default 18)
+     *   - onDrawingChange: Called with true while a line is being drawn and
+     *                      false after, e.g. to pause other click handlers
+     */
+    constructor(map, overlay, options = {}) {
+        const { maxHeight = DEFAULT_MAX_HEIGHT, onDrawingChange = null } = options;
+        this.map = map;
+        this.overlay = overlay;
+        this.maxHeight = maxHeight;
+        this.onDrawingChange = onDrawingChange;
+
+        this.radar = null;
+        this.moment = null;
+        this.site = null;
+        this.paletteOptions = {};
+        this.start = null;
+        this.end = null;
+        this.section = null;    // crossSection() result on screen
+        this.drawing = false;
+
+        this.button = document.createElement("button");
+        this.button.className = "map-control cross-section-button";
+        this.button.textContent = "Cross-section";
+        this.button.addEventListener("click", () => {
+            if (this.drawing) this.stopDrawing();
+            else this.startDrawing();
+        });
+        map.controls[google.maps.ControlPosition.TOP_LEFT].push(this.button);
+
+        this.element = document.createElement("div");
+        this.element.className = "map-control cross-section-panel";
+        this.element.hidden = true;
+
+        const header = document.createElement("div");
+        header.className = "cross-section-header";
+        this.title = document.createElement("span");
+        const close = document.createElement("button");
+        close.textContent = "×";
+        close.title = "Close";
+        close.addEventListener("click", () => this.close());
+        header.append(this.title, close);
+
+        this.canvas = document.createElement("canvas");
+        this.canvas.width = MARGIN.left + PLOT_WIDTH + MARGIN.right;
+        this.canvas.height = MARGIN.top + PLOT_HEIGHT + MARGIN.bottom;
+
+        this.element.append(header, this.canvas);
+        map.controls[google.maps.ControlPosition.BOTTOM_CENTER].push(this.element);
+
+        this.line = new google.maps.Polyline({ ...LINE_OPTIONS, map: map });
+
+        map.addListener("click", (event) => this._click(event));
+        map.addListener("mousemove", (event) => {
+            if (this.drawing && this.start) this.line.setPath([this.start, event.latLng.toJSON()]);
+        });
+        document.addEventListener("keydown", (event) => {
+            if (event.key === "Escape" && this.drawing) this.stopDrawing();
+        });
+        google.maps.event.addListener(overlay, "palette_changed", () => this._draw());
+    }
+
+    /**
+     * Sample this volume from now on; null stops (e.g. for a mosaic).
+     * @param {NexradLevel2|null} radar
+     * @param {string} moment - Moment to show
+     * @param {Object} site - { lat, lng } radar origin
+     * @param {Object} options - { nyquistVelocity } for the VEL palette
+     */
+    setVolume(radar, moment = "REF", site = null, options = {}) {
+        this.radar = radar;
+        this.moment = moment;
+        this.site = site;
+        this.paletteOptions = options;
+        this.update();
+    }
+
+    /**
+     * Set the line and show its section.
+     * @param {Object} start - { lat, lng }
+     * @param {Object} end - { lat, lng }
+     */
+    setLine(start, end) {
+        this.start = start;
+        this.end = end;
+        this.line.setPath([start, end]);
+        this.update();
+    }
+
+    /**
+     * Wait for the next two map clicks to set the line.
+     */
+    startDrawing() {
+        this.start = null;
+        this.end = null;
+        this.line.setPath([]);
+        this._setDrawing(true);
+    }
+
+    /**
+     * Stop waiting for clicks, keeping the previous section if there was one.
+     */
+    stopDrawing() {
+        this._setDrawing(false);
+        if (this.section) {
+            ({ start: this.start, end: this.end } = this.section);
+            this.line.setPath([this.start, this.end]);
+        } else {
+            this.close();
+        }
+    }
+
+    /**
+     * Remove the line and hide the panel.
+     */
+    close() {
+        this._setDrawing(false);
+        this.start = null;
+        this.end = null;
+        this.section = null;
+        this.line.setPath([]);
+        this.element.hidden = true;
+    }
+
+    /**
+     * Sample the volume along the line again.
+     */
+    update() {
+        if (this.drawing || !this.radar || !this.start || !this.end) {
+            this.section = null;
+            this.element.hidden = true;
+            return;
+        }
+        try {
+            this.section = crossSection(this.radar, this.moment, this.start, this.end, {
+                site: this.site,
+                maxHeight: this.maxHeight,
+                resolution: SAMPLE_SPACING
+            });
+        } catch (error) {
+            console.error("Cross-section failed:", error);
+            this.section = null;
+        }
+        this._draw();
+    }
+
+    _setDrawing(drawing) {
+        if (drawing === this.drawing) return;
+        this.drawing = drawing;
+        this.button.classList.toggle("active", drawing);
+        this.map.setOptions({ draggableCursor: drawing ? "crosshair" : null });
+        if (this.onDrawingChange) this.onDrawingChange(drawing);
+    }
+
+    _click(event) {
+        if (!this.drawing) return;
+        const point = event.latLng.toJSON();
+        if (!this.start) {
+            this.start = point;
+            this.line.setPath([point]);
+            return;
+        }
+        // A line needs at least one sample spacing
+        if (latLngToGate(this.start, point.lat, point.lng, 0).groundRange < SAMPLE_SPACING) return;
+        this._setDrawing(false);
+        this.setLine(this.start, point);
+    }
+
+    _draw() {
+        const section = this.section;
+        this.element.hidden = !section;
+        if (!section) return;
+
+        const palette = this.overlay.paletteFor(section.moment, this.paletteOptions);
+        const units = palette.units ? ` (${palette.units})` : "";
+        this.title.textContent = `${section.moment}${units} cross-section, ${section.length.toFixed(0)} km`;
+
+        // One pixel per sample, row 0 (lowest) at the bottom
+        const { width, height, data } = section;
+        const image = new ImageData(width, height);
+        for (let row = 0; row < height; row++) {
+            for (let column = 0; column < width; column++) {
+                const index = colorIndexFor(data[row * width + column], palette.minValue, palette.maxValue);
+                if (index === 0) continue;
+                const [r, g, b, a = 1] = palette.colors[index];
+                image.data.set([r * 255, g * 255, b * 255, a * 255], ((height - 1 - row) * width + column) * 4);
+            }
+        }
+        const samples = document.createElement("canvas");
+        samples.width = width;
+        samples.height = height;
+        samples.getContext("2d").putImageData(image, 0, 0);
+
+        const context = this.canvas.getContext("2d");
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        context.fillStyle = "#eee";
+        context.fillRect(MARGIN.left, MARGIN.top, PLOT_WIDTH, PLOT_HEIGHT);
+        context.imageSmoothingEnabled = false;
+        context.drawImage(samples, MARGIN.left, MARGIN.top, PLOT_WIDTH, PLOT_HEIGHT);
+        this._drawAxes(context, section);
+    }
+
+    _drawAxes(context, section) {
+        // Heights are row centers starting half a step up, so the top edge
+        // is half a step above the last
+        const top = section.heights[section.height - 1] + section.heights[0];
+        context.strokeStyle = "#555";
+        context.fillStyle = "#000";
+        context.font = "11px Roboto, Arial, sans-serif";
+        context.strokeRect(MARGIN.left, MARGIN.top, PLOT_WIDTH, PLOT_HEIGHT);
+
+        // Distance along the line (km)
+        context.textAlign = "center";
+        context.textBaseline = "top";
+        for (const value of legendTicks(0, section.length)) {
+            const x = MARGIN.left + value / section.length * PLOT_WIDTH;
+            context.fillText(String(value), x, MARGIN.top + PLOT_HEIGHT + 4);
+        }
+
+        // Height above the radar (km)
+        context.textAlign = "right";
+        context.textBaseline = "middle";
+        for (const value of legendTicks(0, top)) {
+            const y = MARGIN.top + PLOT_HEIGHT - value / top * PLOT_HEIGHT;
+            context.fillText(String(value), MARGIN.left - 4, y);
+        }
+    }
+}
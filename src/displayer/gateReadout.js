@@ -0,0 +1,187 @@
+/**
+ * Gate value readout - What the radar saw under the mouse
+ *
+ * Hovering over the map shows a tooltip next to the cursor; clicking pins
+ * the same readout in an info window. The map position is turned back
+ * into azimuth, slant range and gate with the 4/3 earth radius model
+ * (beamGeometry.latLngToGate()), so the gate found is the one drawn there.
+ *
+ * The readout lists the displayed moment first, then every other moment
+ * of the sweep at the same spot, followed by the beam height above radar
+ * level and the distance and bearing from the radar. Derived moments can
+ * take seconds to compute, so hovering lists only those already computed;
+ * a click computes them all.
+ */
+
+import {GATE_MASK} from "../decoder/NexradLevel2.js";
+import {gateAt} from "../decoder/sweepGrid.js";
+import {latLngToGate} from "../geo/beamGeometry.js";
+import {momentSweep, momentsForSweep} from "../products/derivedMoments.js";
+import {MOMENT_PALETTES} from "./palettes.js";
+
+const CURSOR_OFFSET = 12;    // px between cursor and tooltip
+
+/**
+ * Text for one moment's value at a gate.
+ * @param {string} moment
+ * @param {Object|null} gate - gateAt() result
+ * @returns {string}
+ */
+function formatValue(moment, gate) {
+    if (!gate || gate.mask === GATE_MASK.NO_DATA) return "no data";
+    if (gate.mask === GATE_MASK.RANGE_FOLDED) return "range folded";
+
+    const categories = MOMENT_PALETTES[moment]?.categories;
+    if (categories) {
+        return categories.find(({ value }) => value === gate.value)?.label ?? "unclassified";
+    }
+
+    const units = MOMENT_PALETTES[moment]?.units;
+    const digits = moment === "RHO" ? 3 : 1;
+    return units ? `${gate.value.toFixed(digits)} ${units}` : gate.value.toFixed(digits);
+}
+
+export class GateReadout {
+    /**
+     * @param {google.maps.Map} map
+     */
+    constructor(map) {
+        this.map = map;
+        this.radar = null;
+        this.sweepIndex = 0;
+        this.moment = null;
+        this.site = null;
+        this.sweeps = {};          // Normalized sweep data by moment, built on first use
+        this.enabled = true;
+
+        this.tooltip = document.createElement("div");
+        this.tooltip.className = "gate-readout";
+        this.tooltip.hidden = true;
+        map.getDiv().appendChild(this.tooltip);
+
+        this.infoWindow = new google.maps.InfoWindow();
+
+        map.addListener("mousemove", (event) => this._hover(event));
+        map.addListener("mouseout", () => { this.tooltip.hidden = true; });
+        map.addListener("click", (event) => this._pin(event));
+    }
+
+    /**
+     * Read values from a sweep.
+     * @param {NexradLevel2} radar - Volume being displayed
+     * @param {number} sweepIndex
+     * @param {string} moment - Displayed moment, listed first
+     * @param {Object} site - { lat, lng, height } radar origin
+     */
+    setSweep(radar, sweepIndex, moment, site) {
+        if (radar !== this.radar || sweepIndex !== this.sweepIndex) this.sweeps = {};
+        this.radar = radar;
+        this.sweepIndex = sweepIndex;
+        this.moment = moment;
+        this.site = site;
+        this.infoWindow.close();
+    }
+
+    /**
+     * Stop reading values, e.g. while showing data without a volume behind it.
+     */
+    clear() {
+        this.radar = null;
+        this.sweeps = {};
+        this.tooltip.hidden = true;
+        this.infoWindow.close();
+    }
+
+    /**
+     * Pause the readout while map clicks mean something else, e.g. while
+     * drawing a cross-section line.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.tooltip.hidden = true;
+            this.infoWindow.close();
+        }
+    }
+
+    /**
+     * Readout for a map position.
+     * @param {number} lat
+     * @param {number} lng
+     * @param {boolean} computeDerived - Compute derived moments not read yet
+     * @returns {Object|null} { values: [{ moment, text }], height (m), distance (km), bearing },
+     *                        null without data at that position
+     */
+    lookup(lat, lng, computeDerived = true) {
+        if (!this.radar || !this.site) return null;
+
+        const sweep = this.radar.sweeps[this.sweepIndex];
+        const { azimuth, slantRange, groundRange, height } = latLngToGate(this.site, lat, lng, sweep.elevation);
+
+        const decoded = this.radar.getMomentsForSweep(this.sweepIndex);
+        const moments = computeDerived
+            ? momentsForSweep(this.radar, this.sweepIndex)
+            : [...decoded, ...Object.keys(this.sweeps).filter(m => !decoded.includes(m))];
+        const ordered = [this.moment, ...moments.filter(m => m !== this.moment)];
+        const gates = ordered.map(moment => gateAt(this._sweep(moment), azimuth, slantRange));
+        if (!gates[0]) return null;
+
+        return {
+            values: ordered.map((moment, i) => ({ moment, text: formatValue(moment, gates[i]) })),
+            height: height - (this.site.height ?? 0),
+            distance: groundRange,
+            bearing: azimuth
+        };
+    }
+
+    _sweep(moment) {
+        if (!this.sweeps[moment]) {
+            this.sweeps[moment] = momentSweep(this.radar, this.sweepIndex, moment);
+        }
+        return this.sweeps[moment];
+    }
+
+    _render(readout) {
+        const content = document.createElement("div");
+        content.className = "gate-readout-content";
+
+        readout.values.forEach(({ moment, text }, i) => {
+            const row = document.createElement("div");
+            if (i === 0) row.className = "gate-readout-primary";
+            row.textContent = `${moment}: ${text}`;
+            content.appendChild(row);
+        });
+
+        const position = document.createElement("div");
+        position.className = "gate-readout-position";
+        position.textContent = `${Math.round(readout.height).toLocaleString()} m ARL, ` +
+            `${readout.distance.toFixed(1)} km @ ${readout.bearing.toFixed(0)}°`;
+        content.appendChild(position);
+        return content;
+    }
+
+    _hover(event) {
+        if (!this.enabled) return;
+        const readout = this.lookup(event.latLng.lat(), event.latLng.lng(), false);
+        this.tooltip.hidden = !readout;
+        if (!readout) return;
+
+        const bounds = this.map.getDiv().getBoundingClientRect();
+        this.tooltip.replaceChildren(this._render(readout));
+        this.tooltip.style.left = `${event.domEvent.clientX - bounds.left + CURSOR_OFFSET}px`;
+        this.tooltip.style.top = `${event.domEvent.clientY - bounds.top + CURSOR_OFFSET}px`;
+    }
+
+    _pin(event) {
+        if (!this.enabled) return;
+        const readout = this.lookup(event.latLng.lat(), event.latLng.lng());
+        if (!readout) {
+            this.infoWindow.close();
+            return;
+        }
+        this.infoWindow.setContent(this._render(readout));
+        this.infoWindow.setPosition(event.latLng);
+        this.infoWindow.open({ map: this.map });
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * Map control explaining the radar colors
+ *
+ * Shows the station, moment, sweep elevation and scan time above a color
+ * bar of the overlay's active palette, labeled in the palette's units.
+ * It follows the overlay's "palette_changed" event, so moment switches,
+ * imported color tables and setColors() calls are reflected right away.
+ * Categorical moments (hydrometeor classes) get a swatch and label per
+ * class instead of the bar.
+ * While storm-relative velocity is shown, the storm motion it is relative
+ * to is listed below the bar.
+ */
+
+import {MS_PER_KNOT} from "../products/stormMotion.js";
+import {colorIndexFor} from "./radarGl.js";
+
+const BAR_WIDTH = 256;
+const BAR_HEIGHT = 12;
+const TARGET_TICKS = 6;
+
+/**
+ * Evenly spaced "nice" tick values (1, 2 or 5 times a power of ten) in [min, max].
+ * @param {number} min
+ * @param {number} max
+ * @param {number|null} step - Spacing to use instead of a computed one
+ * @returns {number[]}
+ */
+export function legendTicks(min, max, step = null) {
+    if (!(max > min)) return [min];
+    if (!step || (max - min) / step > TARGET_TICKS * 4) {
+        const rough = (max - min) / TARGET_TICKS;
+        const magnitude = 10 ** Math.floor(Math.log10(rough));
+        step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= rough);
+    }
+
+    const ticks = [];
+    for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-6; value += step) {
+        ticks.push(parseFloat(value.toPrecision(10)));
+    }
+    return ticks;
+}
+
+export class Legend {
+    /**
+     * @param {google.maps.Map} map
+     * @param {RadarMapOverlay} overlay - Overlay whose palette is shown
+     */
+    constructor(map, overlay) {
+        this.element = document.createElement("div");
+        this.element.className = "map-control legend";
+
+        this.title = document.createElement("div");
+        this.title.className = "legend-title";
+
+        this.bar = document.createElement("canvas");
+        this.bar.className = "legend-bar";
+        this.bar.width = BAR_WIDTH;
+        this.bar.height = 1;
+        this.bar.style.width = `${BAR_WIDTH}px`;
+        this.bar.style.height = `${BAR_HEIGHT}px`;
+
+        this.labels = document.createElement("div");
+        this.labels.className = "legend-labels";
+        this.labels.style.width = `${BAR_WIDTH}px`;
+
+        this.categories = document.createElement("div");
+        this.categories.className = "legend-categories";
+        this.categories.hidden = true;
+
+        this.motion = document.createElement("div");
+        this.motion.className = "legend-motion";
+        this.motion.hidden = true;
+        this.motionArrow = document.createElement("span");
+        this.motionArrow.className = "legend-motion-arrow";
+        this.motionArrow.textContent = "↑";
+        this.motionText = document.createElement("span");
+        this.motion.append(this.motionArrow, this.motionText);
+
+        this.element.append(this.title, this.bar, this.labels, this.categories, this.motion);
+        this.element.hidden = true;
+
+        this.sweep = null;      // { stationId, sweep, time } of the displayed sweep
+        this.palette = null;
+        this.stormMotion = null;
+
+        google.maps.event.addListener(overlay, "palette_changed", () => this.setPalette(overlay.palette));
+        if (overlay.palette) this.setPalette(overlay.palette);
+
+        map.controls[google.maps.ControlPosition.LEFT_BOTTOM].push(this.element);
+    }
+
+    /**
+     * Show a palette.
+     * @param {Object} palette - RadarMapOverlay.palette
+     */
+    setPalette(palette) {
+        this.palette = palette;
+        this.element.hidden = !palette;
+        if (!palette) return;
+
+        const categorical = Boolean(palette.categories);
+        this.bar.hidden = categorical;
+        this.labels.hidden = categorical;
+        this.categories.hidden = !categorical;
+        if (categorical) {
+            this._drawCategories(palette);
+        } else {
+            this._drawBar(palette.colors);
+            this._drawLabels(palette);
+        }
+        this._updateTitle();
+        this._updateMotion();
+    }
+
+    /**
+     * Storm motion that SRV is relative to, listed while SRV is shown.
+     * @param {Object|null} motion - { direction (degrees, from), speed (m/s), estimated }
+     */
+    setStormMotion(motion) {
+        this.stormMotion = motion;
+        this._updateMotion();
+    }
+
+    /**
+     * Show which sweep is on screen.
+     * @param {NexradLevel2} radar - Volume being displayed
+     * @param {number} sweepIndex
+     */
+    setSweep(radar, sweepIndex) {
+        const sweep = radar.sweeps[sweepIndex];
+        this.setSweepInfo({
+            stationId: radar.stationId,
+            sweep: sweep,
+            time: sweep?.startTime ?? radar.datetime
+        });
+    }
+
+    /**
+     * Show which sweep is on screen when the volume is no longer around,
+     * e.g. for loop frames.
+     * @param {Object} info - { stationId, sweep, time }
+     */
+    setSweepInfo(info) {
+        this.sweep = info;
+        this._updateTitle();
+    }
+
+    _drawBar(colors) {
+        const context = this.bar.getContext("2d");
+        const image = context.createImageData(BAR_WIDTH, 1);
+        // Index 0 is "not drawn"; the bar shows indices 1-255
+        for (let x = 0; x < BAR_WIDTH; x++) {
+            const index = 1 + Math.round(x / (BAR_WIDTH - 1) * 254);
+            const [r, g, b, a = 1] = colors[index];
+            image.data.set([r * 255, g * 255, b * 255, a * 255], x * 4);
+        }
+        context.putImageData(image, 0, 0);
+    }
+
+    _drawLabels(palette) {
+        const { minValue, maxValue, colorTable } = palette;
+        // Label in the table's units, e.g. knots for a velocity table with a Scale
+        const scale = colorTable?.scale ?? 1;
+        const offset = colorTable?.offset ?? 0;
+        const low = Math.min(minValue * scale + offset, maxValue * scale + offset);
+        const high = Math.max(minValue * scale + offset, maxValue * scale + offset);
+
+        this.labels.replaceChildren(...legendTicks(low, high, colorTable?.step).map(value => {
+            const label = document.createElement("span");
+            label.textContent = String(value);
+            label.style.left = `${(value - low) / (high - low || 1) * 100}%`;
+            return label;
+        }));
+    }
+
+    _drawCategories(palette) {
+        const { minValue, maxValue, colors } = palette;
+        this.categories.replaceChildren(...palette.categories.map(({ value, label }) => {
+            // Colors from the LUT, so setColors() shows here too
+            const [r, g, b] = colors[colorIndexFor(value, minValue, maxValue)];
+            const swatch = document.createElement("span");
+            swatch.className = "legend-swatch";
+            swatch.style.background = `rgb(${r * 255}, ${g * 255}, ${b * 255})`;
+            const item = document.createElement("div");
+            item.append(swatch, label);
+            return item;
+        }));
+    }
+
+    _updateMotion() {
+        const motion = this.stormMotion;
+        this.motion.hidden = !motion || this.palette?.moment !== "SRV";
+        if (this.motion.hidden) return;
+
+        // The arrow points where the storm is heading
+        this.motionArrow.style.transform = `rotate(${(motion.direction + 180) % 360}deg)`;
+        const knots = Math.round(motion.speed / MS_PER_KNOT);
+        this.motionText.textContent = `Storm motion ${Math.round(motion.direction)}° / ${knots} kt` +
+            (motion.estimated ? " (estimated)" : "");
+    }
+
+    _updateTitle() {
+        const parts = [];
+        if (this.sweep?.stationId) parts.push(this.sweep.stationId);
+        if (this.palette) {
+            parts.push(this.palette.units ? `${this.palette.moment} (${this.palette.units})` : this.palette.moment);
+        }
+        if (this.sweep?.sweep) {
+            const { targetElevation, elevation } = this.sweep.sweep;
+            parts.push(`${(targetElevation ?? elevation).toFixed(1)}°`);
+        }
+        if (this.sweep?.time) {
+            parts.push(this.sweep.time.toISOString().slice(0, 19).replace("T", " ") + "Z");
+        }
+        this.title.textContent = parts.join(" ");
+    }
+}
@@ -0,0 +1,254 @@
+/**
+ * Loop controller - Animate the last scans of a station
+ *
+ * Volumes are fetched and decoded one after another (each on the worker
+ * pool, keeping only the looped moment). Every frame keeps its normalized
+ * sweep and a prebuilt renderer mesh, so playback only switches meshes.
+ * At most `maxFrames` frames are kept; adding more evicts the oldest, which
+ * bounds memory on both the CPU and GPU side.
+ *
+ * Usage:
+ *   const loop = new LoopController(overlay, { resolveSite, onFrame });
+ *   await loop.load(source, entries, { moment: 'REF', elevation: 0.5 });
+ *   loop.play();
+ */
+
+import {decodeVolumeAsync} from "../decoder/decoderPool.js";
+import {normalizeSweep} from "../decoder/sweepGrid.js";
+
+const DEFAULT_MAX_FRAMES = 12;
+const DEFAULT_FRAME_DELAY = 250;     // ms per frame at speed 1
+const DEFAULT_LAST_FRAME_DWELL = 1500;  // extra ms on the last frame
+
+/**
+ * Label for a frame, e.g. "KDVN 04:15:52Z".
+ * @param {Object} frame
+ * @returns {string}
+ */
+export function frameLabel(frame) {
+    const parts = [];
+    if (frame.stationId) parts.push(frame.stationId);
+    if (frame.time) parts.push(frame.time.toISOString().slice(11, 19) + "Z");
+    return parts.join(" ") || frame.filename;
+}
+
+export class LoopController {
+    /**
+     * @param {RadarMapOverlay} overlay
+     * @param {Object} options
+     *   - maxFrames: Frames kept at most (default 12)
+     *   - frameDelay: ms per frame at speed 1 (default 250)
+     *   - lastFrameDwell: Extra ms to hold the last frame (default 1500)
+     *   - resolveSite: Called with a decoded volume, returns its { lat, lng, height }
+     *   - onFrame: Called with (frame, index, count) whenever the shown frame changes,
+     *              and with (null, -1, 0) when the frames are dropped
+     */
+    constructor(overlay, options = {}) {
+        const {
+            maxFrames = DEFAULT_MAX_FRAMES,
+            frameDelay = DEFAULT_FRAME_DELAY,
+            lastFrameDwell = DEFAULT_LAST_FRAME_DWELL,
+            resolveSite = (radar) => ({ lat: radar.site.lat, lng: radar.site.lon, height: radar.site.height }),
+            onFrame = null
+        } = options;
+
+        this.overlay = overlay;
+        this.maxFrames = maxFrames;
+        this.frameDelay = frameDelay;
+        this.lastFrameDwell = lastFrameDwell;
+        this.resolveSite = resolveSite;
+        this.onFrame = onFrame;
+
+        this.frames = [];       // Oldest first: { stationId, time, filename, sweep, sweepData, site, options, mesh }
+        this.index = -1;        // Frame on screen
+        this.speed = 1;
+        this.playing = false;
+        this._timer = null;
+        this._generation = 0;   // Bumped to abandon a running load()
+    }
+
+    /**
+     * Replace the loop with the newest `maxFrames` of the given entries.
+     * Frames appear as they are decoded; entries that fail to load or lack
+     * the moment are skipped.
+     * @param {VolumeSource} source
+     * @param {Object[]} entries - Entries of `source`, oldest first
+     * @param {Object} options
+     *   - moment: Moment to loop (default 'REF')
+     *   - elevation: Elevation angle to loop, degrees (default 0.5)
+     * @returns {Promise<Object[]>} The frames
+     */
+    async load(source, entries, options = {}) {
+        const { moment = 'REF', elevation = 0.5 } = options;
+        const generation = ++this._generation;
+        this.clear();
+
+        for (const entry of entries.slice(-this.maxFrames)) {
+            let volume;
+            try {
+                volume = await source.fetch(entry);
+                volume.radar = await decodeVolumeAsync(volume.buffer, { moments: [moment] });
+            } catch (error) {
+                console.error(`Skipping ${entry.filename} in loop:`, error);
+                continue;
+            }
+            if (generation !== this._generation) return this.frames;
+
+            const frame = this._makeFrame(volume, moment, elevation);
+            if (frame) this.addFrame(frame);
+        }
+        return this.frames;
+    }
+
+    _makeFrame(volume, moment, elevation) {
+        const { radar } = volume;
+        const [sweep] = radar.findSweeps({ elevation, moment, includeSupplemental: false });
+        if (!sweep) {
+            console.error(`${volume.filename} has no ${moment} sweep at ${elevation}°`);
+            return null;
+        }
+
+        const sweepData = normalizeSweep(radar.getData(sweep.index, moment));
+        return {
+            stationId: volume.station || radar.stationId,
+            time: sweep.startTime ?? radar.datetime ?? volume.scanTime,
+            filename: volume.filename,
+            sweep: sweep,
+            sweepData: sweepData,
+            site: this.resolveSite(radar),
+            options: {
+                moment: moment,
+                nyquistVelocity: sweepData.nyquistVelocity,
+                elevation: sweepData.elevation,
+                mask: sweepData.mask,
+                beamWidths: sweepData.beamWidths
+            },
+            mesh: null
+        };
+    }
+
+    /**
+     * Add a frame in time order, building its mesh and evicting the oldest
+     * frame beyond maxFrames.
+     * @param {Object} frame - See this.frames
+     */
+    addFrame(frame) {
+        this._buildMesh(frame);
+
+        const position = this.frames.findIndex(other => other.time > frame.time);
+        const index = position < 0 ? this.frames.length : position;
+        this.frames.splice(index, 0, frame);
+        if (this.index >= index) this.index++;
+
+        while (this.frames.length > this.maxFrames) {
+            const [evicted] = this.frames.splice(0, 1);
+            this.overlay.deleteFrame(evicted.mesh);
+            this.index--;
+        }
+
+        // Follow the newest frame until playback starts
+        if (!this.playing) this.showFrame(this.frames.length - 1);
+    }
+
+    _buildMesh(frame) {
+        const { sweepData, site } = frame;
+        frame.mesh = this.overlay.buildFrame(sweepData.azimuths, sweepData.ranges, sweepData.data,
+            { ...frame.options, site });
+    }
+
+    /**
+     * Rebuild every frame's mesh, e.g. after the color table changed.
+     */
+    rebuild() {
+        for (const frame of this.frames) {
+            this.overlay.deleteFrame(frame.mesh);
+            this._buildMesh(frame);
+        }
+        if (this.index >= 0) this.showFrame(this.index);
+    }
+
+    /**
+     * Show a frame.
+     * @param {number} index
+     */
+    showFrame(index) {
+        if (!this.frames.length) return;
+        this.index = Math.max(0, Math.min(this.frames.length - 1, index));
+        const frame = this.frames[this.index];
+        this.overlay.showFrame(frame.mesh);
+        if (this.onFrame) this.onFrame(frame, this.index, this.frames.length);
+    }
+
+    /**
+     * Move by `delta` frames, wrapping around.
+     * @param {number} delta
+     */
+    step(delta = 1) {
+        if (!this.frames.length) return;
+        const count = this.frames.length;
+        this.showFrame(((this.index + delta) % count + count) % count);
+    }
+
+    play() {
+        if (this.playing) return;
+        this.playing = true;
+        this._schedule();
+    }
+
+    pause() {
+        this.playing = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    toggle() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+
+    /**
+     * Playback speed relative to frameDelay (2 = twice as fast).
+     * @param {number} speed
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, speed);
+    }
+
+    /**
+     * How long to hold the last frame before starting over (ms).
+     * @param {number} dwell
+     */
+    setDwell(dwell) {
+        this.lastFrameDwell = Math.max(0, dwell);
+    }
+
+    _schedule() {
+        const isLast = this.index === this.frames.length - 1;
+        const delay = this.frameDelay / this.speed + (isLast ? this.lastFrameDwell : 0);
+        this._timer = setTimeout(() => {
+            if (!this.playing) return;
+            this.step(1);
+            this._schedule();
+        }, delay);
+    }
+
+    /**
+     * Stop playback and drop every frame.
+     */
+    clear() {
+        this.pause();
+        const hadFrames = this.frames.length > 0;
+        for (const frame of this.frames) this.overlay.deleteFrame(frame.mesh);
+        this.frames = [];
+        this.index = -1;
+        if (hadFrames && this.onFrame) this.onFrame(null, -1, 0);
+    }
+
+    /**
+     * Abandon a running load() and drop every frame.
+     */
+    stop() {
+        this._generation++;
+        this.clear();
+    }
+}
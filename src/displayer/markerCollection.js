@@ -4,6 +4,7 @@ export class MarkerCollection {
         this.markers = []; // { marker (google.maps.Marker), currentSize, properties }
         this.size = 2.5;
         this.color = "green";
+        this.clickHandler = null;
 
         this.map.addListener("idle", () => {
             this.#updateVisibleMarkers();
@@ -46,6 +47,7 @@ export class MarkerCollection {
             position: { lat, lng },
             map: this.map,
             icon: this.#createIcon(),
+            title: properties.id,
         });
 
         const markerObj = {
@@ -54,10 +56,18 @@ export class MarkerCollection {
             properties: properties,
         };
 
+        marker.addListener("click", () => {
+            if (this.clickHandler) this.clickHandler(markerObj);
+        });
+
         this.markers.push(markerObj);
         return markerObj;
     }
 
+    onClick(callback) {
+        this.clickHandler = callback;
+    }
+
     setColor(color) {
         if (this.color === color) return;
         this.color = color;
@@ -0,0 +1,176 @@
+/**
+ * Mosaic overlay - Several radars in one layer
+ *
+ * Each station contributes one sweep (usually its lowest), kept as its own
+ * mesh around its own origin. All meshes are drawn by one renderer, which
+ * picks a single gate per pixel where coverage overlaps (see
+ * RadarRenderer.setLayers()):
+ *
+ *   nearest   - The radar closest to the point
+ *   lowest    - The radar whose beam is lowest above the point
+ *   maximum   - The highest value of any radar
+ *
+ * Every site carries the time of its sweep. Sites older than `staleAfter`
+ * are dimmed and drawn behind fresh sites, so they only fill in where
+ * nothing newer covers.
+ *
+ * Usage:
+ *   const mosaic = new MosaicOverlay(map, { moment: 'REF', compositeMode: 'lowest' });
+ *   mosaic.setSite('KDVN', normalizeSweep(radar.getData(0, 'REF')), { site, time });
+ */
+
+import {COMPOSITE_MODES, RadarMapOverlay} from "./radarGl.js";
+
+const DEFAULT_STALE_AFTER = 15 * 60 * 1000;   // ms
+const DEFAULT_STALE_ALPHA = 0.4;
+const STALE_CHECK_INTERVAL = 60 * 1000;       // ms
+
+export class MosaicOverlay extends RadarMapOverlay {
+    /**
+     * @param {google.maps.Map} map
+     * @param {Object} options
+     *   - moment: Moment shown by every site (default 'REF')
+     *   - compositeMode: 'nearest', 'lowest' or 'maximum' (default 'nearest')
+     *   - staleAfter: Age in ms after which a site is dimmed (default 15 minutes)
+     *   - staleAlpha: Opacity of stale sites (default 0.4)
+     *   - onReady: Called once the overlay is on the map
+     */
+    constructor(map, options = {}) {
+        const {
+            moment = 'REF',
+            compositeMode = 'nearest',
+            staleAfter = DEFAULT_STALE_AFTER,
+            staleAlpha = DEFAULT_STALE_ALPHA,
+            onReady = null
+        } = options;
+        super(map, onReady);
+
+        if (!COMPOSITE_MODES[compositeMode]) {
+            throw new Error(`Unknown composite mode '${compositeMode}'`);
+        }
+        this.moment = moment;
+        this.compositeMode = compositeMode;
+        this.staleAfter = staleAfter;
+        this.staleAlpha = staleAlpha;
+        this.sites = new Map();    // stationId -> { stationId, site, time, sweepData, mesh }
+        this._staleTimer = null;
+    }
+
+    onAdd() {
+        super.onAdd();
+        this.usePalette(this.moment);
+        this.renderer.setCompositeMode(this.compositeMode);
+        // Sites set before the overlay was on the map get their meshes now
+        for (const entry of this.sites.values()) {
+            if (!entry.mesh) this._buildMesh(entry);
+        }
+        this._updateLayers();
+        this._staleTimer = setInterval(() => this._updateLayers(), STALE_CHECK_INTERVAL);
+    }
+
+    onRemove() {
+        clearInterval(this._staleTimer);
+        this._staleTimer = null;
+        for (const entry of this.sites.values()) {
+            this.deleteFrame(entry.mesh);
+            entry.mesh = null;
+        }
+        super.onRemove();
+    }
+
+    /**
+     * Add or replace a station's sweep.
+     * @param {string} stationId
+     * @param {Object} sweepData - normalizeSweep() result of this.moment
+     * @param {Object} options
+     *   - site: { lat, lng, height } radar origin
+     *   - time: Date of the sweep
+     */
+    setSite(stationId, sweepData, options) {
+        const { site, time = null } = options;
+        const previous = this.sites.get(stationId);
+        if (previous) this.deleteFrame(previous.mesh);
+
+        const entry = { stationId, site, time, sweepData, mesh: null };
+        this.sites.set(stationId, entry);
+        this._buildMesh(entry);
+        this._updateLayers();
+    }
+
+    /**
+     * Drop a station from the mosaic.
+     * @param {string} stationId
+     */
+    removeSite(stationId) {
+        const entry = this.sites.get(stationId);
+        if (!entry) return;
+        this.deleteFrame(entry.mesh);
+        this.sites.delete(stationId);
+        this._updateLayers();
+    }
+
+    /**
+     * Drop every station.
+     */
+    clear() {
+        for (const entry of this.sites.values()) this.deleteFrame(entry.mesh);
+        this.sites.clear();
+        this._updateLayers();
+    }
+
+    /**
+     * @param {string} mode - 'nearest', 'lowest' or 'maximum'
+     */
+    setCompositeMode(mode) {
+        if (!COMPOSITE_MODES[mode]) {
+            throw new Error(`Unknown composite mode '${mode}'`);
+        }
+        this.compositeMode = mode;
+        if (this.renderer) {
+            this.renderer.setCompositeMode(mode);
+            this.draw();
+        }
+    }
+
+    /**
+     * @param {number} staleAfter - Age in ms after which a site is dimmed
+     */
+    setStaleAfter(staleAfter) {
+        this.staleAfter = staleAfter;
+        this._updateLayers();
+    }
+
+    /**
+     * Whether a site's sweep is older than staleAfter.
+     * @param {string} stationId
+     * @param {Date} now
+     * @returns {boolean}
+     */
+    isStale(stationId, now = new Date()) {
+        const entry = this.sites.get(stationId);
+        return Boolean(entry && entry.time && now - entry.time > this.staleAfter);
+    }
+
+    _buildMesh(entry) {
+        if (!this.renderer) return;
+        const { sweepData, site } = entry;
+        entry.mesh = this.buildFrame(sweepData.azimuths, sweepData.ranges, sweepData.data, {
+            site: site,
+            moment: this.moment,
+            nyquistVelocity: sweepData.nyquistVelocity,
+            elevation: sweepData.elevation,
+            mask: sweepData.mask,
+            beamWidths: sweepData.beamWidths
+        });
+    }
+
+    _updateLayers() {
+        if (!this.renderer) return;
+        const now = new Date();
+        this.renderer.setLayers([...this.sites.values()].map(entry => {
+            const stale = this.isStale(entry.stationId, now);
+            return { mesh: entry.mesh, alpha: stale ? this.staleAlpha : 1, behind: stale };
+        }));
+        this.draw();
+    }
+}
@@ -0,0 +1,349 @@
+/**
+ * Palettes - Default color tables for each radar moment
+ *
+ * Palettes are sparse {value: [R, G, B]} tables (0-255) in the moment's
+ * physical units; buildColorLUT() interpolates between the entries. Each
+ * moment also has a default display range. Values below the range are not
+ * drawn, values above it take the last color.
+ *
+ * Velocity is diverging around zero (inbound green, outbound red) and is
+ * defined on -1..1, then scaled to the sweep's Nyquist velocity so the
+ * full color range is always in use.
+ *
+ * Categorical moments (hydrometeor classes) list their `categories`, one
+ * color and label per class code; their palette steps between the colors
+ * instead of blending them.
+ *
+ * Usage:
+ *   const { palette, minValue, maxValue } = paletteForMoment('VEL', { nyquistVelocity: 26.5 });
+ *   overlay.setColors(buildColorLUT(palette, minValue, maxValue));
+ */
+
+/**
+ * Standard NWS reflectivity color palette
+ * Keys are dBZ values, values are [R, G, B] (0-255)
+ */
+export const REF_PALETTE = {
+    10: [72, 61, 139],       // Dark slate blue
+    12: [70, 130, 180],      // Steel blue
+    14: [95, 158, 160],      // Cadet blue
+    16: [0, 139, 139],       // Dark cyan
+    18: [34, 139, 34],       // Forest green
+    20: [60, 179, 113],      // Medium sea green
+    22: [107, 142, 35],      // Olive drab
+    24: [154, 205, 50],      // Yellow green
+    26: [205, 173, 0],       // Dark gold
+    28: [255, 215, 0],       // Gold
+    30: [255, 255, 0],       // Yellow
+    32: [255, 165, 0],       // Orange
+    34: [255, 140, 0],       // Dark orange
+    36: [255, 127, 0],       // Orange
+    38: [255, 99, 71],       // Tomato
+    40: [255, 69, 0],        // Red-orange
+    42: [226, 1, 30],        // Red
+    44: [200, 6, 30],        // Dark red
+    46: [185, 1, 30],        // Darker red
+    48: [252, 156, 156],     // Light coral
+    50: [255, 182, 193],     // Light pink
+    52: [238, 130, 238],     // Violet
+    54: [219, 112, 147],     // Pale violet red
+    56: [218, 112, 214],     // Orchid
+    58: [186, 85, 211],      // Medium orchid
+    60: [153, 50, 204],      // Dark orchid
+    62: [160, 32, 240],      // Purple
+    64: [159, 121, 238],     // Medium purple
+    66: [171, 130, 255],     // Light purple
+    68: [138, 143, 255],     // Light blue-purple
+    70: [54, 62, 255],       // Blue
+    72: [45, 48, 122],       // Dark blue
+    74: [45, 48, 82],        // Darker blue
+    76: [32, 40, 44],        // Near black
+    78: [0, 0, 0],           // Black
+    80: [64, 64, 64],        // Dark gray
+    82: [102, 102, 102],     // Gray
+    84: [140, 140, 140],     // Medium gray
+    86: [179, 179, 179],     // Light gray
+    88: [204, 204, 204],     // Lighter gray
+    90: [230, 230, 230],     // Very light gray
+    92: [255, 255, 255],     // White
+    94: [179, 179, 255],     // Light blue-white
+};
+
+/**
+ * Base velocity, normalized to the Nyquist velocity (negative = toward the radar)
+ */
+export const VEL_PALETTE = {
+    '-1': [2, 252, 2],         // Bright green
+    '-0.8': [1, 228, 1],
+    '-0.6': [1, 197, 1],
+    '-0.4': [7, 172, 4],
+    '-0.2': [6, 143, 3],
+    '-0.05': [4, 114, 2],      // Dark green
+    0: [124, 151, 123],        // Gray-green (near zero)
+    0.05: [152, 119, 119],     // Gray-red (near zero)
+    0.2: [137, 0, 0],          // Dark red
+    0.4: [162, 0, 0],
+    0.6: [185, 0, 0],
+    0.8: [216, 0, 0],
+    1: [255, 0, 0],            // Bright red
+};
+
+/**
+ * Spectrum width (m/s)
+ */
+export const SW_PALETTE = {
+    0: [80, 80, 80],           // Dark gray
+    2: [130, 130, 130],        // Gray
+    4: [0, 160, 0],            // Green
+    6: [120, 200, 0],          // Yellow green
+    8: [255, 255, 0],          // Yellow
+    10: [255, 170, 0],         // Orange
+    12: [255, 80, 0],          // Red-orange
+    15: [220, 0, 0],           // Red
+    20: [255, 255, 255],       // White
+};
+
+/**
+ * Differential reflectivity (dB)
+ */
+export const ZDR_PALETTE = {
+    '-4': [64, 64, 64],        // Dark gray
+    '-2': [128, 128, 128],     // Gray
+    '-0.5': [200, 200, 200],   // Light gray
+    0: [20, 20, 140],          // Dark blue
+    0.5: [0, 120, 255],        // Blue
+    1: [0, 200, 200],          // Cyan
+    1.5: [0, 180, 0],          // Green
+    2: [150, 220, 0],          // Yellow green
+    2.5: [255, 255, 0],        // Yellow
+    3: [255, 180, 0],          // Orange
+    4: [255, 60, 0],           // Red-orange
+    5: [200, 0, 0],            // Red
+    6: [255, 130, 200],        // Pink
+    8: [255, 255, 255],        // White
+};
+
+/**
+ * Differential phase (degrees)
+ */
+export const PHI_PALETTE = {
+    0: [40, 0, 100],           // Dark purple
+    45: [0, 0, 220],           // Blue
+    90: [0, 170, 255],         // Light blue
+    135: [0, 200, 100],        // Green
+    180: [200, 230, 0],        // Yellow green
+    225: [255, 200, 0],        // Gold
+    270: [255, 110, 0],        // Orange
+    315: [220, 0, 0],          // Red
+    360: [255, 170, 230],      // Pink
+};
+
+/**
+ * Correlation coefficient (unitless)
+ */
+export const RHO_PALETTE = {
+    0.2: [20, 0, 50],          // Near black purple
+    0.45: [0, 0, 140],         // Dark blue
+    0.6: [0, 80, 220],         // Blue
+    0.7: [0, 170, 220],        // Light blue
+    0.8: [0, 200, 100],        // Green
+    0.85: [130, 210, 0],       // Yellow green
+    0.9: [255, 230, 0],        // Yellow
+    0.93: [255, 150, 0],       // Orange
+    0.95: [255, 60, 0],        // Red-orange
+    0.97: [200, 0, 0],         // Red
+    0.99: [140, 0, 60],        // Dark red
+    1.0: [255, 170, 230],      // Pink
+    1.05: [255, 255, 255],     // White
+};
+
+/**
+ * Clutter filter power removed (dB)
+ */
+export const CFP_PALETTE = {
+    0: [90, 90, 90],           // Gray
+    5: [0, 100, 200],          // Blue
+    10: [0, 180, 180],         // Cyan
+    15: [0, 180, 0],           // Green
+    20: [255, 255, 0],         // Yellow
+    30: [255, 120, 0],         // Orange
+    40: [220, 0, 0],           // Red
+};
+
+/**
+ * Echo tops (km)
+ */
+export const ECHO_TOP_PALETTE = {
+    0: [120, 120, 120],        // Gray
+    2: [0, 100, 200],          // Blue
+    5: [0, 180, 0],            // Green
+    8: [255, 255, 0],          // Yellow
+    11: [255, 120, 0],         // Orange
+    14: [220, 0, 0],           // Red
+    17: [200, 0, 200],         // Magenta
+    20: [255, 255, 255],       // White
+};
+
+/**
+ * Vertically integrated liquid (kg/m²)
+ */
+export const VIL_PALETTE = {
+    0: [100, 100, 100],        // Gray
+    5: [0, 120, 220],          // Blue
+    15: [0, 180, 0],           // Green
+    30: [255, 255, 0],         // Yellow
+    45: [255, 120, 0],         // Orange
+    60: [220, 0, 0],           // Red
+    70: [200, 0, 200],         // Magenta
+    80: [255, 255, 255],       // White
+};
+
+/**
+ * VIL density (g/m³); 3.5 and up suggests large hail
+ */
+export const VILD_PALETTE = {
+    0: [100, 100, 100],        // Gray
+    1: [0, 120, 220],          // Blue
+    2: [0, 180, 0],            // Green
+    3: [255, 255, 0],          // Yellow
+    3.5: [255, 120, 0],        // Orange
+    4.5: [220, 0, 0],          // Red
+    6: [200, 0, 200],          // Magenta
+};
+
+/**
+ * Specific differential phase (°/km)
+ */
+export const KDP_PALETTE = {
+    '-2': [100, 100, 100],     // Gray
+    0: [180, 180, 180],        // Light gray
+    0.5: [0, 120, 220],        // Blue
+    1: [0, 180, 0],            // Green
+    2: [255, 255, 0],          // Yellow
+    3: [255, 120, 0],          // Orange
+    5: [220, 0, 0],            // Red
+    7: [200, 0, 200],          // Magenta
+};
+
+/**
+ * Hydrometeor classes (codes from products/dualPol.js HYDROMETEOR_CLASSES)
+ */
+export const HCA_CATEGORIES = [
+    { value: 1, label: 'Ground clutter / AP', color: [140, 140, 140] },
+    { value: 2, label: 'Biological', color: [255, 153, 204] },
+    { value: 3, label: 'Dry snow', color: [102, 153, 255] },
+    { value: 4, label: 'Wet snow', color: [51, 51, 204] },
+    { value: 5, label: 'Ice crystals', color: [204, 229, 255] },
+    { value: 6, label: 'Graupel', color: [204, 153, 255] },
+    { value: 7, label: 'Big drops', color: [255, 255, 102] },
+    { value: 8, label: 'Rain', color: [102, 204, 102] },
+    { value: 9, label: 'Heavy rain', color: [0, 140, 0] },
+    { value: 10, label: 'Rain / hail', color: [204, 0, 0] },
+];
+
+/**
+ * Sparse palette giving each category its color from half a step below its
+ * value to just under half a step above.
+ * @param {Object[]} categories - [{ value, color }], values one apart
+ * @returns {Object} Sparse palette
+ */
+export function categoricalPalette(categories) {
+    const palette = {};
+    for (const { value, color } of categories) {
+        palette[value - 0.5] = color;
+        palette[value + 0.49] = color;
+    }
+    return palette;
+}
+
+// Dealiased velocities are no longer bound by the Nyquist velocity
+const DEALIASED_VELOCITY_RANGE = 60; // m/s
+
+/**
+ * Default table and display range per moment.
+ *   - palette: Sparse palette
+ *   - minValue, maxValue: Display range in palette units
+ *   - units: Label for legends and readouts
+ *   - scaleToNyquist: Palette and range are multiples of the Nyquist velocity
+ *   - categories: For categorical moments, [{ value, label, color }]
+ */
+export const MOMENT_PALETTES = {
+    REF: { palette: REF_PALETTE, minValue: 5, maxValue: 95, units: 'dBZ' },
+    VEL: { palette: VEL_PALETTE, minValue: -1, maxValue: 1, units: 'm/s', scaleToNyquist: true },
+    SW: { palette: SW_PALETTE, minValue: 0, maxValue: 20, units: 'm/s' },
+    ZDR: { palette: ZDR_PALETTE, minValue: -4, maxValue: 8, units: 'dB' },
+    PHI: { palette: PHI_PALETTE, minValue: 0, maxValue: 360, units: '°' },
+    RHO: { palette: RHO_PALETTE, minValue: 0.2, maxValue: 1.05, units: '' },
+    CFP: { palette: CFP_PALETTE, minValue: 0, maxValue: 40, units: 'dB' },
+    // Volume products (see products/volumeProducts.js)
+    CREF: { palette: REF_PALETTE, minValue: 5, maxValue: 95, units: 'dBZ' },
+    ET: { palette: ECHO_TOP_PALETTE, minValue: 0, maxValue: 20, units: 'km' },
+    VIL: { palette: VIL_PALETTE, minValue: 0, maxValue: 80, units: 'kg/m²' },
+    VILD: { palette: VILD_PALETTE, minValue: 0, maxValue: 6, units: 'g/m³' },
+    // Derived moments (see products/derivedMoments.js)
+    VEL_DEALIASED: {
+        palette: scalePalette(VEL_PALETTE, DEALIASED_VELOCITY_RANGE),
+        minValue: -DEALIASED_VELOCITY_RANGE,
+        maxValue: DEALIASED_VELOCITY_RANGE,
+        units: 'm/s'
+    },
+    SRV: {
+        palette: scalePalette(VEL_PALETTE, DEALIASED_VELOCITY_RANGE),
+        minValue: -DEALIASED_VELOCITY_RANGE,
+        maxValue: DEALIASED_VELOCITY_RANGE,
+        units: 'm/s'
+    },
+    KDP: { palette: KDP_PALETTE, minValue: -2, maxValue: 7, units: '°/km' },
+    REF_QC: { palette: REF_PALETTE, minValue: 5, maxValue: 95, units: 'dBZ' },
+    HCA: {
+        palette: categoricalPalette(HCA_CATEGORIES),
+        minValue: 0.5,
+        maxValue: HCA_CATEGORIES.length + 0.5,
+        units: '',
+        categories: HCA_CATEGORIES
+    },
+};
+
+// Used for VEL when the sweep carries no Nyquist velocity
+const DEFAULT_NYQUIST_VELOCITY = 30; // m/s
+
+/**
+ * Multiply every palette key by a factor.
+ * @param {Object} palette - Sparse palette
+ * @param {number} factor
+ * @returns {Object} Sparse palette
+ */
+export function scalePalette(palette, factor) {
+    const scaled = {};
+    for (const [value, color] of Object.entries(palette)) {
+        scaled[Number(value) * factor] = color;
+    }
+    return scaled;
+}
+
+/**
+ * Palette and display range for a moment.
+ * @param {string} moment - Moment name (REF, VEL, ...)
+ * @param {Object} options
+ *   - nyquistVelocity: Sweep Nyquist velocity (m/s), for VEL
+ * @returns {Object} { palette, minValue, maxValue, units, categories? }
+ */
+export function paletteForMoment(moment, options = {}) {
+    const entry = MOMENT_PALETTES[moment];
+    if (!entry) {
+        throw new Error(`No palette for moment '${moment}'`);
+    }
+
+    if (!entry.scaleToNyquist) {
+        const { palette, minValue, maxValue, units, categories } = entry;
+        return { palette, minValue, maxValue, units, categories };
+    }
+
+    const nyquist = options.nyquistVelocity || DEFAULT_NYQUIST_VELOCITY;
+    return {
+        palette: scalePalette(entry.palette, nyquist),
+        minValue: entry.minValue * nyquist,
+        maxValue: entry.maxValue * nyquist,
+        units: entry.units
+    };
+}
@@ -8,82 +8,73 @@
  *   - azimuths: Float32Array of azimuth angles in degrees (meteorological: 0=North, clockwise)
  *   - ranges: Float32Array of range gate distances in kilometers
  *   - data: Float32Array of values, laid out as [az0_r0, az0_r1, ..., az1_r0, az1_r1, ...]
+ *   - mask: optional Uint8Array of GATE_MASK values in the same layout; range-folded
+ *           gates are drawn in their own color
+ *
+ * Gridded data (see products/gridding.js) is drawn as an image layer with
+ * RadarRenderer.buildGridMesh(), one quad per grid cell.
+ *
+ * Several meshes (e.g. neighboring radars) can be drawn together with
+ * RadarRenderer.setLayers(); where they overlap one gate per pixel wins,
+ * chosen by the composite mode.
  */
 
+import {GATE_MASK} from "../decoder/NexradLevel2.js";
+import {beamHeight, gateLatLngGrid, groundRange, latLngToGate, slantRangeForGround} from "../geo/beamGeometry.js";
+import {MOMENT_PALETTES, paletteForMoment, REF_PALETTE} from "./palettes.js";
+import {colorTableRange, colorTableToLUT, paletteToColorTable} from "./colorTables.js";
+
 // =============================================================================
 // SECTION 1: Color Palette
 // =============================================================================
 
 /**
- * Standard NWS reflectivity color palette
- * Keys are dBZ values, values are [R, G, B] (0-255)
+ * Color of range-folded ("RF") gates, [R, G, B] (0-255)
+ */
+const RANGE_FOLDED_COLOR = [119, 0, 125];
+
+/**
+ * How overlapping layers are composited: the gate of the nearest radar,
+ * the gate with the lowest beam, or the gate with the highest value
  */
-let REF_PALETTE = {
-    10: [72, 61, 139],       // Dark slate blue
-    12: [70, 130, 180],      // Steel blue
-    14: [95, 158, 160],      // Cadet blue
-    16: [0, 139, 139],       // Dark cyan
-    18: [34, 139, 34],       // Forest green
-    20: [60, 179, 113],      // Medium sea green
-    22: [107, 142, 35],      // Olive drab
-    24: [154, 205, 50],      // Yellow green
-    26: [205, 173, 0],       // Dark gold
-    28: [255, 215, 0],       // Gold
-    30: [255, 255, 0],       // Yellow
-    32: [255, 165, 0],       // Orange
-    34: [255, 140, 0],       // Dark orange
-    36: [255, 127, 0],       // Orange
-    38: [255, 99, 71],       // Tomato
-    40: [255, 69, 0],        // Red-orange
-    42: [226, 1, 30],        // Red
-    44: [200, 6, 30],        // Dark red
-    46: [185, 1, 30],        // Darker red
-    48: [252, 156, 156],     // Light coral
-    50: [255, 182, 193],     // Light pink
-    52: [238, 130, 238],     // Violet
-    54: [219, 112, 147],     // Pale violet red
-    56: [218, 112, 214],     // Orchid
-    58: [186, 85, 211],      // Medium orchid
-    60: [153, 50, 204],      // Dark orchid
-    62: [160, 32, 240],      // Purple
-    64: [159, 121, 238],     // Medium purple
-    66: [171, 130, 255],     // Light purple
-    68: [138, 143, 255],     // Light blue-purple
-    70: [54, 62, 255],       // Blue
-    72: [45, 48, 122],       // Dark blue
-    74: [45, 48, 82],        // Darker blue
-    76: [32, 40, 44],        // Near black
-    78: [0, 0, 0],           // Black
-    80: [64, 64, 64],        // Dark gray
-    82: [102, 102, 102],     // Gray
-    84: [140, 140, 140],     // Medium gray
-    86: [179, 179, 179],     // Light gray
-    88: [204, 204, 204],     // Lighter gray
-    90: [230, 230, 230],     // Very light gray
-    92: [255, 255, 255],     // White
-    94: [179, 179, 255],     // Light blue-white
+const COMPOSITE_MODES = {
+    nearest: 1,
+    lowest: 2,
+    maximum: 3
 };
 
+// Color indices reserved for gates that are not drawn and range-folded gates;
+// indices 1-255 span minValue..maxValue
+const TRANSPARENT_INDEX = 0;
+const RANGE_FOLDED_INDEX = -1;
+
+/**
+ * Color index of a value: 1-255 across minValue..maxValue, transparent
+ * below minValue or for NaN
+ */
+function colorIndexFor(value, minValue, maxValue) {
+    if (!(value >= minValue)) return TRANSPARENT_INDEX;
+    return Math.min(255, 1 + Math.round(((value - minValue) / (maxValue - minValue)) * 254));
+}
+
 /**
  * Build a 256-color lookup table from sparse palette
  * @param {Object} palette - Sparse palette {value: [r,g,b], ...}
- * @param {number} minVal - Minimum data value
- * @param {number} maxVal - Maximum data value
- * @returns {Array} 256-element array of [r,g,b] normalized to 0-1
+ * @param {number} minVal - Data value of color index 1
+ * @param {number} maxVal - Data value of color index 255
+ * @returns {Array} 256-element array of [r,g,b] normalized to 0-1; index 0 is never drawn
  */
 function buildColorLUT(palette, minVal = 0, maxVal = 95) {
     const lut = new Array(256);
     const sortedKeys = Object.keys(palette).map(Number).sort((a, b) => a - b);
 
-    // Initialize all to transparent/white
-    for (let i = 0; i < 256; i++) {
-        lut[i] = [1, 1, 1]; // White (will be transparent for low values)
-    }
+    // Index 0 is transparent
+    lut[TRANSPARENT_INDEX] = [1, 1, 1];
 
     // Map data values to color indices
-    for (let i = 0; i < 256; i++) {
+    for (let i = 1; i < 256; i++) {
         // Convert index back to data value
-        const dataVal = minVal + (i / 255) * (maxVal - minVal);
+        const dataVal = minVal + ((i - 1) / 254) * (maxVal - minVal);
 
         // Find surrounding palette entries
         let lowerKey = sortedKeys[0];
@@ -136,18 +127,6 @@ function latLngToMercator(lat, lng) {
     return { x, y };
 }
 
-/**
- * Convert meteorological azimuth to mathematical angle
- * Meteorological: 0° = North, increases clockwise
- * Mathematical: 0° = East, increases counter-clockwise
- */
-function metAzimuthToMathAngle(azimuth) {
-    // 90 - azimuth converts from met to math convention
-    let angle = 90 - azimuth;
-    if (angle < 0) angle += 360;
-    return angle;
-}
-
 // =============================================================================
 // SECTION 3: WebGL Shaders
 // =============================================================================
@@ -155,36 +134,42 @@ function metAzimuthToMathAngle(azimuth) {
 /**
  * Vertex Shader
  *
- * Takes polar coordinates (azimuth, distance) and converts to screen position.
- * Also passes the color index to the fragment shader.
+ * Takes Mercator offsets from the radar (computed on the CPU with the beam
+ * geometry model) and converts them to screen position. Also passes the
+ * color index to the fragment shader. When compositing by distance or beam
+ * height, that goes into the depth so the depth test picks the winner.
  */
 const VERTEX_SHADER = `#version 300 es
 precision highp float;
 
 // Per-vertex inputs
-in float a_azimuth;      // Angle in degrees (math convention)
-in float a_distance;     // Distance from radar in meters
-in float a_colorIndex;   // Index into color palette (0-255)
+in vec2 a_offset;        // Mercator offset from the radar origin (meters)
+in float a_colorIndex;   // Index into color palette (1-255, 0 = transparent, -1 = range folded)
+in vec2 a_geometry;      // Ground range (km) and beam height (km) of the vertex
 
 // Uniform values (same for all vertices)
 uniform vec2 u_origin;      // Radar position in Mercator coords
 uniform vec2 u_boundsMin;   // Map viewport min corner (Mercator)
 uniform vec2 u_boundsMax;   // Map viewport max corner (Mercator)
+uniform highp int u_compositeMode;    // 0 = none, 1 = nearest, 2 = lowest beam, 3 = maximum value
 
 // Output to fragment shader
 flat out int v_colorIndex;
 
 void main() {
-    // Convert polar (azimuth, distance) to Cartesian (x, y)
-    float angleRad = radians(a_azimuth);
-    float x = cos(angleRad) * a_distance + u_origin.x;
-    float y = sin(angleRad) * a_distance + u_origin.y;
+    float x = a_offset.x + u_origin.x;
+    float y = a_offset.y + u_origin.y;
     
     // Convert Mercator coords to Normalized Device Coordinates (-1 to 1)
     float ndc_x = 2.0 * (x - u_boundsMin.x) / (u_boundsMax.x - u_boundsMin.x) - 1.0;
     float ndc_y = 2.0 * (y - u_boundsMin.y) / (u_boundsMax.y - u_boundsMin.y) - 1.0;
     
-    gl_Position = vec4(ndc_x, ndc_y, 0.0, 1.0);
+    // Depth 0-1 from range (up to 500 km) or beam height (up to 25 km)
+    float depth = 0.0;
+    if (u_compositeMode == 1) depth = a_geometry.x / 500.0;
+    if (u_compositeMode == 2) depth = a_geometry.y / 25.0;
+    
+    gl_Position = vec4(ndc_x, ndc_y, 2.0 * clamp(depth, 0.0, 1.0) - 1.0, 1.0);
     v_colorIndex = int(a_colorIndex);
 }
 `;
@@ -193,22 +178,37 @@ void main() {
  * Fragment Shader
  *
  * Colors each pixel based on the color index passed from vertex shader.
+ * Also sets the depth used for compositing: higher values are nearer when
+ * compositing by maximum, and range-folded gates lose to any data.
  */
 const FRAGMENT_SHADER = `#version 300 es
 precision highp float;
 
 flat in int v_colorIndex;       // Color index from vertex shader
-uniform vec3 u_colors[256];     // Color lookup table
+uniform vec4 u_colors[256];     // Color lookup table (RGBA)
+uniform vec4 u_rangeFoldedColor;
+uniform highp int u_compositeMode;    // See vertex shader (same precision in both stages)
+uniform float u_alpha;          // Layer opacity
+uniform float u_depthOffset;    // 0.5 pushes a layer behind every layer without it
 
 out vec4 outColor;
 
 void main() {
-    vec3 color = u_colors[v_colorIndex];
+    float depth = u_compositeMode == 3 ? 1.0 - float(v_colorIndex) / 256.0 : gl_FragCoord.z;
+    if (v_colorIndex < 0) depth = 1.0;
+    gl_FragDepth = 0.5 * depth + u_depthOffset;
+
+    if (v_colorIndex < 0) {
+        outColor = vec4(u_rangeFoldedColor.rgb, u_rangeFoldedColor.a * u_alpha);
+        return;
+    }
+
+    vec4 color = u_colors[v_colorIndex];
     
-    // Make very low values (index 0-10) transparent
-    float alpha = v_colorIndex < 10 ? 0.0 : 1.0;
+    // Index 0 (below the display range) is transparent
+    float alpha = v_colorIndex == 0 ? 0.0 : color.a;
     
-    outColor = vec4(color, alpha);
+    outColor = vec4(color.rgb, alpha * u_alpha);
 }
 `;
 
@@ -277,10 +277,15 @@ function createAttributeBuffer(gl, program, data, attributeName, size = 1) {
  * Usage:
  *   const renderer = new RadarRenderer(canvas);
  *   renderer.setColors(colorLUT);
- *   renderer.setRadarPosition(lat, lng);
- *   renderer.loadData(azimuths, ranges, data, options);
+ *   renderer.loadData(azimuths, ranges, data, { site: { lat, lng }, ...options });
  *   renderer.setViewBounds(minX, minY, maxX, maxY);
  *   renderer.draw();
+ *
+ * loadData() replaces the mesh on screen. To flip between several data sets
+ * (e.g. the frames of a loop) build their meshes up front and switch:
+ *   const mesh = renderer.buildMesh(azimuths, ranges, data, options);
+ *   renderer.useMesh(mesh);
+ *   renderer.deleteMesh(mesh);   // when no longer needed
  */
 class RadarRenderer {
     constructor(canvas) {
@@ -310,33 +315,63 @@ class RadarRenderer {
             origin: this.gl.getUniformLocation(this.program, 'u_origin'),
             boundsMin: this.gl.getUniformLocation(this.program, 'u_boundsMin'),
             boundsMax: this.gl.getUniformLocation(this.program, 'u_boundsMax'),
-            colors: this.gl.getUniformLocation(this.program, 'u_colors')
+            colors: this.gl.getUniformLocation(this.program, 'u_colors'),
+            rangeFoldedColor: this.gl.getUniformLocation(this.program, 'u_rangeFoldedColor'),
+            compositeMode: this.gl.getUniformLocation(this.program, 'u_compositeMode'),
+            alpha: this.gl.getUniformLocation(this.program, 'u_alpha'),
+            depthOffset: this.gl.getUniformLocation(this.program, 'u_depthOffset')
         };
+        this.setRangeFoldedColor(RANGE_FOLDED_COLOR);
 
         // Initialize state
+        this.radarSite = null;
         this.radarOrigin = { x: 0, y: 0 };
-        this.indexCount = 0;
-        this.dataLoaded = false;
+        this.loaded = null;        // Arguments of the last loadData() call
+        this.loadedGrid = null;    // Arguments of the last loadGrid() call
+        this.mesh = null;          // Mesh being drawn
+        this.ownsMesh = false;     // Whether the mesh came from loadData() and is ours to delete
+        this.layers = null;        // Meshes drawn together instead of `mesh`, see setLayers()
+        this.compositeMode = 'nearest';
     }
 
     /**
      * Set the color lookup table
-     * @param {Array} colors - 256-element array of [r,g,b] values (0-1 range)
+     * @param {Array} colors - 256-element array of [r,g,b] or [r,g,b,a] values (0-1 range)
      */
     setColors(colors) {
-        // Flatten to single array for WebGL
-        const flatColors = new Float32Array(colors.flat());
-        this.gl.uniform3fv(this.uniforms.colors, flatColors);
+        // Flatten to single RGBA array for WebGL
+        const flatColors = new Float32Array(256 * 4);
+        colors.forEach((color, i) => {
+            flatColors.set(color.length === 4 ? color : [...color, 1], i * 4);
+        });
+        this.gl.uniform4fv(this.uniforms.colors, flatColors);
+    }
+
+    /**
+     * Set the color of range-folded gates
+     * @param {Array} color - [r, g, b] or [r, g, b, a] (0-255)
+     */
+    setRangeFoldedColor(color) {
+        const alpha = color.length === 4 ? color[3] : 255;
+        this.gl.uniform4f(this.uniforms.rangeFoldedColor, color[0] / 255, color[1] / 255, color[2] / 255, alpha / 255);
     }
 
     /**
-     * Set radar position
+     * Set radar position. Gate positions depend on it, so loaded data is
+     * re-meshed when the site moves; to show new data at a new site pass
+     * `site` to loadData() instead.
      * @param {number} lat - Latitude in degrees
      * @param {number} lng - Longitude in degrees
      */
     setRadarPosition(lat, lng) {
+        const moved = !this.radarSite || this.radarSite.lat !== lat || this.radarSite.lng !== lng;
+        this.radarSite = { lat, lng };
         this.radarOrigin = latLngToMercator(lat, lng);
-        this.gl.uniform2f(this.uniforms.origin, this.radarOrigin.x, this.radarOrigin.y);
+
+        if (moved && this.loaded && this.ownsMesh) {
+            const [azimuths, ranges, data, options] = this.loaded;
+            this.loadData(azimuths, ranges, data, { ...options, site: this.radarSite });
+        }
     }
 
     /**
@@ -348,23 +383,100 @@ class RadarRenderer {
     }
 
     /**
-     * Load radar data and create WebGL buffers
+     * Load radar data and show it in place of the current mesh
+     * (see buildMesh() for the arguments). `options.site` becomes the radar
+     * position.
+     */
+    loadData(azimuths, ranges, data, options = {}) {
+        if (options.site) {
+            this.radarSite = { lat: options.site.lat, lng: options.site.lng };
+            this.radarOrigin = latLngToMercator(this.radarSite.lat, this.radarSite.lng);
+        }
+        const mesh = this.buildMesh(azimuths, ranges, data, options);
+        this.useMesh(mesh);
+        this.ownsMesh = true;
+        this.loaded = [azimuths, ranges, data, options];
+        this.loadedGrid = null;
+    }
+
+    /**
+     * Draw a mesh from buildMesh(). A mesh set by loadData() is deleted
+     * when replaced; meshes passed here stay owned by the caller.
+     * @param {Object|null} mesh
+     */
+    useMesh(mesh) {
+        if (this.mesh && this.ownsMesh && this.mesh !== mesh) this.deleteMesh(this.mesh);
+        this.mesh = mesh;
+        this.ownsMesh = false;
+    }
+
+    /**
+     * Draw several meshes together instead of the single mesh, e.g. one per
+     * radar of a mosaic. Where layers overlap, the gate picked by the
+     * composite mode is drawn. Layers remain owned by the caller.
+     * @param {Object[]|null} layers - [{ mesh, alpha = 1, behind = false }]; `behind`
+     *                                 layers only show where no other layer has data.
+     *                                 null goes back to the single mesh.
+     */
+    setLayers(layers) {
+        this.layers = layers;
+    }
+
+    /**
+     * How overlapping layers are composited.
+     * @param {string} mode - 'nearest', 'lowest' (beam height) or 'maximum' (value)
+     */
+    setCompositeMode(mode) {
+        if (!COMPOSITE_MODES[mode]) {
+            throw new Error(`Unknown composite mode '${mode}'`);
+        }
+        this.compositeMode = mode;
+    }
+
+    /**
+     * Free a mesh's GPU buffers.
+     * @param {Object} mesh
+     */
+    deleteMesh(mesh) {
+        if (!mesh.vao) return;
+        if (this.mesh === mesh) this.mesh = null;
+        this.gl.deleteVertexArray(mesh.vao);
+        for (const buffer of mesh.buffers) this.gl.deleteBuffer(buffer);
+        mesh.vao = null;
+        mesh.buffers = [];
+    }
+
+    /**
+     * Build the triangles for radar data and upload them to the GPU
      *
      * @param {Float32Array} azimuths - Array of azimuth angles (degrees, met convention)
      * @param {Float32Array} ranges - Array of range values (km)
      * @param {Float32Array} data - Flattened data array [az0_r0, az0_r1, ..., az1_r0, ...]
      * @param {Object} options - Optional parameters
-     *   - elevation: Radar elevation angle (degrees) for distance correction
-     *   - minValue: Minimum data value for color mapping
+     *   - site: { lat, lng } radar position (default: the last setRadarPosition())
+     *   - elevation: Radar elevation angle (degrees) for beam geometry
+     *   - groundRanges: `ranges` are distances along the ground, not slant
+     *                   ranges (e.g. volume products), so no beam geometry applies
+     *   - minValue: Minimum data value for color mapping (lower values are not drawn)
      *   - maxValue: Maximum data value for color mapping
      *   - beamWidth: Azimuthal beam width (degrees)
+     *   - beamWidths: Per-ray beam widths (degrees), e.g. from normalizeSweep()
+     *   - mask: Gate mask from NexradLevel2.getData(); range-folded gates are drawn
+     *           in the range-folded color
+     * @returns {Object} Mesh handle { vao, buffers, indexCount, origin } for
+     *                   useMesh() and deleteMesh(); positions are relative to
+     *                   the site
      */
-    loadData(azimuths, ranges, data, options = {}) {
+    buildMesh(azimuths, ranges, data, options = {}) {
         const {
+            site = this.radarSite ?? { lat: 0, lng: 0 },
             elevation = 0.5,      // Default elevation angle
+            groundRanges = false, // Ranges along the ground instead of the beam
             minValue = -10,       // Min reflectivity for color mapping
             maxValue = 80,        // Max reflectivity for color mapping
-            beamWidth = 0.5       // Azimuthal resolution
+            beamWidth = 0.5,      // Azimuthal resolution
+            beamWidths = null,    // Per-ray widths, overriding beamWidth
+            mask = null           // Per-gate GATE_MASK values
         } = options;
 
         const numAzimuths = azimuths.length;
@@ -376,32 +488,54 @@ class RadarRenderer {
         // =================================================================
         // Step 1: Create vertices
         // =================================================================
-        // We need (numAzimuths + 1) × (numRanges + 1) vertices
-        // The +1 is because each "cell" needs 4 corners
-
-        const numVertices = (numAzimuths + 1) * (numRanges + 1);
-        const vertexAzimuths = new Float32Array(numVertices);
-        const vertexDistances = new Float32Array(numVertices);
+        // Every ray gets its own left and right edge, (numRanges + 1)
+        // vertices each, so rays are never stretched across a gap to
+        // whichever ray comes next. Positions come from the 4/3 earth
+        // radius beam model and are stored as Mercator offsets from the
+        // radar, which keeps them precise as 32-bit floats.
+
+        const verticesPerEdge = numRanges + 1;
+        const numVertices = numAzimuths * 2 * verticesPerEdge;
+        const vertexOffsets = new Float32Array(numVertices * 2);
         const vertexColors = new Float32Array(numVertices);
 
-        const elevationCos = Math.cos(elevation * Math.PI / 180);
+        // Gate edges: ranges are gate starts, the last edge is one gate further
+        const rangeEdges = new Float32Array(verticesPerEdge);
+        rangeEdges.set(ranges);
+        rangeEdges[numRanges] = ranges[numRanges - 1] +
+            (numRanges > 1 ? ranges[numRanges - 1] - ranges[numRanges - 2] : 0);
+        if (groundRanges) {
+            // The slant ranges that land on them, so the beam model gives them back
+            for (let r = 0; r < verticesPerEdge; r++) {
+                rangeEdges[r] = slantRangeForGround(rangeEdges[r], elevation);
+            }
+        }
 
-        let vertexIndex = 0;
-        for (let a = 0; a <= numAzimuths; a++) {
-            // Get azimuth angle (wrap around for last vertex)
-            const metAzimuth = azimuths[a % numAzimuths];
-            // Convert to math convention and offset by half beam width
-            const mathAngle = metAzimuthToMathAngle(metAzimuth) - beamWidth / 2;
+        // Left then right edge of every ray (meteorological degrees)
+        const edgeAzimuths = new Float32Array(numAzimuths * 2);
+        for (let a = 0; a < numAzimuths; a++) {
+            const halfWidth = (beamWidths ? beamWidths[a] : beamWidth) / 2;
+            edgeAzimuths[2 * a] = azimuths[a] - halfWidth;
+            edgeAzimuths[2 * a + 1] = azimuths[a] + halfWidth;
+        }
 
-            for (let r = 0; r <= numRanges; r++) {
-                // Get range in km, convert to meters, apply elevation correction
-                const rangeKm = ranges[Math.min(r, numRanges - 1)];
-                const distanceMeters = rangeKm * 1000 * elevationCos;
+        const { lats, lngs } = gateLatLngGrid(site, edgeAzimuths, rangeEdges, elevation);
+        const origin = latLngToMercator(site.lat, site.lng);
+        for (let v = 0; v < numVertices; v++) {
+            const point = latLngToMercator(lats[v], lngs[v]);
+            vertexOffsets[2 * v] = point.x - origin.x;
+            vertexOffsets[2 * v + 1] = point.y - origin.y;
+        }
 
-                vertexAzimuths[vertexIndex] = mathAngle;
-                vertexDistances[vertexIndex] = distanceMeters;
-                vertexIndex++;
-            }
+        // Ground range and beam height only depend on the range, for compositing
+        const edgeGeometry = new Float32Array(verticesPerEdge * 2);
+        for (let r = 0; r < verticesPerEdge; r++) {
+            edgeGeometry[2 * r] = groundRange(rangeEdges[r], elevation);
+            edgeGeometry[2 * r + 1] = beamHeight(rangeEdges[r], elevation) / 1000;
+        }
+        const vertexGeometry = new Float32Array(numVertices * 2);
+        for (let edge = 0; edge < numAzimuths * 2; edge++) {
+            vertexGeometry.set(edgeGeometry, edge * verticesPerEdge * 2);
         }
 
         //console.log(`  Vertices created: ${performance.now() - startTime}ms`);
@@ -416,36 +550,40 @@ class RadarRenderer {
         const indices = new Uint32Array(maxTriangles * 3);
 
         let indexOffset = 0;
-        const verticesPerAzimuth = numRanges + 1;
 
         for (let a = 0; a < numAzimuths; a++) {
-            const baseVertex = a * verticesPerAzimuth;
+            const baseVertex = a * 2 * verticesPerEdge;
 
             for (let r = 0; r < numRanges; r++) {
                 // Get data value for this cell
                 const dataIndex = a * numRanges + r;
                 const value = data[dataIndex];
 
-                // Convert value to color index (0-255)
-                let colorIndex = Math.round(((value - minValue) / (maxValue - minValue)) * 255);
-                colorIndex = Math.max(0, Math.min(255, colorIndex));
+                // Convert value to color index (1-255); no data and values
+                // below the display range stay transparent
+                let colorIndex = TRANSPARENT_INDEX;
+                if (mask && mask[dataIndex] === GATE_MASK.RANGE_FOLDED) {
+                    colorIndex = RANGE_FOLDED_INDEX;
+                } else {
+                    colorIndex = colorIndexFor(value, minValue, maxValue);
+                }
 
                 // Skip cells with no/low data (makes rendering faster)
-                if (colorIndex < 10) continue;
+                if (colorIndex === TRANSPARENT_INDEX) continue;
 
                 // Calculate vertex indices for this cell's 4 corners
                 //
-                //  v2 -------- v3    (next azimuth)
+                //  v2 -------- v3    (right edge)
                 //   |          |
                 //   |   cell   |
                 //   |          |
-                //  v0 -------- v1    (current azimuth)
+                //  v0 -------- v1    (left edge)
                 //  (r)        (r+1)
 
-                const v0 = baseVertex + r;                        // Current az, current range
-                const v1 = baseVertex + r + 1;                    // Current az, next range
-                const v2 = baseVertex + verticesPerAzimuth + r;   // Next az, current range
-                const v3 = baseVertex + verticesPerAzimuth + r + 1; // Next az, next range
+                const v0 = baseVertex + r;                           // Left edge, current range
+                const v1 = baseVertex + r + 1;                       // Left edge, next range
+                const v2 = baseVertex + verticesPerEdge + r;         // Right edge, current range
+                const v3 = baseVertex + verticesPerEdge + r + 1;     // Right edge, next range
 
                 // Assign same color to all 4 corners of this cell
                 vertexColors[v0] = colorIndex;
@@ -466,8 +604,7 @@ class RadarRenderer {
         }
 
         // Trim indices to actual size used
-        const finalIndices = indices.slice(0, indexOffset);
-        this.indexCount = indexOffset;
+        const finalIndices = indices.subarray(0, indexOffset);
 
         //console.log(`  Triangles created: ${performance.now() - startTime}ms`);
         //console.log(`  Triangle count: ${indexOffset / 3}`);
@@ -476,37 +613,181 @@ class RadarRenderer {
         // Step 3: Upload to GPU
         // =================================================================
 
-        createAttributeBuffer(this.gl, this.program, vertexAzimuths, 'a_azimuth');
-        createAttributeBuffer(this.gl, this.program, vertexDistances, 'a_distance');
-        createAttributeBuffer(this.gl, this.program, vertexColors, 'a_colorIndex');
+        const mesh = this._uploadMesh(vertexOffsets, vertexColors, vertexGeometry, finalIndices, origin);
+
+        //console.log(`  GPU upload complete: ${performance.now() - startTime}ms`);
+
+        return mesh;
+    }
+
+    /**
+     * Build an image layer for one level of a grid from products/gridding.js.
+     * Every cell with a value becomes a quad between its corners; positions
+     * are absolute, so the mesh does not follow setRadarPosition().
+     *
+     * @param {Object} grid - gridVolume() or cappi() result
+     * @param {Object} options
+     *   - level: Index into grid.heights (default 0)
+     *   - minValue: Minimum data value for color mapping (lower values are not drawn)
+     *   - maxValue: Maximum data value for color mapping
+     * @returns {Object} Mesh handle, see buildMesh()
+     */
+    buildGridMesh(grid, options = {}) {
+        const {
+            level = 0,
+            minValue = -10,
+            maxValue = 80
+        } = options;
+        const { nx, ny, site, corners } = grid;
+        if (!corners) {
+            throw new Error(`A ${grid.type} grid cannot be drawn on the map`);
+        }
+        if (level < 0 || level >= grid.nz) {
+            throw new Error(`Grid has no level ${level} (${grid.nz} levels)`);
+        }
+
+        // Corners are shared by neighboring cells; convert each once
+        const origin = latLngToMercator(site.lat, site.lng);
+        const numCorners = (nx + 1) * (ny + 1);
+        const cornerOffsets = new Float32Array(numCorners * 2);
+        const cornerRanges = new Float32Array(numCorners);
+        for (let c = 0; c < numCorners; c++) {
+            const point = latLngToMercator(corners.lats[c], corners.lngs[c]);
+            cornerOffsets[2 * c] = point.x - origin.x;
+            cornerOffsets[2 * c + 1] = point.y - origin.y;
+            cornerRanges[c] = latLngToGate(site, corners.lats[c], corners.lngs[c], 0).groundRange;
+        }
+
+        // Each drawn cell gets its own four vertices so it keeps one color
+        const height = grid.heights[level];
+        const levelData = grid.data.subarray(level * nx * ny, (level + 1) * nx * ny);
+        const colorIndices = new Int16Array(nx * ny);
+        let numCells = 0;
+        for (let i = 0; i < nx * ny; i++) {
+            colorIndices[i] = colorIndexFor(levelData[i], minValue, maxValue);
+            if (colorIndices[i] !== TRANSPARENT_INDEX) numCells++;
+        }
+
+        const vertexOffsets = new Float32Array(numCells * 4 * 2);
+        const vertexColors = new Float32Array(numCells * 4);
+        const vertexGeometry = new Float32Array(numCells * 4 * 2);
+        const indices = new Uint32Array(numCells * 6);
+
+        let cell = 0;
+        for (let row = 0; row < ny; row++) {
+            for (let column = 0; column < nx; column++) {
+                const colorIndex = colorIndices[row * nx + column];
+                if (colorIndex === TRANSPARENT_INDEX) continue;
+
+                // Southwest, southeast, northwest, northeast
+                const cellCorners = [
+                    row * (nx + 1) + column,
+                    row * (nx + 1) + column + 1,
+                    (row + 1) * (nx + 1) + column,
+                    (row + 1) * (nx + 1) + column + 1
+                ];
+                const v0 = cell * 4;
+                cellCorners.forEach((c, k) => {
+                    vertexOffsets[2 * (v0 + k)] = cornerOffsets[2 * c];
+                    vertexOffsets[2 * (v0 + k) + 1] = cornerOffsets[2 * c + 1];
+                    vertexColors[v0 + k] = colorIndex;
+                    vertexGeometry[2 * (v0 + k)] = cornerRanges[c];
+                    vertexGeometry[2 * (v0 + k) + 1] = height;
+                });
+                indices.set([v0, v0 + 1, v0 + 2, v0 + 1, v0 + 3, v0 + 2], cell * 6);
+                cell++;
+            }
+        }
+
+        return this._uploadMesh(vertexOffsets, vertexColors, vertexGeometry, indices, origin);
+    }
+
+    /**
+     * Load a grid level and show it in place of the current mesh
+     * (see buildGridMesh() for the arguments).
+     */
+    loadGrid(grid, options = {}) {
+        const mesh = this.buildGridMesh(grid, options);
+        this.useMesh(mesh);
+        this.ownsMesh = true;
+        this.loaded = null;
+        this.loadedGrid = [grid, options];
+    }
+
+    _uploadMesh(vertexOffsets, vertexColors, vertexGeometry, indices, origin) {
+        // The vertex array object records the buffer bindings, so drawing
+        // a mesh later only takes one bind
+        const vao = this.gl.createVertexArray();
+        this.gl.bindVertexArray(vao);
+
+        const buffers = [
+            createAttributeBuffer(this.gl, this.program, vertexOffsets, 'a_offset', 2),
+            createAttributeBuffer(this.gl, this.program, vertexColors, 'a_colorIndex'),
+            createAttributeBuffer(this.gl, this.program, vertexGeometry, 'a_geometry', 2)
+        ];
 
         // Create and fill index buffer
         const indexBuffer = this.gl.createBuffer();
         this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-        this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, finalIndices, this.gl.STATIC_DRAW);
+        this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, indices, this.gl.STATIC_DRAW);
+        buffers.push(indexBuffer);
 
-        //console.log(`  GPU upload complete: ${performance.now() - startTime}ms`);
+        this.gl.bindVertexArray(null);
 
-        this.dataLoaded = true;
+        return { vao, buffers, indexCount: indices.length, origin };
     }
 
     /**
      * Render the radar data
      */
     draw() {
-        if (!this.dataLoaded) return;
+        const gl = this.gl;
 
         // Clear canvas (transparent black)
-        this.gl.clearColor(0, 0, 0, 0);
-        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+        const layers = (this.layers ?? [{ mesh: this.mesh }]).filter(layer => layer.mesh && layer.mesh.vao);
+        if (!layers.length) return;
+
+        if (!this.layers) {
+            gl.uniform1i(this.uniforms.compositeMode, 0);
+            this._drawLayer(layers[0]);
+            return;
+        }
+
+        // Pass 1 keeps the depth of the winning gate at every pixel, pass 2
+        // draws only that gate, so translucent layers never blend together
+        gl.uniform1i(this.uniforms.compositeMode, COMPOSITE_MODES[this.compositeMode]);
+        gl.enable(gl.DEPTH_TEST);
+        gl.depthFunc(gl.LESS);
+        gl.colorMask(false, false, false, false);
+        for (const layer of layers) this._drawLayer(layer);
+
+        gl.depthFunc(gl.LEQUAL);
+        gl.depthMask(false);
+        gl.colorMask(true, true, true, true);
+        for (const layer of layers) this._drawLayer(layer);
+
+        gl.depthMask(true);
+        gl.disable(gl.DEPTH_TEST);
+    }
+
+    _drawLayer(layer) {
+        const { mesh, alpha = 1, behind = false } = layer;
+        this.gl.uniform2f(this.uniforms.origin, mesh.origin.x, mesh.origin.y);
+        this.gl.uniform1f(this.uniforms.alpha, alpha);
+        this.gl.uniform1f(this.uniforms.depthOffset, behind ? 0.5 : 0);
 
         // Draw all triangles
+        this.gl.bindVertexArray(mesh.vao);
         this.gl.drawElements(
             this.gl.TRIANGLES,
-            this.indexCount,
+            mesh.indexCount,
             this.gl.UNSIGNED_INT,
             0
         );
+        this.gl.bindVertexArray(null);
     }
 
     /**
@@ -528,8 +809,8 @@ class RadarRenderer {
  *
  * Usage:
  *   const overlay = new RadarMapOverlay(map);
- *   overlay.setRadarPosition(radarLat, radarLng);
- *   overlay.loadData(azimuths, ranges, data, options);
+ *   overlay.loadData(azimuths, ranges, data, { site: { lat: radarLat, lng: radarLng }, ...options });
+ *   google.maps.event.addListener(overlay, 'palette_changed', () => legend.setPalette(overlay.palette));
  */
 class RadarMapOverlay extends google.maps.OverlayView {
     constructor(map, onReady = null) {
@@ -537,6 +818,8 @@ class RadarMapOverlay extends google.maps.OverlayView {
         this.map = map;
         this.onReady = onReady;
         this.opacity = 1;
+        this.palette = null;   // { moment, colorTable, minValue, maxValue, units, colors } in use
+        this.colorTables = {}; // Imported color tables by moment, preferred over the defaults
 
         // Create canvas element
         this.canvas = document.createElement('canvas');
@@ -559,8 +842,7 @@ class RadarMapOverlay extends google.maps.OverlayView {
         this.renderer = new RadarRenderer(this.canvas);
 
         // Set default colors
-        const defaultColors = buildColorLUT(REF_PALETTE, -10, 80);
-        this.renderer.setColors(defaultColors);
+        this.usePalette('REF');
 
         // Notify that we're ready
         if (this.onReady) {
@@ -618,7 +900,8 @@ class RadarMapOverlay extends google.maps.OverlayView {
     }
 
     /**
-     * Set radar position
+     * Set radar position, moving the data on screen with it. New data
+     * passes its `site` to loadData() or buildFrame() instead.
      */
     setRadarPosition(lat, lng) {
         if (this.renderer) {
@@ -627,13 +910,148 @@ class RadarMapOverlay extends google.maps.OverlayView {
     }
 
     /**
-     * Load radar data
+     * A moment's palette and display range without switching to it: an
+     * imported color table if there is one, otherwise the default from
+     * palettes.js. For drawing the moment elsewhere in the same colors.
+     * @param {string} moment
+     * @param {Object} options - { nyquistVelocity } for VEL
+     * @returns {Object} { moment, colorTable, minValue, maxValue, units, colors, categories }
+     *   categories: Classes of a categorical moment's default palette, null otherwise
      */
-    loadData(azimuths, ranges, data, options = {}) {
+    paletteFor(moment, options = {}) {
+        const imported = this.colorTables[moment];
+        let colorTable, minValue, maxValue, lut, categories = null;
+        if (imported) {
+            colorTable = imported;
+            ({ minValue, maxValue } = colorTableRange(imported));
+            lut = colorTableToLUT(imported, minValue, maxValue);
+        } else {
+            const defaults = paletteForMoment(moment, options);
+            colorTable = paletteToColorTable(defaults.palette, { moment, units: defaults.units });
+            ({ minValue, maxValue } = defaults);
+            lut = buildColorLUT(defaults.palette, minValue, maxValue);
+            categories = defaults.categories ?? null;
+        }
+        return { moment, colorTable, minValue, maxValue, units: colorTable.units, colors: lut, categories };
+    }
+
+    /**
+     * Switch to a moment's palette and display range (see paletteFor()).
+     * @param {string} moment
+     * @param {Object} options - { nyquistVelocity } for VEL
+     * Fires "palette_changed".
+     * @returns {Object} { moment, colorTable, minValue, maxValue, units, colors, categories }
+     */
+    usePalette(moment, options = {}) {
+        this.palette = this.paletteFor(moment, options);
+        const { colorTable, colors } = this.palette;
         if (this.renderer) {
-            this.renderer.loadData(azimuths, ranges, data, options);
+            this.renderer.setColors(colors);
+            this.renderer.setRangeFoldedColor(colorTable.rangeFolded ?? RANGE_FOLDED_COLOR);
+        }
+        google.maps.event.trigger(this, 'palette_changed');
+        return this.palette;
+    }
+
+    /**
+     * Use an imported color table (see colorTables.js) whenever its moment
+     * is shown. Tables for products we don't decode apply to the moment
+     * currently shown. Data on screen is recolored right away.
+     * @param {Object} table - Parsed color table
+     * @returns {string} Moment the table was registered for
+     */
+    useColorTable(table) {
+        const moment = table.moment ?? this.palette?.moment ?? 'REF';
+        this.colorTables[moment] = table;
+
+        const loaded = this.renderer?.ownsMesh ? this.renderer.loaded : null;
+        const loadedGrid = this.renderer?.ownsMesh ? this.renderer.loadedGrid : null;
+        if (loaded && loaded[3].moment === moment) {
+            // The table's range differs, so color indices must be rebuilt
+            const [azimuths, ranges, data, options] = loaded;
+            this.loadData(azimuths, ranges, data, { ...options, minValue: undefined, maxValue: undefined });
+        } else if (loadedGrid && loadedGrid[1].moment === moment) {
+            const [grid, options] = loadedGrid;
+            this.loadGrid(grid, { ...options, minValue: undefined, maxValue: undefined });
+        } else if (this.renderer && (!this.palette || this.palette.moment === moment)) {
+            this.usePalette(moment);
             this.draw();
         }
+        return moment;
+    }
+
+    /**
+     * The color table in use, e.g. for formatPalFile().
+     * @returns {Object|null}
+     */
+    get colorTable() {
+        return this.palette ? this.palette.colorTable : null;
+    }
+
+    /**
+     * Load radar data. With `options.moment` the moment's palette and
+     * display range are picked automatically unless minValue/maxValue are
+     * given; VEL is scaled to `options.nyquistVelocity`. `options.site`
+     * ({ lat, lng }) is the radar position.
+     */
+    loadData(azimuths, ranges, data, options = {}) {
+        if (!this.renderer) return;
+
+        this.renderer.loadData(azimuths, ranges, data, this._displayOptions(options));
+        this.draw();
+    }
+
+    /**
+     * Load one level of a grid from products/gridding.js (e.g. a CAPPI) as
+     * an image layer, picking the palette of the grid's moment like
+     * loadData() does.
+     * @param {Object} grid - gridVolume() or cappi() result
+     * @param {Object} options - { level, moment (default grid.moment), minValue, maxValue }
+     */
+    loadGrid(grid, options = {}) {
+        if (!this.renderer) return;
+
+        const displayOptions = this._displayOptions({ moment: grid.moment, ...options });
+        this.renderer.loadGrid(grid, displayOptions);
+        this.draw();
+    }
+
+    /**
+     * Build a mesh to show later with showFrame(), picking the palette like
+     * loadData() does; `options.site` places it without moving the radar
+     * position. The caller owns the mesh and frees it with deleteFrame().
+     * @returns {Object|null} Mesh handle, null before the overlay is added to the map
+     */
+    buildFrame(azimuths, ranges, data, options = {}) {
+        if (!this.renderer) return null;
+        return this.renderer.buildMesh(azimuths, ranges, data, this._displayOptions(options));
+    }
+
+    /**
+     * Show a mesh from buildFrame().
+     * @param {Object|null} mesh
+     */
+    showFrame(mesh) {
+        if (!this.renderer) return;
+        this.renderer.useMesh(mesh);
+        this.draw();
+    }
+
+    /**
+     * Free a mesh from buildFrame().
+     * @param {Object} mesh
+     */
+    deleteFrame(mesh) {
+        if (this.renderer && mesh) this.renderer.deleteMesh(mesh);
+    }
+
+    _displayOptions(options) {
+        const { moment = null } = options;
+        if (moment && MOMENT_PALETTES[moment] && options.minValue === undefined && options.maxValue === undefined) {
+            const { minValue, maxValue } = this.usePalette(moment, options);
+            return { ...options, minValue, maxValue };
+        }
+        return options;
     }
 
     /**
@@ -645,13 +1063,35 @@ class RadarMapOverlay extends google.maps.OverlayView {
     }
 
     /**
-     * Set custom color palette
+     * Show or hide the overlay without removing it from the map
+     */
+    setVisible(visible) {
+        this.canvas.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * Set the color of range-folded gates ([r, g, b] or [r, g, b, a], 0-255)
+     */
+    setRangeFoldedColor(color) {
+        if (this.renderer) {
+            this.renderer.setRangeFoldedColor(color);
+            this.draw();
+        }
+    }
+
+    /**
+     * Set custom color palette (256-entry LUT, see buildColorLUT()).
+     * Fires "palette_changed".
      */
     setColors(colors) {
         if (this.renderer) {
             this.renderer.setColors(colors);
             this.draw();
         }
+        if (this.palette) {
+            this.palette = { ...this.palette, colors };
+            google.maps.event.trigger(this, 'palette_changed');
+        }
     }
 }
 
@@ -659,6 +1099,9 @@ export {
     RadarRenderer,
     RadarMapOverlay,
     buildColorLUT,
+    colorIndexFor,
+    COMPOSITE_MODES,
     REF_PALETTE,
+    RANGE_FOLDED_COLOR,
     latLngToMercator
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * Map control listing the sweeps of the loaded volume
+ *
+ * Sweeps are labeled with the elevation the VCP intended and the cut's
+ * waveform (e.g. "0.5° CS", "0.5° CD/W") when the volume carried a VCP
+ * definition, falling back to the measured average elevation otherwise.
+ * Supplemental SAILS/MRLE cuts are marked and every label carries the
+ * sweep's start time, so repeated angles can be told apart.
+ */
+
+/**
+ * Human-readable label for a sweep from NexradLevel2.sweeps.
+ * @param {Object} sweep
+ * @returns {string}
+ */
+export function sweepLabel(sweep) {
+    const elevation = sweep.targetElevation ?? sweep.elevation;
+    const parts = [`${elevation.toFixed(1)}°`];
+    if (sweep.waveform) parts.push(sweep.waveform);
+    if (sweep.isSupplemental) parts.push(supplementalLabel(sweep));
+    if (sweep.startTime) parts.push(sweep.startTime.toISOString().slice(11, 19) + "Z");
+    return parts.join(" ");
+}
+
+function supplementalLabel(sweep) {
+    if (sweep.cut?.isSails) return "SAILS";
+    if (sweep.cut?.isMrle) return "MRLE";
+    return "repeat";
+}
+
+export class SweepSelector {
+    /**
+     * @param {google.maps.Map} map
+     * @param {Function} onChange - Called with the selected sweep index
+     */
+    constructor(map, onChange) {
+        this.onChange = onChange;
+
+        this.element = document.createElement("select");
+        this.element.className = "map-control sweep-selector";
+        this.element.disabled = true;
+        this.element.addEventListener("change", () => {
+            this.onChange(Number(this.element.value));
+        });
+
+        map.controls[google.maps.ControlPosition.TOP_LEFT].push(this.element);
+    }
+
+    /**
+     * Replace the listed sweeps, keeping the current selection if possible.
+     * @param {Object[]} sweeps - NexradLevel2.sweeps
+     * @param {number} selectedIndex
+     */
+    setSweeps(sweeps, selectedIndex = 0) {
+        this.element.replaceChildren(...sweeps.map((sweep, i) => {
+            const option = document.createElement("option");
+            option.value = String(i);
+            option.textContent = sweepLabel(sweep);
+            return option;
+        }));
+        this.element.value = String(selectedIndex);
+        this.element.disabled = sweeps.length === 0;
+    }
+}
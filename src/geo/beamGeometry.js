@@ -0,0 +1,196 @@
+/**
+ * Beam geometry - Where a radar gate is, using the 4/3 effective earth radius model
+ *
+ * Standard atmospheric refraction bends the beam towards the ground. The
+ * 4/3 model accounts for it by treating the beam as a straight line over
+ * an earth 4/3 times its real size (Doviak & Zrnić, eq. 2.28):
+ *
+ *   h = sqrt(r² + (kR)² + 2·r·kR·sin θ) - kR        height above the antenna
+ *   s = kR · asin(r · cos θ / (kR + h))             distance along the ground
+ *
+ * where r is the slant range, θ the elevation angle, R the earth radius
+ * and k = 4/3. Ground distances are then laid out along great circles from
+ * the site.
+ *
+ * Sites are { lat, lng, height } with height being the antenna height
+ * above sea level in meters (StationCatalog.antennaHeight(), or the RVOL
+ * site height plus feedhorn height). Ranges are in km, angles in degrees
+ * and heights in meters.
+ *
+ * Usage:
+ *   const site = { lat: 41.61, lng: -90.58, height: StationCatalog.antennaHeight(station) };
+ *   const { lat, lng, height } = gateToLatLng(site, 270, 150, 0.5);
+ */
+
+export const EARTH_RADIUS = 6371000;                          // Mean radius (m)
+export const EFFECTIVE_EARTH_RADIUS = EARTH_RADIUS * 4 / 3;   // m
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Beam height for a slant range and elevation.
+ * @param {number} slantRange - km
+ * @param {number} elevation - degrees
+ * @param {number} antennaHeight - Antenna height to add (m); pass the height
+ *                                 above sea level for MSL or the tower height
+ *                                 for height above the site's ground
+ * @returns {number} m
+ */
+export function beamHeight(slantRange, elevation, antennaHeight = 0) {
+    const r = slantRange * 1000;
+    const kR = EFFECTIVE_EARTH_RADIUS;
+    const h = Math.sqrt(r * r + kR * kR + 2 * r * kR * Math.sin(elevation * DEG_TO_RAD)) - kR;
+    return h + antennaHeight;
+}
+
+/**
+ * Distance along the earth's surface below a gate.
+ * @param {number} slantRange - km
+ * @param {number} elevation - degrees
+ * @returns {number} km
+ */
+export function groundRange(slantRange, elevation) {
+    const r = slantRange * 1000;
+    const kR = EFFECTIVE_EARTH_RADIUS;
+    const h = beamHeight(slantRange, elevation);
+    return kR * Math.asin(r * Math.cos(elevation * DEG_TO_RAD) / (kR + h)) / 1000;
+}
+
+/**
+ * Slant range that reaches a ground distance at an elevation angle
+ * (inverse of groundRange()).
+ * @param {number} groundDistance - km
+ * @param {number} elevation - degrees
+ * @returns {number} km
+ */
+export function slantRangeForGround(groundDistance, elevation) {
+    const kR = EFFECTIVE_EARTH_RADIUS;
+    // Triangle earth center - antenna - gate: the angle at the center is
+    // s/kR and the angle at the gate is 90° - θ - s/kR
+    const centralAngle = groundDistance * 1000 / kR;
+    return kR * Math.sin(centralAngle) / Math.cos(elevation * DEG_TO_RAD + centralAngle) / 1000;
+}
+
+/**
+ * Point at a distance and bearing from a site along a great circle.
+ * @param {Object} site - { lat, lng }
+ * @param {number} azimuth - Bearing, degrees clockwise from north
+ * @param {number} distance - km
+ * @returns {Object} { lat, lng }
+ */
+export function destination(site, azimuth, distance) {
+    const lat1 = site.lat * DEG_TO_RAD;
+    const lng1 = site.lng * DEG_TO_RAD;
+    const bearing = azimuth * DEG_TO_RAD;
+    const delta = distance * 1000 / EARTH_RADIUS;
+
+    const sinLat2 = Math.sin(lat1) * Math.cos(delta) +
+        Math.cos(lat1) * Math.sin(delta) * Math.cos(bearing);
+    const lat2 = Math.asin(Math.max(-1, Math.min(1, sinLat2)));
+    const lng2 = lng1 + Math.atan2(
+        Math.sin(bearing) * Math.sin(delta) * Math.cos(lat1),
+        Math.cos(delta) - Math.sin(lat1) * sinLat2
+    );
+
+    return {
+        lat: lat2 * RAD_TO_DEG,
+        lng: ((lng2 * RAD_TO_DEG + 540) % 360) - 180
+    };
+}
+
+/**
+ * Locations of every gate edge of a sweep at once, for mesh building.
+ * Same result as calling gateToLatLng() per azimuth and range, with the
+ * per-range and per-azimuth terms computed only once.
+ * @param {Object} site - { lat, lng }
+ * @param {ArrayLike<number>} azimuths - degrees clockwise from north
+ * @param {ArrayLike<number>} slantRanges - km
+ * @param {number} elevation - degrees
+ * @returns {Object} { lats, lngs } Float64Arrays laid out [az0_r0, az0_r1, ..., az1_r0, ...];
+ *                   lngs run on from the site's longitude (not wrapped to ±180)
+ */
+export function gateLatLngGrid(site, azimuths, slantRanges, elevation) {
+    const numRanges = slantRanges.length;
+    const lats = new Float64Array(azimuths.length * numRanges);
+    const lngs = new Float64Array(azimuths.length * numRanges);
+
+    const lat1 = site.lat * DEG_TO_RAD;
+    const sinLat1 = Math.sin(lat1);
+    const cosLat1 = Math.cos(lat1);
+
+    const sinDelta = new Float64Array(numRanges);
+    const cosDelta = new Float64Array(numRanges);
+    for (let r = 0; r < numRanges; r++) {
+        const delta = groundRange(slantRanges[r], elevation) * 1000 / EARTH_RADIUS;
+        sinDelta[r] = Math.sin(delta);
+        cosDelta[r] = Math.cos(delta);
+    }
+
+    let i = 0;
+    for (let a = 0; a < azimuths.length; a++) {
+        const bearing = azimuths[a] * DEG_TO_RAD;
+        const sinBearing = Math.sin(bearing);
+        const cosBearing = Math.cos(bearing);
+
+        for (let r = 0; r < numRanges; r++, i++) {
+            const sinLat2 = sinLat1 * cosDelta[r] + cosLat1 * sinDelta[r] * cosBearing;
+            lats[i] = Math.asin(Math.max(-1, Math.min(1, sinLat2))) * RAD_TO_DEG;
+            lngs[i] = site.lng + Math.atan2(
+                sinBearing * sinDelta[r] * cosLat1,
+                cosDelta[r] - sinLat1 * sinLat2
+            ) * RAD_TO_DEG;
+        }
+    }
+    return { lats, lngs };
+}
+
+/**
+ * Location of a gate.
+ * @param {Object} site - { lat, lng, height }
+ * @param {number} azimuth - degrees clockwise from north
+ * @param {number} slantRange - km
+ * @param {number} elevation - degrees
+ * @returns {Object} { lat, lng, height (m MSL when site.height is MSL), groundRange (km) }
+ */
+export function gateToLatLng(site, azimuth, slantRange, elevation) {
+    const distance = groundRange(slantRange, elevation);
+    const { lat, lng } = destination(site, azimuth, distance);
+    return {
+        lat: lat,
+        lng: lng,
+        height: beamHeight(slantRange, elevation, site.height ?? 0),
+        groundRange: distance
+    };
+}
+
+/**
+ * Gate of a sweep above a point (inverse of gateToLatLng()).
+ * @param {Object} site - { lat, lng, height }
+ * @param {number} lat - degrees
+ * @param {number} lng - degrees
+ * @param {number} elevation - Sweep elevation, degrees
+ * @returns {Object} { azimuth (degrees), slantRange (km), groundRange (km), height (m) }
+ */
+export function latLngToGate(site, lat, lng, elevation) {
+    const lat1 = site.lat * DEG_TO_RAD;
+    const lat2 = lat * DEG_TO_RAD;
+    const dLng = (lng - site.lng) * DEG_TO_RAD;
+
+    // Haversine distance and initial bearing
+    const a = Math.sin((lat2 - lat1) / 2) ** 2 +
+        Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+    const distance = 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a))) / 1000;
+    const bearing = Math.atan2(
+        Math.sin(dLng) * Math.cos(lat2),
+        Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng)
+    );
+
+    const slantRange = slantRangeForGround(distance, elevation);
+    return {
+        azimuth: (bearing * RAD_TO_DEG + 360) % 360,
+        slantRange: slantRange,
+        groundRange: distance,
+        height: beamHeight(slantRange, elevation, site.height ?? 0)
+    };
+}
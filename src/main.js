@@ -1,54 +1,667 @@
 import './style.css';
-import {NexradLevel2} from "./decoder/NexradLevel2.js";
+import {decodeVolumeAsync, sharedDecoderPool} from "./decoder/decoderPool.js";
+import {NexradLevel2Stream} from "./decoder/streamingDecoder.js";
+import {normalizeSweep} from "./decoder/sweepGrid.js";
 import {MarkerCollection} from "./displayer/markerCollection.js";
-import {buildColorLUT, RadarMapOverlay, REF_PALETTE} from "./displayer/radarGl.js";
+import {SweepSelector} from "./displayer/sweepSelector.js";
+import {Legend} from "./displayer/legend.js";
+import {GateReadout} from "./displayer/gateReadout.js";
+import {CrossSectionPanel} from "./displayer/crossSectionPanel.js";
+import {frameLabel, LoopController} from "./displayer/loopController.js";
+import {MosaicOverlay} from "./displayer/mosaicOverlay.js";
+import {RadarMapOverlay} from "./displayer/radarGl.js";
+import {formatPalFile, parsePalFile} from "./displayer/colorTables.js";
+import {StationCatalog} from "./stations/stationCatalog.js";
+import {BucketListingSource} from "./sources/bucketListingSource.js";
+import {LocalFileSource} from "./sources/localFileSource.js";
+import {UrlListSource} from "./sources/urlListSource.js";
+import {computeProducts} from "./products/volumeProducts.js";
+import {cappi, xyGrid} from "./products/gridding.js";
+import {
+    momentSweep,
+    momentsForSweep,
+    setPreviousVolume,
+    setStormMotion,
+    stormMotionError,
+    stormMotionFor
+} from "./products/derivedMoments.js";
+import {MS_PER_KNOT} from "./products/stormMotion.js";
 
-document.addEventListener('DOMContentLoaded', () => {
-    globalThis.map = new google.maps.Map(document.getElementById("map"), {
-        center: {lat: 39.5, lng: -98.35},
-        zoom: 5,
-        minZoom: 4,
-        maxZoom: 12,
-        clickableIcons: false,
+const DEFAULT_STATION = "KDVN";
+const LOOP_SPEEDS = [0.5, 1, 2, 4];
+const LOOP_DWELLS = [0, 1500, 3000];     // ms
+const MAX_MOSAIC_SITES = 8;
+const COMPOSITE_MODE_LABELS = { nearest: "Nearest radar", lowest: "Lowest beam", maximum: "Maximum" };
+const PRODUCT_LABELS = {
+    CREF: "Composite reflectivity",
+    ET: "Echo tops",
+    VIL: "VIL",
+    VILD: "VIL density"
+};
+const MOMENT_LABELS = {
+    VEL_DEALIASED: "VEL (dealiased)",
+    SRV: "SRV (storm relative)",
+    REF_QC: "REF (QC)",
+    HCA: "HCA (hydrometeor class)"
+};
+const CAPPI_HEIGHTS = [1, 3, 5];         // km above the radar
+const CAPPI_GRID = { extent: 230, resolution: 1 };   // km
+
+/**
+ * Radar origin for the current volume: the site recorded in the file,
+ * falling back to the station catalog for files without an RVOL block.
+ * Height is the antenna height above sea level (m), as beamGeometry expects.
+ */
+function radarOrigin(app) {
+    const { radar, catalog } = app;
+    if (radar.site) {
+        const { lat, lon, height, feedhornHeight } = radar.site;
+        return { lat: lat, lng: lon, height: height + feedhornHeight };
+    }
+
+    const stationId = app.stationId || radar.stationId;
+    const station = catalog.get(stationId);
+    if (!station) {
+        throw new Error(`Station ${stationId} is not in the catalog`);
+    }
+    return { lat: station.lat, lng: station.lng, height: StationCatalog.antennaHeight(station) };
+}
+
+/**
+ * Display one sweep of the current volume, in the chosen moment if the
+ * sweep has it (decoded or derived), otherwise REF or its first moment.
+ */
+function showSweep(app, sweepIndex) {
+    const { radar } = app;
+    const origin = radarOrigin(app);
+
+    const moments = momentsForSweep(radar, sweepIndex);
+    const fallback = moments.includes("REF") ? "REF" : moments[0];
+    const moment = moments.includes(app.moment) ? app.moment : fallback;
+    const radarData = momentSweep(radar, sweepIndex, moment);
+
+    app.loop.stop();
+    app.sweepIndex = sweepIndex;
+    app.momentSelector.setMoments(moments, moment);
+    app.legend.setStormMotion(moment === "SRV" ? stormMotionFor(radar) : null);
+    app.legend.setSweep(radar, sweepIndex);
+    app.gateReadout.setSweep(radar, sweepIndex, moment, origin);
+    app.crossSection.setVolume(radar, moment, origin, { nyquistVelocity: radarData.nyquistVelocity });
+    app.radarOverlay.loadData(
+        radarData.azimuths,
+        radarData.ranges,
+        radarData.data,
+        {
+            site: origin,
+            moment: moment,
+            nyquistVelocity: radarData.nyquistVelocity,
+            elevation: radarData.elevation,
+            mask: radarData.mask,
+            beamWidths: radarData.beamWidths
+        }
+    );
+}
+
+/**
+ * Display a volume product (see products/volumeProducts.js) of the current
+ * volume. Products are computed once per volume, or again when more sweeps
+ * of a streaming volume have arrived.
+ */
+function showProduct(app, name) {
+    const { radar } = app;
+    if (!radar) return;
+    const sweepCount = radar.sweeps.length;
+    if (app.products?.radar !== radar || app.products.sweepCount !== sweepCount) {
+        app.products = { radar, sweepCount, ...computeProducts(radar) };
+    }
+    const product = app.products[name];
+    const origin = radarOrigin(app);
+
+    app.loop.stop();
+    app.legend.setSweepInfo({ stationId: app.stationId || radar.stationId, sweep: null, time: radar.datetime });
+    app.gateReadout.clear();
+    app.crossSection.setVolume(radar, "REF", origin);
+    app.radarOverlay.loadData(product.azimuths, product.ranges, product.data, {
+        site: origin,
+        moment: name,
+        elevation: product.elevation,
+        groundRanges: product.groundRanges,
+        mask: product.mask,
+        beamWidths: product.beamWidths
     });
-});
+}
+
+/**
+ * Display a reflectivity CAPPI of the current volume at a height above the
+ * radar (km). CAPPIs are cached like products.
+ */
+function showCappi(app, height) {
+    const { radar } = app;
+    if (!radar) return;
+    const sweepCount = radar.sweeps.length;
+    if (app.cappis?.radar !== radar || app.cappis.sweepCount !== sweepCount) {
+        app.cappis = { radar, sweepCount, grids: new Map() };
+    }
+    const origin = radarOrigin(app);
+    if (!app.cappis.grids.has(height)) {
+        app.cappis.grids.set(height, cappi(radar, 'REF', height, xyGrid(CAPPI_GRID), { site: origin }));
+    }
+
+    app.loop.stop();
+    app.legend.setSweepInfo({ stationId: app.stationId || radar.stationId, sweep: null, time: radar.datetime });
+    app.gateReadout.clear();
+    app.crossSection.setVolume(radar, "REF", origin);
+    app.radarOverlay.loadGrid(app.cappis.grids.get(height));
+}
+
+/**
+ * Stream a volume from a VolumeSource entry, showing the lowest sweep as
+ * soon as it has been decoded instead of waiting for the whole file.
+ * Starting another load aborts this one.
+ * @returns {Promise<NexradLevel2|null>} The volume, null if superseded
+ */
+async function showEntry(app, source, entry) {
+    const { map, catalog } = app;
+    const station = entry.station ? catalog.get(entry.station) : null;
+    if (station) map.fitBounds(StationCatalog.toLatLngBounds(station));
 
-const url = 'https://unidata-nexrad-level2.s3.amazonaws.com/2025/08/12/KDVN/KDVN20250812_041552_V06';
+    app.loading?.abort();
+    const loading = new AbortController();
+    app.loading = loading;
+    const { signal } = loading;
+
+    console.time("Loading data");
+    const opened = await source.open(entry).catch(error => {
+        if (!signal.aborted) throw error;
+        return null;
+    });
+    if (!opened) {
+        console.timeEnd("Loading data");
+        return null;
+    }
+    app.source = source;
+    const reader = new NexradLevel2Stream({ pool: sharedDecoderPool() });
+
+    reader.addEventListener("sweepcomplete", (event) => {
+        if (signal.aborted) return;
+        const { sweepIndex, volume } = event.detail;
+        app.sweepSelector.setSweeps(volume.sweeps, app.radar === volume ? app.sweepIndex : 0);
+        if (sweepIndex !== 0) return;
+
+        console.timeLog("Loading data", "first sweep decoded");
+        // The last scan of the same radar is the dealiasing reference
+        const stationId = opened.station || volume.stationId;
+        if (app.radar && app.radar !== volume && (app.stationId || app.radar.stationId) === stationId) {
+            setPreviousVolume(volume, app.radar);
+        }
+        if (app.stormMotion) setStormMotion(volume, app.stormMotion);
+        app.radar = volume;
+        app.stationId = stationId;
+        app.productSelector.value = "SWEEP";
+        showSweep(app, sweepIndex);
+        const fileStation = catalog.get(app.stationId);
+        if (!station && fileStation) {
+            map.fitBounds(StationCatalog.toLatLngBounds(fileStation));
+        }
+    });
 
-async function loadData(url) {
     try {
-        const response = await fetch(url);
-        return await response.arrayBuffer();
+        return await reader.read(opened.stream, { signal });
     } catch (error) {
-        console.error(error);
+        if (signal.aborted) return null;
+        throw error;
+    } finally {
+        console.timeEnd("Loading data");
+        if (app.loading === loading) app.loading = null;
     }
 }
 
-console.time("Fetching data");
-const rawData = await loadData(url);
-console.timeEnd("Fetching data");
+async function showLatest(app, source, station) {
+    const entry = await source.latestEntry(station.id);
+    return showEntry(app, source, entry);
+}
 
-console.time("Decoding data");
-const radar = new NexradLevel2(rawData);
-const radarData = radar.getData(0, "REF");
-console.timeEnd("Decoding data");
+/**
+ * Loop the volumes of `entries`, the lowest reflectivity sweep of each.
+ */
+async function startLoop(app, source, entries) {
+    app.loading?.abort();
+    app.source = source;
+    app.sweepSelector.setSweeps([]);
+    await app.loop.load(source, entries, { moment: "REF", elevation: 0.5 });
+}
 
-console.time("Displaying data");
-const radarOverlay = new RadarMapOverlay(map, (overlay) => {
-    const colors = buildColorLUT(REF_PALETTE, -35, 95);
-    overlay.setColors(colors);
-    overlay.setRadarPosition(41.611568075614784, -90.58089555033914);
+/**
+ * Loop the newest volumes of the station on screen. Volumes from the
+ * previous day fill in shortly after midnight UTC.
+ */
+async function loopLatest(app) {
+    const { source, stationId, loop } = app;
+    if (!source || !stationId) return;
 
-    overlay.loadData(
-        radarData.azimuths,
-        radarData.ranges,
-        radarData.data,
-        { minValue: -35, maxValue: 95 }
+    const today = new Date();
+    let entries = await source.list(stationId, today);
+    if (entries.length < loop.maxFrames) {
+        const yesterday = new Date(today.getTime() - 86400000);
+        entries = [...await source.list(stationId, yesterday), ...entries];
+    }
+    await startLoop(app, source, entries);
+}
+
+/**
+ * Add "Open volume" and "Open folder" buttons to the map for picking local
+ * files. Several files at once are looped.
+ */
+function createFileControl(map, localSource) {
+    const container = document.createElement("div");
+    container.className = "file-controls";
+
+    for (const [text, directory] of [["Open volume", false], ["Open folder", true]]) {
+        const label = document.createElement("label");
+        label.className = "map-control file-control";
+        label.textContent = text;
+
+        const input = document.createElement("input");
+        input.type = "file";
+        input.multiple = true;
+        input.webkitdirectory = directory;
+        label.appendChild(input);
+
+        localSource.attachInput(input);
+        container.appendChild(label);
+    }
+    map.controls[google.maps.ControlPosition.TOP_LEFT].push(container);
+}
+
+/**
+ * Add loop playback controls: start a loop of the current station,
+ * previous/play/next, speed and how long to hold the last frame.
+ */
+function createLoopControl(map, app) {
+    const container = document.createElement("div");
+    container.className = "map-control loop-control";
+
+    const button = (text, title, onClick) => {
+        const element = document.createElement("button");
+        element.textContent = text;
+        element.title = title;
+        element.addEventListener("click", onClick);
+        return element;
+    };
+    const select = (values, format, selected, onChange) => {
+        const element = document.createElement("select");
+        element.replaceChildren(...values.map(value => {
+            const option = document.createElement("option");
+            option.value = String(value);
+            option.textContent = format(value);
+            return option;
+        }));
+        element.value = String(selected);
+        element.addEventListener("change", () => onChange(Number(element.value)));
+        return element;
+    };
+
+    const play = button("▶", "Play / pause", () => {
+        app.loop.toggle();
+        play.textContent = app.loop.playing ? "❚❚" : "▶";
+    });
+    const label = document.createElement("span");
+    label.className = "loop-label";
+
+    container.append(
+        button("Loop", "Loop the latest scans", () => loopLatest(app).catch(console.error)),
+        button("◀", "Previous frame", () => app.loop.step(-1)),
+        play,
+        button("▶|", "Next frame", () => app.loop.step(1)),
+        select(LOOP_SPEEDS, speed => `${speed}×`, app.loop.speed, speed => app.loop.setSpeed(speed)),
+        select(LOOP_DWELLS, dwell => `hold ${dwell / 1000}s`, app.loop.lastFrameDwell,
+            dwell => app.loop.setDwell(dwell)),
+        label
     );
-});
-console.timeEnd("Displaying data");
-radarOverlay.setOpacity(0.5);
+    map.controls[google.maps.ControlPosition.TOP_LEFT].push(container);
+
+    return {
+        showFrame(frame, index, count) {
+            label.textContent = frame ? `${frameLabel(frame)} (${index + 1}/${count})` : "";
+            play.textContent = app.loop.playing ? "❚❚" : "▶";
+        }
+    };
+}
+
+/**
+ * Add "Load colors" / "Save colors" controls for GRLevelX .pal color tables.
+ * Loop frame meshes hold color indices, so they are rebuilt for a loaded table.
+ */
+function createColorTableControl(map, app) {
+    const overlay = app.radarOverlay;
+    const container = document.createElement("div");
+    container.className = "color-table-control";
+
+    const load = document.createElement("label");
+    load.className = "map-control file-control";
+    load.textContent = "Load colors";
 
-const markers = new MarkerCollection(map);
-markers.add(41.611568075614784, -90.58089555033914);
-markers.setSize(4);
\ No newline at end of file
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".pal,.txt";
+    input.addEventListener("change", async () => {
+        const file = input.files[0];
+        input.value = "";
+        if (!file) return;
+        try {
+            overlay.useColorTable(parsePalFile(await file.text()));
+            if (app.loop.frames.length) app.loop.rebuild();
+        } catch (error) {
+            console.error(`Could not load color table ${file.name}:`, error);
+        }
+    });
+    load.appendChild(input);
+
+    const save = document.createElement("button");
+    save.className = "map-control";
+    save.textContent = "Save colors";
+    save.addEventListener("click", () => {
+        const table = overlay.colorTable;
+        if (!table) return;
+        const blob = new Blob([formatPalFile(table)], { type: "text/plain" });
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = `${table.product ?? "colors"}.pal`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    container.append(load, save);
+    map.controls[google.maps.ControlPosition.TOP_LEFT].push(container);
+}
+
+/**
+ * Fill the mosaic with the latest lowest sweep of the stations in view,
+ * nearest to the map center first. Bumping app.mosaicGeneration (or
+ * starting another load) abandons the load.
+ */
+async function loadMosaic(app, source) {
+    const { map, catalog, mosaic } = app;
+    const generation = ++app.mosaicGeneration;
+    const bounds = map.getBounds();
+    const center = map.getCenter();
+    const distance = (station) => (station.lat - center.lat()) ** 2 + (station.lng - center.lng()) ** 2;
+    const stations = catalog.stations
+        .filter(station => bounds.contains({ lat: station.lat, lng: station.lng }))
+        .sort((a, b) => distance(a) - distance(b))
+        .slice(0, MAX_MOSAIC_SITES);
+
+    mosaic.clear();
+    for (const station of stations) {
+        try {
+            const volume = await source.latest(station.id);
+            const radar = await decodeVolumeAsync(volume.buffer, { moments: [mosaic.moment] });
+            if (generation !== app.mosaicGeneration) return;
+            const [sweep] = radar.findSweeps({ moment: mosaic.moment, includeSupplemental: false });
+            if (!sweep) continue;
+
+            mosaic.setSite(station.id, normalizeSweep(radar.getData(sweep.index, mosaic.moment)), {
+                site: radarOrigin({ ...app, radar, stationId: station.id }),
+                time: sweep.startTime ?? radar.datetime ?? volume.scanTime
+            });
+        } catch (error) {
+            if (generation !== app.mosaicGeneration) return;
+            console.error(`Skipping ${station.id} in mosaic:`, error);
+        }
+    }
+}
+
+/**
+ * Add a picker for the moment of the displayed sweep, listing decoded and
+ * derived moments (see products/derivedMoments.js).
+ */
+function createMomentControl(map, app) {
+    const select = document.createElement("select");
+    select.className = "map-control moment-selector";
+    select.disabled = true;
+    select.addEventListener("change", () => {
+        app.moment = select.value;
+        if (!app.radar) return;
+        app.productSelector.value = "SWEEP";
+        showSweep(app, app.sweepIndex);
+    });
+
+    map.controls[google.maps.ControlPosition.TOP_LEFT].push(select);
+    return {
+        setMoments(moments, selected) {
+            select.replaceChildren(...moments.map(moment => {
+                const option = document.createElement("option");
+                option.value = moment;
+                option.textContent = MOMENT_LABELS[moment] ?? moment;
+                return option;
+            }));
+            select.value = selected;
+            select.disabled = moments.length === 0;
+        }
+    };
+}
+
+/**
+ * Add a picker switching between the selected sweep and volume products.
+ */
+function createProductControl(map, app) {
+    const select = document.createElement("select");
+    select.className = "map-control product-selector";
+    const cappiLabels = Object.fromEntries(CAPPI_HEIGHTS.map(height => [`CAPPI:${height}`, `CAPPI ${height} km`]));
+    select.replaceChildren(...Object.entries({ SWEEP: "Sweep", ...PRODUCT_LABELS, ...cappiLabels }).map(([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        return option;
+    }));
+    select.addEventListener("change", () => {
+        if (!app.radar) return;
+        if (select.value === "SWEEP") showSweep(app, app.sweepIndex);
+        else if (select.value.startsWith("CAPPI:")) showCappi(app, Number(select.value.slice(6)));
+        else showProduct(app, select.value);
+    });
+
+    map.controls[google.maps.ControlPosition.TOP_LEFT].push(select);
+    return select;
+}
+
+/**
+ * Add storm motion inputs for SRV (direction it moves from in degrees,
+ * speed in knots). A motion that was set applies to every volume loaded
+ * after it; "Estimate" goes back to tracking echoes between the current
+ * and the previous volume.
+ */
+function createStormMotionControl(map, app) {
+    const container = document.createElement("div");
+    container.className = "map-control storm-motion-control";
+
+    const direction = document.createElement("input");
+    direction.type = "number";
+    direction.min = "0";
+    direction.max = "360";
+    direction.placeholder = "°";
+    direction.title = "Direction the storm moves from (degrees)";
+
+    const speed = document.createElement("input");
+    speed.type = "number";
+    speed.min = "0";
+    speed.placeholder = "kt";
+    speed.title = "Storm speed (knots)";
+
+    const apply = document.createElement("button");
+    apply.textContent = "Set";
+    const estimate = document.createElement("button");
+    estimate.textContent = "Estimate";
+    const status = document.createElement("span");
+    status.className = "storm-motion-status";
+
+    const refresh = () => {
+        if (app.radar && app.productSelector.value === "SWEEP") showSweep(app, app.sweepIndex);
+    };
+    const showMotion = (motion) => {
+        direction.value = motion ? String(Math.round(motion.direction)) : "";
+        speed.value = motion ? String(Math.round(motion.speed / MS_PER_KNOT)) : "";
+    };
+
+    apply.addEventListener("click", () => {
+        if (direction.value === "" || speed.value === "") return;
+        app.stormMotion = {
+            direction: ((Number(direction.value) % 360) + 360) % 360,
+            speed: Number(speed.value) * MS_PER_KNOT
+        };
+        if (app.radar) setStormMotion(app.radar, app.stormMotion);
+        status.textContent = "";
+        refresh();
+    });
+    estimate.addEventListener("click", () => {
+        app.stormMotion = null;
+        if (!app.radar) return;
+        setStormMotion(app.radar, null);
+        const motion = stormMotionFor(app.radar);
+        status.textContent = motion ? "" : stormMotionError(app.radar);
+        showMotion(motion);
+        refresh();
+    });
+
+    container.append("Storm motion ", direction, speed, apply, estimate, status);
+    map.controls[google.maps.ControlPosition.TOP_LEFT].push(container);
+}
+
+/**
+ * Add a mosaic toggle and composite mode picker. While the mosaic is on,
+ * the single-radar overlay is hidden.
+ */
+function createMosaicControl(map, app, source) {
+    const container = document.createElement("div");
+    container.className = "map-control mosaic-control";
+
+    const toggle = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    toggle.append(checkbox, " Mosaic");
+
+    const mode = document.createElement("select");
+    mode.replaceChildren(...Object.entries(COMPOSITE_MODE_LABELS).map(([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        return option;
+    }));
+    mode.value = app.mosaic.compositeMode;
+    mode.addEventListener("change", () => app.mosaic.setCompositeMode(mode.value));
+
+    checkbox.addEventListener("change", () => {
+        const on = checkbox.checked;
+        app.loop.stop();
+        app.radarOverlay.setVisible(!on);
+        app.mosaic.setVisible(on);
+        if (on) loadMosaic(app, source).catch(console.error);
+        else app.mosaicGeneration++;
+    });
+
+    container.append(toggle, mode);
+    map.controls[google.maps.ControlPosition.TOP_LEFT].push(container);
+}
+
+async function init() {
+    const map = new google.maps.Map(document.getElementById("map"), {
+        center: {lat: 39.5, lng: -98.35},
+        zoom: 5,
+        minZoom: 4,
+        maxZoom: 12,
+        clickableIcons: false,
+    });
+    globalThis.map = map;
+
+    const app = {
+        map: map,
+        catalog: await new StationCatalog().load(),
+        radarOverlay: null,
+        sweepSelector: null,
+        momentSelector: null,
+        legend: null,
+        gateReadout: null,
+        crossSection: null,
+        loop: null,
+        mosaic: null,
+        mosaicGeneration: 0, // Bumped to abandon a running loadMosaic()
+        productSelector: null,
+        products: null,    // computeProducts() of `radar`, made on first use
+        source: null,      // VolumeSource of the data on screen
+        radar: null,       // Volume being displayed
+        loading: null,     // AbortController of the volume being streamed
+        stationId: null,
+        sweepIndex: 0,
+        moment: "REF",     // Moment picked for sweeps
+        stormMotion: null, // Storm motion entered for SRV, null to estimate it
+    };
+    const remoteSource = new BucketListingSource();
+    const loopUrls = new URLSearchParams(location.search).getAll("loop");
+
+    app.radarOverlay = new RadarMapOverlay(map, () => {
+        if (loopUrls.length) {
+            const urlSource = new UrlListSource(loopUrls);
+            urlSource.list().then(entries => startLoop(app, urlSource, entries)).catch(console.error);
+            return;
+        }
+        showLatest(app, remoteSource, app.catalog.get(DEFAULT_STATION)).catch(console.error);
+    });
+    app.radarOverlay.setOpacity(0.5);
+    app.legend = new Legend(map, app.radarOverlay);
+    app.gateReadout = new GateReadout(map);
+    app.crossSection = new CrossSectionPanel(map, app.radarOverlay, {
+        onDrawingChange: (drawing) => app.gateReadout.setEnabled(!drawing)
+    });
+
+    const localSource = new LocalFileSource(async (entries) => {
+        try {
+            if (entries.length > 1) {
+                await startLoop(app, localSource, entries);
+            } else {
+                await showEntry(app, localSource, entries[0]);
+            }
+        } catch (error) {
+            console.error(error);
+        }
+    });
+    localSource.attachDropTarget(document.getElementById("map"));
+    createFileControl(map, localSource);
+
+    let loopControl = null;
+    app.loop = new LoopController(app.radarOverlay, {
+        resolveSite: (radar) => radarOrigin({ ...app, radar, stationId: null }),
+        onFrame: (frame, index, count) => {
+            if (frame) {
+                app.legend.setSweepInfo(frame);
+                app.gateReadout.clear();
+                app.crossSection.setVolume(null);
+            }
+            loopControl.showFrame(frame, index, count);
+        }
+    });
+    loopControl = createLoopControl(map, app);
+
+    app.mosaic = new MosaicOverlay(map, { moment: "REF" });
+    app.mosaic.setOpacity(0.5);
+    app.mosaic.setVisible(false);
+    createMosaicControl(map, app, remoteSource);
+    createColorTableControl(map, app);
+
+    app.sweepSelector = new SweepSelector(map, (sweepIndex) => {
+        app.productSelector.value = "SWEEP";
+        showSweep(app, sweepIndex);
+    });
+    app.momentSelector = createMomentControl(map, app);
+    createStormMotionControl(map, app);
+    app.productSelector = createProductControl(map, app);
+
+    const markers = new MarkerCollection(map);
+    markers.setSize(4);
+    app.catalog.addMarkers(markers, (station) => {
+        showLatest(app, remoteSource, station).catch(console.error);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    init().catch(console.error);
+});
@@ -0,0 +1,64 @@
+/**
+ * Cross-section - A vertical slice through a volume along a line
+ *
+ * Points are spaced evenly along the great circle between the two ends and
+ * every tilt of the volume is sampled above them with the 4/3 earth radius
+ * model (see gridding.js). By default each cell takes the gate of the beam
+ * covering it, so the panel looks like an RHI: beams are as thick as they
+ * are at that range and gaps between tilts stay empty.
+ *
+ * Usage:
+ *   const section = crossSection(radar, 'REF', { lat: 41.2, lng: -91.0 }, { lat: 41.9, lng: -89.8 });
+ *   section.data[row * section.width + column]   // row 0 is the lowest height
+ */
+
+import {gridVolume, lineGrid} from "./gridding.js";
+
+const DEFAULT_RESOLUTION = 0.5;     // km along the line
+const DEFAULT_MAX_HEIGHT = 18;      // km above the radar
+const DEFAULT_HEIGHT_STEP = 0.25;   // km
+
+/**
+ * Sample a moment along a line.
+ * @param {NexradLevel2} radar
+ * @param {string} moment - e.g. 'REF'
+ * @param {Object} start - { lat, lng }
+ * @param {Object} end - { lat, lng }
+ * @param {Object} options
+ *   - resolution: Spacing along the line (km, default 0.5)
+ *   - maxHeight: Top of the section (km above the radar, default 18)
+ *   - heightStep: Vertical spacing (km, default 0.25)
+ *   - method: 'nearest' (default), 'bilinear' or 'barnes', see gridding.js
+ *   - site: { lat, lng } radar location (default: the volume's RVOL block)
+ * @returns {Object} { moment, method, start, end, site, length (km), width, height,
+ *                     distances, heights, data }
+ *   distances: Float32Array, km along the line of each column;
+ *   heights: Float32Array, km above the radar of each row, lowest first;
+ *   data: Float32Array [row * width + column], NaN where nothing was sampled
+ */
+export function crossSection(radar, moment, start, end, options = {}) {
+    const {
+        resolution = DEFAULT_RESOLUTION,
+        maxHeight = DEFAULT_MAX_HEIGHT,
+        heightStep = DEFAULT_HEIGHT_STEP,
+        method = 'nearest'
+    } = options;
+
+    const count = Math.ceil(maxHeight / heightStep);
+    const heights = Array.from({ length: count }, (_, i) => (i + 0.5) * heightStep);
+    const grid = gridVolume(radar, moment, lineGrid({ start, end, resolution, heights }), { ...options, method });
+
+    return {
+        moment: moment,
+        method: method,
+        start: start,
+        end: end,
+        site: grid.site,
+        length: grid.length,
+        width: grid.nx,
+        height: grid.nz,
+        distances: grid.distances,
+        heights: grid.heights,
+        data: grid.data
+    };
+}
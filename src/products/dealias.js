@@ -0,0 +1,283 @@
+/**
+ * Velocity dealiasing - Unfold radial velocities aliased at ±Nyquist
+ *
+ * A Doppler radar measures radial velocity modulo twice the Nyquist
+ * velocity: a true 30 m/s seen with a 25 m/s Nyquist shows up as -20 m/s.
+ * Unfolding adds the right multiple of 2 × Nyquist to every gate.
+ *
+ * Region-based algorithm:
+ *
+ *   1. Neighboring gates (along the ray and across adjacent rays) whose
+ *      velocities differ by less than `continuity` × Nyquist are joined
+ *      into regions; a fold boundary is a jump of about 2 × Nyquist, so
+ *      regions never span one.
+ *   2. Regions are merged pairwise, the pairs sharing the longest boundary
+ *      first. Each merge picks the fold difference that makes the mean
+ *      velocity jump across the boundary smallest.
+ *   3. Every merged group gets an overall fold: from a reference sweep
+ *      when one overlaps it (4DD-style), otherwise so that the group's mean
+ *      velocity lies within ±Nyquist.
+ *
+ * The reference is an already dealiased sweep close in time and space: the
+ * same tilt of the previous volume, or a lower tilt of this one. Without a
+ * reference, uniform flow faster than the Nyquist velocity cannot be told
+ * from its aliases and stays folded.
+ *
+ * Usage:
+ *   const sweep = normalizeSweep(radar.getData(1, 'VEL'));
+ *   const dealiased = dealiasSweep(sweep, { reference: lowerTilt });
+ */
+
+import {GATE_MASK} from "../decoder/NexradLevel2.js";
+import {gateAt, gateWidthOf, normalizeSweep} from "../decoder/sweepGrid.js";
+
+const DEFAULT_CONTINUITY = 0.5;       // Fraction of the Nyquist velocity
+const GAP_FACTOR = 1.5;               // Rays further apart than this many beam widths are not neighbors
+const MIN_REFERENCE_GATES = 10;       // Gates a group must share with the reference to follow it
+
+/**
+ * Union-find over regions that tracks each region's fold relative to its root.
+ */
+class FoldForest {
+    constructor(size) {
+        this.parent = Int32Array.from({ length: size }, (_, i) => i);
+        this.fold = new Int32Array(size);     // Relative to parent
+        this.size = new Int32Array(size).fill(1);
+    }
+
+    /**
+     * @returns {number[]} [root, fold of `region` relative to the root]
+     */
+    find(region) {
+        let fold = 0;
+        let root = region;
+        while (this.parent[root] !== root) {
+            fold += this.fold[root];
+            root = this.parent[root];
+        }
+        // Path compression, keeping folds relative to the new parent
+        let node = region;
+        let remaining = fold;
+        while (this.parent[node] !== root) {
+            const next = this.parent[node];
+            const step = this.fold[node];
+            this.parent[node] = root;
+            this.fold[node] = remaining;
+            remaining -= step;
+            node = next;
+        }
+        return [root, fold];
+    }
+
+    /**
+     * Join the groups of a and b so that fold(b) - fold(a) = difference.
+     */
+    union(a, b, difference) {
+        const [rootA, foldA] = this.find(a);
+        const [rootB, foldB] = this.find(b);
+        if (rootA === rootB) return;
+        if (this.size[rootA] >= this.size[rootB]) {
+            this.parent[rootB] = rootA;
+            this.fold[rootB] = foldA + difference - foldB;
+            this.size[rootA] += this.size[rootB];
+        } else {
+            this.parent[rootA] = rootB;
+            this.fold[rootA] = foldB - difference - foldA;
+            this.size[rootB] += this.size[rootA];
+        }
+    }
+}
+
+/**
+ * Plain union-find with path halving, for labeling regions.
+ */
+function findRoot(parent, i) {
+    while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+    }
+    return i;
+}
+
+/**
+ * Reference velocity for every gate of a sweep, NaN where the reference
+ * has no valid gate.
+ */
+function referenceValues(sweep, reference) {
+    const [numRays, numGates] = sweep.dims;
+    const values = new Float32Array(numRays * numGates).fill(NaN);
+    const { ranges } = reference;
+    const refGates = reference.dims[1];
+    const refGateWidth = gateWidthOf(reference);
+
+    for (let r = 0; r < numRays; r++) {
+        const first = gateAt(reference, sweep.azimuths[r], ranges[0]);
+        if (!first) continue;
+        const rowStart = first.rayIndex * refGates;
+        for (let g = 0; g < numGates; g++) {
+            const refGate = Math.floor((sweep.ranges[g] - ranges[0]) / refGateWidth);
+            if (refGate < 0 || refGate >= refGates) continue;
+            if (reference.mask[rowStart + refGate] === GATE_MASK.VALID) {
+                values[r * numGates + g] = reference.data[rowStart + refGate];
+            }
+        }
+    }
+    return values;
+}
+
+/**
+ * Unfold the velocities of a sweep.
+ * @param {Object} sweepData - VEL getData() or normalizeSweep() result (physical values)
+ * @param {Object} options
+ *   - nyquistVelocity: m/s (default: per ray from the sweep, else the sweep's)
+ *   - reference: Dealiased normalized sweep to take overall folds from (default none)
+ *   - continuity: Largest jump between neighboring gates within a region,
+ *                 as a fraction of the Nyquist velocity (default 0.5)
+ * @returns {Object} normalizeSweep()-shaped result with unfolded `data`
+ */
+export function dealiasSweep(sweepData, options = {}) {
+    if (sweepData.codes) {
+        throw new Error("Dealiasing needs physical values, not raw codes");
+    }
+    const sweep = sweepData.beamWidths ? sweepData : normalizeSweep(sweepData);
+    const {
+        nyquistVelocity = sweep.nyquistVelocity,
+        reference = null,
+        continuity = DEFAULT_CONTINUITY
+    } = options;
+    if (!(nyquistVelocity > 0)) {
+        throw new Error("Sweep has no Nyquist velocity to dealias with");
+    }
+
+    const { azimuths, beamWidths, data, mask } = sweep;
+    const [numRays, numGates] = sweep.dims;
+    const size = numRays * numGates;
+    const rayNyquist = Float32Array.from({ length: numRays }, (_, r) => {
+        const perRay = options.nyquistVelocity ? NaN : sweep.nyquistVelocities?.[r];
+        return perRay > 0 ? perRay : nyquistVelocity;
+    });
+
+    // Rays sorted by azimuth neighbor the next one unless a gap separates them
+    const nextRay = Int32Array.from({ length: numRays }, (_, r) => {
+        const next = (r + 1) % numRays;
+        const spacing = ((azimuths[next] - azimuths[r]) % 360 + 360) % 360;
+        return next !== r && spacing <= (beamWidths[r] + beamWidths[next]) / 2 * GAP_FACTOR ? next : -1;
+    });
+
+    const forEachNeighborPair = (callback) => {
+        for (let r = 0; r < numRays; r++) {
+            const next = nextRay[r];
+            for (let g = 0; g < numGates; g++) {
+                const index = r * numGates + g;
+                if (mask[index] !== GATE_MASK.VALID) continue;
+                if (g + 1 < numGates && mask[index + 1] === GATE_MASK.VALID) callback(index, index + 1, r, r);
+                const across = next * numGates + g;
+                if (next >= 0 && mask[across] === GATE_MASK.VALID) callback(index, across, r, next);
+            }
+        }
+    };
+
+    // 1. Regions of continuous velocity
+    const parent = Int32Array.from({ length: size }, (_, i) => i);
+    forEachNeighborPair((a, b, rayA, rayB) => {
+        const limit = continuity * Math.min(rayNyquist[rayA], rayNyquist[rayB]);
+        if (Math.abs(data[a] - data[b]) < limit) {
+            const rootA = findRoot(parent, a);
+            const rootB = findRoot(parent, b);
+            if (rootA !== rootB) parent[rootB] = rootA;
+        }
+    });
+
+    const region = new Int32Array(size).fill(-1);
+    let numRegions = 0;
+    const regionOf = new Map();      // Label root -> region number
+    for (let i = 0; i < size; i++) {
+        if (mask[i] !== GATE_MASK.VALID) continue;
+        const root = findRoot(parent, i);
+        if (!regionOf.has(root)) regionOf.set(root, numRegions++);
+        region[i] = regionOf.get(root);
+    }
+
+    // 2. Merge regions across their boundaries, longest boundary first
+    const boundaries = new Map();    // regionA * numRegions + regionB (A < B) -> { count, sum of vA - vB, interval }
+    forEachNeighborPair((a, b, rayA, rayB) => {
+        let regionA = region[a];
+        let regionB = region[b];
+        if (regionA === regionB) return;
+        let difference = data[a] - data[b];
+        if (regionA > regionB) {
+            [regionA, regionB] = [regionB, regionA];
+            difference = -difference;
+        }
+        const key = regionA * numRegions + regionB;
+        const boundary = boundaries.get(key) ?? { a: regionA, b: regionB, count: 0, sum: 0, interval: 0 };
+        boundary.count++;
+        boundary.sum += difference;
+        boundary.interval += rayNyquist[rayA] + rayNyquist[rayB];
+        boundaries.set(key, boundary);
+    });
+
+    const forest = new FoldForest(numRegions);
+    const ordered = [...boundaries.values()].sort((x, y) => y.count - x.count);
+    for (const { a, b, count, sum, interval } of ordered) {
+        // interval / count is the mean 2 × Nyquist along the boundary
+        forest.union(a, b, Math.round(sum / interval));
+    }
+
+    // 3. Overall fold of each merged group
+    const gateFold = new Int32Array(size);
+    for (let i = 0; i < size; i++) {
+        if (region[i] >= 0) gateFold[i] = forest.find(region[i])[1];
+    }
+    const unfolded = (i, ray) => data[i] + 2 * rayNyquist[ray] * gateFold[i];
+
+    const refValues = reference ? referenceValues(sweep, reference) : null;
+    const votes = new Map();         // root -> Map(fold -> count)
+    const sums = new Map();          // root -> [sum, count, interval sum]
+    for (let r = 0; r < numRays; r++) {
+        for (let g = 0; g < numGates; g++) {
+            const i = r * numGates + g;
+            if (region[i] < 0) continue;
+            const root = forest.find(region[i])[0];
+            const value = unfolded(i, r);
+
+            const total = sums.get(root) ?? [0, 0, 0];
+            total[0] += value;
+            total[1]++;
+            total[2] += 2 * rayNyquist[r];
+            sums.set(root, total);
+
+            if (refValues && !Number.isNaN(refValues[i])) {
+                const fold = Math.round((refValues[i] - value) / (2 * rayNyquist[r]));
+                const counts = votes.get(root) ?? new Map();
+                counts.set(fold, (counts.get(fold) ?? 0) + 1);
+                votes.set(root, counts);
+            }
+        }
+    }
+
+    const groupFold = new Map();
+    for (const [root, [sum, count, interval]] of sums) {
+        let best = null;
+        let bestCount = MIN_REFERENCE_GATES - 1;
+        for (const [fold, votesFor] of votes.get(root) ?? []) {
+            if (votesFor > bestCount) {
+                best = fold;
+                bestCount = votesFor;
+            }
+        }
+        groupFold.set(root, best ?? Math.round(-sum / interval));
+    }
+
+    const result = new Float32Array(size).fill(NaN);
+    for (let r = 0; r < numRays; r++) {
+        for (let g = 0; g < numGates; g++) {
+            const i = r * numGates + g;
+            if (region[i] < 0) continue;
+            const root = forest.find(region[i])[0];
+            result[i] = unfolded(i, r) + 2 * rayNyquist[r] * groupFold.get(root);
+        }
+    }
+
+    return { ...sweep, data: result };
+}
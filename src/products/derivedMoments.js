@@ -0,0 +1,257 @@
+/**
+ * Derived moments - Moments computed from the decoded ones
+ *
+ * A derived moment is computed per sweep from one or more moments the
+ * volume carries, and is then used like those: listed by momentsForSweep(),
+ * fetched with momentSweep() and drawn with its own palette from
+ * palettes.js. Results are cached per volume.
+ *
+ *   VEL_DEALIASED  - VEL unfolded beyond the Nyquist velocity (dealias.js)
+ *   SRV            - Storm-relative velocity: VEL_DEALIASED minus the storm
+ *                    motion (stormMotion.js)
+ *   KDP            - Specific differential phase from PHI (dualPol.js)
+ *   REF_QC         - REF without non-meteorological echo (dualPol.js)
+ *   HCA            - Hydrometeor class codes (dualPol.js)
+ *
+ * Dealiasing takes its reference from the volume set with
+ * setPreviousVolume(), or from this volume's lower tilts. SRV uses the
+ * motion set with setStormMotion(), or one estimated from the previous
+ * volume; without either it is not offered.
+ *
+ * Usage:
+ *   momentsForSweep(radar, 1)                      // [..., 'VEL', 'VEL_DEALIASED']
+ *   const sweep = momentSweep(radar, 1, 'VEL_DEALIASED');
+ *   setStormMotion(radar, { direction: 240, speed: 15 });   // then 'SRV' is listed too
+ *   registerDerivedMoment('SNR', { sources: ['REF'], compute: (radar, sweepIndex) => ... });
+ */
+
+import {SAME_ELEVATION_TOLERANCE} from "../decoder/NexradLevel2.js";
+import {normalizeSweep} from "../decoder/sweepGrid.js";
+import {dealiasSweep} from "./dealias.js";
+import {classifyHydrometeors, qcReflectivity, specificDifferentialPhase} from "./dualPol.js";
+import {estimateStormMotion, stormRelativeSweep} from "./stormMotion.js";
+
+const MAX_REFERENCE_AGE = 20 * 60 * 1000;   // ms, older previous volumes are not used
+
+const DERIVED_MOMENTS = new Map();   // name -> { sources, compute, available }
+const caches = new WeakMap();        // volume -> Map("sweepIndex:moment" -> sweep)
+const previousVolumes = new WeakMap(); // volume -> the volume before it
+const stormMotions = new WeakMap();  // volume -> { direction, speed, estimated } or null when none can be had
+const stormMotionErrors = new WeakMap(); // volume -> why there is no storm motion
+
+/**
+ * Add a derived moment.
+ * @param {string} name - e.g. 'VEL_DEALIASED'
+ * @param {Object} definition
+ *   - sources: Moments a sweep must carry for this one to be computed
+ *   - compute: (radar, sweepIndex) => normalizeSweep()-shaped result
+ *   - available: Optional (radar, sweepIndex) => boolean, for moments that
+ *                need more than their sources
+ */
+export function registerDerivedMoment(name, definition) {
+    if (!definition.sources?.length || typeof definition.compute !== 'function') {
+        throw new Error(`Derived moment '${name}' needs sources and a compute function`);
+    }
+    DERIVED_MOMENTS.set(name, definition);
+}
+
+/**
+ * @param {string} moment
+ * @returns {boolean}
+ */
+export function isDerivedMoment(moment) {
+    return DERIVED_MOMENTS.has(moment);
+}
+
+/**
+ * Moments a sweep must carry to have this one: the sources of a derived
+ * moment, the moment itself otherwise.
+ * @param {string} moment
+ * @returns {string[]}
+ */
+export function sourceMoments(moment) {
+    return DERIVED_MOMENTS.get(moment)?.sources ?? [moment];
+}
+
+/**
+ * Decoded and derived moments available in a sweep.
+ * @param {NexradLevel2} radar
+ * @param {number} sweepIndex
+ * @returns {string[]}
+ */
+export function momentsForSweep(radar, sweepIndex) {
+    const moments = radar.getMomentsForSweep(sweepIndex);
+    const derived = [...DERIVED_MOMENTS]
+        .filter(([, { sources, available }]) =>
+            sources.every(source => moments.includes(source)) && (!available || available(radar, sweepIndex)))
+        .map(([name]) => name);
+    return [...moments, ...derived];
+}
+
+/**
+ * Normalized sweep of a decoded or derived moment.
+ * @param {NexradLevel2} radar
+ * @param {number} sweepIndex
+ * @param {string} moment
+ * @returns {Object} normalizeSweep()-shaped result
+ */
+export function momentSweep(radar, sweepIndex, moment) {
+    const definition = DERIVED_MOMENTS.get(moment);
+    if (!definition) return normalizeSweep(radar.getData(sweepIndex, moment));
+
+    if (!caches.has(radar)) caches.set(radar, new Map());
+    const cache = caches.get(radar);
+    const key = `${sweepIndex}:${moment}`;
+    if (!cache.has(key)) {
+        const available = radar.getMomentsForSweep(sweepIndex);
+        const missing = definition.sources.filter(source => !available.includes(source));
+        if (missing.length) {
+            throw new Error(`Moment '${moment}' needs ${missing.join(', ')}, not available in sweep ${sweepIndex}`);
+        }
+        cache.set(key, definition.compute(radar, sweepIndex));
+    }
+    return cache.get(key);
+}
+
+/**
+ * Tell derived moments which volume of the same radar came before this
+ * one (only one volume back is kept). Cached results are recomputed.
+ * @param {NexradLevel2} radar
+ * @param {NexradLevel2|null} previous
+ */
+export function setPreviousVolume(radar, previous) {
+    if (previous) {
+        previousVolumes.set(radar, previous);
+        previousVolumes.delete(previous);
+    } else {
+        previousVolumes.delete(radar);
+    }
+    caches.delete(radar);
+    if (stormMotions.get(radar)?.estimated !== false) {
+        stormMotions.delete(radar);
+        stormMotionErrors.delete(radar);
+    }
+}
+
+/**
+ * Set the storm motion SRV is relative to; null goes back to estimating
+ * it from the previous volume.
+ * @param {NexradLevel2} radar
+ * @param {Object|null} motion - { direction (degrees, from), speed (m/s) }
+ */
+export function setStormMotion(radar, motion) {
+    if (motion) stormMotions.set(radar, { ...motion, estimated: false });
+    else stormMotions.delete(radar);
+    stormMotionErrors.delete(radar);
+
+    const cache = caches.get(radar);
+    for (const key of cache?.keys() ?? []) {
+        if (key.endsWith(':SRV')) cache.delete(key);
+    }
+}
+
+/**
+ * Storm motion SRV uses for a volume.
+ * @param {NexradLevel2} radar
+ * @returns {Object|null} { direction, speed, estimated }, null if unknown
+ */
+export function stormMotionFor(radar) {
+    if (!stormMotions.has(radar)) {
+        const previous = previousVolumes.get(radar);
+        let motion = null;
+        if (!previous) {
+            stormMotionErrors.set(radar, "Storm motion estimates need the previous volume of the same radar");
+        } else {
+            try {
+                motion = { ...estimateStormMotion(previous, radar), estimated: true };
+            } catch (error) {
+                stormMotionErrors.set(radar, error.message);
+            }
+        }
+        stormMotions.set(radar, motion);
+    }
+    return stormMotions.get(radar);
+}
+
+/**
+ * Why stormMotionFor() found no storm motion for a volume.
+ * @param {NexradLevel2} radar
+ * @returns {string|null} null if it found one or has not been asked
+ */
+export function stormMotionError(radar) {
+    return stormMotionErrors.get(radar) ?? null;
+}
+
+/**
+ * Dealiased sweep to use as a reference for a VEL sweep: the same tilt of
+ * the previous volume, an earlier cut at the same tilt (SAILS/MRLE), or
+ * the next lower tilt.
+ * @returns {Object|null} normalizeSweep()-shaped result
+ */
+function dealiasReference(radar, sweepIndex) {
+    const sweep = radar.sweeps[sweepIndex];
+    const elevation = sweep.targetElevation ?? sweep.elevation;
+
+    const previous = previousVolumes.get(radar);
+    if (previous && sweep.startTime) {
+        const [match] = previous.findSweeps({ elevation, moment: 'VEL' })
+            .filter(other => other.startTime && sweep.startTime - other.startTime <= MAX_REFERENCE_AGE)
+            .slice(-1);
+        if (match) return momentSweep(previous, match.index, 'VEL_DEALIASED');
+    }
+
+    const earlier = radar.findSweeps({ moment: 'VEL' }).filter(other => other.index < sweepIndex);
+    const sameTilt = earlier.filter(other =>
+        Math.abs((other.targetElevation ?? other.elevation) - elevation) <= SAME_ELEVATION_TOLERANCE);
+    const lower = earlier
+        .filter(other => (other.targetElevation ?? other.elevation) < elevation - SAME_ELEVATION_TOLERANCE)
+        .sort((a, b) => (a.targetElevation ?? a.elevation) - (b.targetElevation ?? b.elevation));
+    const match = sameTilt.length ? sameTilt[sameTilt.length - 1] : lower[lower.length - 1];
+    return match ? momentSweep(radar, match.index, 'VEL_DEALIASED') : null;
+}
+
+registerDerivedMoment('VEL_DEALIASED', {
+    sources: ['VEL'],
+    compute: (radar, sweepIndex) => dealiasSweep(normalizeSweep(radar.getData(sweepIndex, 'VEL')), {
+        reference: dealiasReference(radar, sweepIndex)
+    })
+});
+
+registerDerivedMoment('SRV', {
+    sources: ['VEL'],
+    available: (radar) => stormMotionFor(radar) !== null,
+    compute: (radar, sweepIndex) => {
+        const motion = stormMotionFor(radar);
+        if (!motion) {
+            throw new Error("SRV needs a storm motion; set one with setStormMotion()");
+        }
+        return stormRelativeSweep(momentSweep(radar, sweepIndex, 'VEL_DEALIASED'), motion);
+    }
+});
+
+/**
+ * Normalized sweeps of the decoded moments of a sweep that are in `moments`,
+ * keyed by moment.
+ */
+function decodedSweeps(radar, sweepIndex, moments) {
+    const available = radar.getMomentsForSweep(sweepIndex);
+    return Object.fromEntries(moments
+        .filter(moment => available.includes(moment))
+        .map(moment => [moment, normalizeSweep(radar.getData(sweepIndex, moment))]));
+}
+
+registerDerivedMoment('KDP', {
+    sources: ['PHI'],
+    compute: (radar, sweepIndex) => specificDifferentialPhase(normalizeSweep(radar.getData(sweepIndex, 'PHI')))
+});
+
+// ZDR and CFP tests are skipped in sweeps without them
+registerDerivedMoment('REF_QC', {
+    sources: ['REF', 'RHO'],
+    compute: (radar, sweepIndex) => qcReflectivity(decodedSweeps(radar, sweepIndex, ['REF', 'RHO', 'ZDR', 'CFP']))
+});
+
+registerDerivedMoment('HCA', {
+    sources: ['REF', 'ZDR', 'RHO', 'PHI'],
+    compute: (radar, sweepIndex) => classifyHydrometeors(decodedSweeps(radar, sweepIndex, ['REF', 'ZDR', 'RHO', 'PHI']))
+});
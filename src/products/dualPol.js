@@ -0,0 +1,330 @@
+/**
+ * Dual-polarization products - KDP, reflectivity QC and hydrometeor classes
+ *
+ * All work on one sweep's normalized moments (normalizeSweep() sorts rays
+ * the same way for every moment of a sweep, so ray r is the same radial in
+ * each). Gates of one moment are matched to another by range, since
+ * dual-pol moments usually stop short of reflectivity.
+ *
+ *   specificDifferentialPhase()  - KDP (°/km): half the range derivative of
+ *                                  PHI, a least-squares slope over a window
+ *   qcReflectivity()             - REF with non-meteorological echo removed:
+ *                                  low RHO (biological scatter, clutter), noisy
+ *                                  ZDR (biological scatter) or much clutter
+ *                                  power removed (CFP, ground clutter and AP)
+ *   classifyHydrometeors()       - Fuzzy-logic classes after Park et al. (2009)
+ *                                  from REF, ZDR, RHO, KDP and the textures of
+ *                                  REF and PHI
+ *
+ * Class codes are HYDROMETEOR_CLASSES values; their names and colors live
+ * with the HCA palette in palettes.js.
+ *
+ * Usage:
+ *   const sweeps = { REF: momentSweep(radar, 0, 'REF'), ZDR: ..., RHO: ..., PHI: ... };
+ *   const classes = classifyHydrometeors(sweeps, { meltingLevel: 3.2 });
+ */
+
+import {GATE_MASK} from "../decoder/NexradLevel2.js";
+import {gateWidthOf} from "../decoder/sweepGrid.js";
+import {beamHeight} from "../geo/beamGeometry.js";
+
+export const HYDROMETEOR_CLASSES = {
+    GC: 1,   // Ground clutter / anomalous propagation
+    BI: 2,   // Biological scatterers
+    DS: 3,   // Dry snow
+    WS: 4,   // Wet snow
+    CR: 5,   // Ice crystals
+    GR: 6,   // Graupel
+    BD: 7,   // Big drops
+    RA: 8,   // Light and moderate rain
+    HR: 9,   // Heavy rain
+    RH: 10   // Rain and hail
+};
+
+const DEFAULT_KDP_WINDOW = 3;            // km
+const TEXTURE_HALF_WINDOW = 2;           // gates on each side
+const MELTING_LAYER_DEPTH = 1;           // km, centered on the melting level
+
+const QC_DEFAULTS = {
+    minCorrelation: 0.85,        // RHO below this is not meteorological...
+    keepAbove: 45,               // ...unless REF is this strong (hail lowers RHO)
+    maxZdrTexture: 2,            // dB, standard deviation of ZDR along the ray
+    maxClutterRemoved: 20        // dB of clutter filter power removed
+};
+
+// Membership trapezoids [x1, x2, x3, x4] per variable and class (Park et al. 2009, table 2).
+// Functions of Z make rain ZDR and KDP grow with reflectivity.
+const f1 = (z) => -0.50 + 2.50e-3 * z + 7.50e-4 * z * z;
+const f2 = (z) => 0.68 - 4.81e-2 * z + 2.92e-3 * z * z;
+const f3 = (z) => 1.42 + 6.67e-2 * z + 4.85e-4 * z * z;
+const g1 = (z) => -44.0 + 0.8 * z;
+const g2 = (z) => -22.0 + 0.5 * z;
+
+const MEMBERSHIP = {
+    GC: { z: [15, 20, 70, 80], zdr: [-4, -2, 1, 2], rho: [0.5, 0.6, 0.9, 0.95], kdp: [-30, -25, 10, 20],
+          zTexture: [2, 4, 10, 15], phiTexture: [30, 40, 50, 60] },
+    BI: { z: [5, 10, 20, 30], zdr: [0, 2, 10, 12], rho: [0.3, 0.5, 0.8, 0.83], kdp: [-30, -25, 10, 10],
+          zTexture: [1, 2, 4, 7], phiTexture: [8, 10, 40, 60] },
+    DS: { z: [5, 10, 35, 40], zdr: [-0.3, 0, 0.3, 0.6], rho: [0.95, 0.98, 1, 1.01], kdp: [-30, -25, 10, 20] },
+    WS: { z: [25, 30, 40, 50], zdr: [0.5, 1, 2, 3], rho: [0.88, 0.92, 0.95, 0.985], kdp: [-30, -25, 10, 20] },
+    CR: { z: [0, 5, 20, 25], zdr: [0.1, 0.4, 3, 3.3], rho: [0.95, 0.98, 1, 1.01], kdp: [-5, 0, 10, 15] },
+    GR: { z: [25, 35, 50, 55], zdr: z => [-0.3, 0, f1(z), f1(z) + 0.3], rho: [0.9, 0.97, 1, 1.01], kdp: [-30, -25, 10, 20] },
+    BD: { z: [20, 25, 45, 50], zdr: z => [f2(z) - 0.3, f2(z), f3(z), f3(z) + 1], rho: [0.92, 0.95, 1, 1.01],
+          kdp: z => [g1(z) - 1, g1(z), g2(z), g2(z) + 1] },
+    RA: { z: [5, 10, 45, 50], zdr: z => [f1(z) - 0.3, f1(z), f2(z), f2(z) + 0.5], rho: [0.95, 0.97, 1, 1.01],
+          kdp: z => [g1(z) - 1, g1(z), g2(z), g2(z) + 1] },
+    HR: { z: [40, 45, 55, 60], zdr: z => [f1(z) - 0.3, f1(z), f2(z), f2(z) + 0.5], rho: [0.92, 0.95, 1, 1.01],
+          kdp: z => [g1(z) - 1, g1(z), g2(z), g2(z) + 1] },
+    RH: { z: [45, 50, 75, 80], zdr: z => [-0.3, 0, f1(z), f1(z) + 0.5], rho: [0.85, 0.9, 1, 1.01],
+          kdp: z => [-10, -4, g1(z), g1(z) + 1] }
+};
+// Textures are small for every hydrometeor
+for (const id of ['DS', 'WS', 'CR', 'GR', 'BD', 'RA', 'HR', 'RH']) {
+    MEMBERSHIP[id].zTexture = [0, 0.5, 3, 6];
+    MEMBERSHIP[id].phiTexture = [0, 1, 15, 30];
+}
+
+const WEIGHTS = { z: 0.2, zdr: 0.4, rho: 1.0, kdp: 0.3, zTexture: 0.6, phiTexture: 0.8 };
+
+// Classes possible below, within and above the melting layer
+const LAYER_CLASSES = {
+    below: ['GC', 'BI', 'BD', 'RA', 'HR', 'RH'],
+    within: ['GC', 'BI', 'WS', 'GR', 'BD', 'RA', 'HR', 'RH'],
+    above: ['DS', 'CR', 'GR', 'RH']
+};
+
+function trapezoid(x, [x1, x2, x3, x4]) {
+    if (x < x1 || x > x4) return 0;
+    if (x < x2) return (x - x1) / (x2 - x1);
+    if (x <= x3) return 1;
+    return (x4 - x) / (x4 - x3);
+}
+
+/**
+ * Index into `sweep`'s gates at a range, -1 outside it.
+ */
+function gateIndexAt(sweep, range) {
+    const { ranges } = sweep;
+    const gateWidth = gateWidthOf(sweep);
+    const gate = Math.floor((range - ranges[0]) / gateWidth + 0.5);
+    return gate >= 0 && gate < ranges.length ? gate : -1;
+}
+
+/**
+ * Valid value of `sweep` at a ray and range, NaN otherwise.
+ */
+function valueAt(sweep, ray, range) {
+    if (!sweep || ray >= sweep.dims[0]) return NaN;
+    const gate = gateIndexAt(sweep, range);
+    if (gate < 0) return NaN;
+    const index = ray * sweep.dims[1] + gate;
+    return sweep.mask[index] === GATE_MASK.VALID ? sweep.data[index] : NaN;
+}
+
+/**
+ * Standard deviation of valid values along each ray within
+ * ±TEXTURE_HALF_WINDOW gates, NaN with fewer than three values.
+ */
+function texture(sweep) {
+    const [numRays, numGates] = sweep.dims;
+    const { data, mask } = sweep;
+    const result = new Float32Array(numRays * numGates).fill(NaN);
+    for (let r = 0; r < numRays; r++) {
+        for (let g = 0; g < numGates; g++) {
+            let sum = 0;
+            let squares = 0;
+            let count = 0;
+            const last = Math.min(numGates - 1, g + TEXTURE_HALF_WINDOW);
+            for (let k = Math.max(0, g - TEXTURE_HALF_WINDOW); k <= last; k++) {
+                const i = r * numGates + k;
+                if (mask[i] !== GATE_MASK.VALID) continue;
+                sum += data[i];
+                squares += data[i] * data[i];
+                count++;
+            }
+            if (count >= 3) {
+                const mean = sum / count;
+                result[r * numGates + g] = Math.sqrt(Math.max(0, squares / count - mean * mean));
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Specific differential phase from PHI.
+ * @param {Object} phi - Normalized PHI sweep (degrees)
+ * @param {Object} options
+ *   - window: Range window for the slope (km, default 3)
+ * @returns {Object} Sweep of the same shape with KDP (°/km) in `data`
+ */
+export function specificDifferentialPhase(phi, options = {}) {
+    const { window = DEFAULT_KDP_WINDOW } = options;
+    const [numRays, numGates] = phi.dims;
+    const { ranges, data, mask } = phi;
+    const gateWidth = gateWidthOf(phi);
+    const half = Math.max(1, Math.round(window / gateWidth / 2));
+
+    const kdp = new Float32Array(numRays * numGates).fill(NaN);
+    const kdpMask = new Uint8Array(numRays * numGates).fill(GATE_MASK.NO_DATA);
+    const unwrapped = new Float32Array(numGates);
+
+    for (let r = 0; r < numRays; r++) {
+        // Unwrap phase along the ray; PHI wraps at 360°
+        let previous = NaN;
+        let offset = 0;
+        for (let g = 0; g < numGates; g++) {
+            const i = r * numGates + g;
+            if (mask[i] !== GATE_MASK.VALID) {
+                unwrapped[g] = NaN;
+                continue;
+            }
+            if (data[i] + offset - previous < -180) offset += 360;
+            else if (data[i] + offset - previous > 180) offset -= 360;
+            unwrapped[g] = data[i] + offset;
+            previous = unwrapped[g];
+        }
+
+        for (let g = 0; g < numGates; g++) {
+            if (Number.isNaN(unwrapped[g])) continue;
+            // Least-squares slope over the valid gates of the window
+            let n = 0, sx = 0, sy = 0, sxx = 0, sxy = 0;
+            const last = Math.min(numGates - 1, g + half);
+            for (let k = Math.max(0, g - half); k <= last; k++) {
+                if (Number.isNaN(unwrapped[k])) continue;
+                const x = ranges[k];
+                n++;
+                sx += x;
+                sy += unwrapped[k];
+                sxx += x * x;
+                sxy += x * unwrapped[k];
+            }
+            const denominator = n * sxx - sx * sx;
+            if (n < half || denominator <= 0) continue;
+            const i = r * numGates + g;
+            kdp[i] = (n * sxy - sx * sy) / denominator / 2;
+            kdpMask[i] = GATE_MASK.VALID;
+        }
+    }
+    return { ...phi, data: kdp, mask: kdpMask };
+}
+
+/**
+ * Remove non-meteorological echo from reflectivity. Tests whose moment is
+ * missing (e.g. CFP before it was recorded) are skipped.
+ * @param {Object} sweeps - Normalized sweeps of one sweep: { REF, RHO?, ZDR?, CFP? }
+ * @param {Object} options
+ *   - minCorrelation: RHO below which echo is removed (default 0.85)
+ *   - keepAbove: REF (dBZ) kept whatever its RHO (default 45)
+ *   - maxZdrTexture: ZDR texture (dB) above which echo is removed (default 2)
+ *   - maxClutterRemoved: CFP (dB) above which echo is removed (default 20)
+ * @returns {Object} REF sweep with removed gates set to NO_DATA
+ */
+export function qcReflectivity(sweeps, options = {}) {
+    const { minCorrelation, keepAbove, maxZdrTexture, maxClutterRemoved } = { ...QC_DEFAULTS, ...options };
+    const { REF: ref, RHO: rho, ZDR: zdr, CFP: cfp } = sweeps;
+    if (!ref) {
+        throw new Error("Reflectivity QC needs REF");
+    }
+    const zdrTexture = zdr ? { ...zdr, data: texture(zdr), mask: zdr.mask.map(() => GATE_MASK.VALID) } : null;
+
+    const [numRays, numGates] = ref.dims;
+    const data = ref.data.slice();
+    const mask = ref.mask.slice();
+    for (let r = 0; r < numRays; r++) {
+        for (let g = 0; g < numGates; g++) {
+            const i = r * numGates + g;
+            if (mask[i] !== GATE_MASK.VALID) continue;
+            const range = ref.ranges[g];
+
+            const correlation = valueAt(rho, r, range);
+            const noisy = valueAt(zdrTexture, r, range) > maxZdrTexture;
+            const clutter = valueAt(cfp, r, range) > maxClutterRemoved;
+            const uncorrelated = correlation < minCorrelation && data[i] < keepAbove;
+            if (noisy || clutter || uncorrelated) {
+                data[i] = NaN;
+                mask[i] = GATE_MASK.NO_DATA;
+            }
+        }
+    }
+    return { ...ref, data, mask };
+}
+
+/**
+ * Classify every gate with reflectivity and dual-pol data.
+ * @param {Object} sweeps - Normalized sweeps of one sweep: { REF, ZDR, RHO, PHI }
+ * @param {Object} options
+ *   - meltingLevel: Height of the melting level above the radar (km); limits
+ *                   classes by beam height when given (default: not used)
+ *   - kdpWindow: See specificDifferentialPhase()
+ * @returns {Object} REF-shaped sweep with a HYDROMETEOR_CLASSES code per gate in `data`
+ */
+export function classifyHydrometeors(sweeps, options = {}) {
+    const { meltingLevel = null, kdpWindow = DEFAULT_KDP_WINDOW } = options;
+    const { REF: ref, ZDR: zdr, RHO: rho, PHI: phi } = sweeps;
+    if (!ref || !zdr || !rho || !phi) {
+        throw new Error("Hydrometeor classification needs REF, ZDR, RHO and PHI");
+    }
+    const kdp = specificDifferentialPhase(phi, { window: kdpWindow });
+    const allValid = (sweep) => sweep.mask.map(() => GATE_MASK.VALID);
+    const zTexture = { ...ref, data: texture(ref), mask: allValid(ref) };
+    const phiTexture = { ...phi, data: texture(phi), mask: allValid(phi) };
+
+    const classIds = Object.keys(HYDROMETEOR_CLASSES);
+    const [numRays, numGates] = ref.dims;
+    const data = new Float32Array(numRays * numGates).fill(NaN);
+    const mask = new Uint8Array(numRays * numGates).fill(GATE_MASK.NO_DATA);
+
+    for (let g = 0; g < numGates; g++) {
+        const range = ref.ranges[g];
+        let candidates = classIds;
+        if (meltingLevel !== null) {
+            const height = beamHeight(range, ref.elevation) / 1000;
+            const layer = height < meltingLevel - MELTING_LAYER_DEPTH / 2 ? 'below'
+                : height > meltingLevel + MELTING_LAYER_DEPTH / 2 ? 'above' : 'within';
+            candidates = LAYER_CLASSES[layer];
+        }
+
+        for (let r = 0; r < numRays; r++) {
+            const i = r * numGates + g;
+            if (ref.mask[i] !== GATE_MASK.VALID) continue;
+            const z = ref.data[i];
+            const specific = valueAt(kdp, r, range);
+            const values = {
+                z: z,
+                zdr: valueAt(zdr, r, range),
+                rho: valueAt(rho, r, range),
+                // 10 log10 KDP, floored as in Park et al.
+                kdp: specific >= 0.001 ? 10 * Math.log10(specific) : (Number.isNaN(specific) ? NaN : -30),
+                zTexture: valueAt(zTexture, r, range),
+                phiTexture: valueAt(phiTexture, r, range)
+            };
+            // Without ZDR and RHO there is nothing to classify on
+            if (Number.isNaN(values.zdr) || Number.isNaN(values.rho)) continue;
+
+            let best = null;
+            let bestScore = 0;
+            for (const id of candidates) {
+                let score = 0;
+                let weights = 0;
+                for (const [variable, weight] of Object.entries(WEIGHTS)) {
+                    const value = values[variable];
+                    if (Number.isNaN(value)) continue;
+                    const limits = MEMBERSHIP[id][variable];
+                    score += weight * trapezoid(value, typeof limits === 'function' ? limits(z) : limits);
+                    weights += weight;
+                }
+                score /= weights;
+                if (score > bestScore) {
+                    best = id;
+                    bestScore = score;
+                }
+            }
+            if (best) {
+                data[i] = HYDROMETEOR_CLASSES[best];
+                mask[i] = GATE_MASK.VALID;
+            }
+        }
+    }
+    return { ...ref, data, mask };
+}
@@ -0,0 +1,356 @@
+/**
+ * Gridding - Interpolate a volume onto regular grids
+ *
+ * Grids are either x/y (km east and north of the radar), latitude/
+ * longitude, or points along a line, with one or more heights (km above
+ * the radar). A CAPPI is a grid with a single height; a line grid is a
+ * vertical cross-section (see crossSection.js).
+ *
+ * Every grid point is placed in the volume with the 4/3 earth radius
+ * model: for each tilt, the slant range reaching the point's ground
+ * distance and the beam height there. Values are then taken with one of:
+ *
+ *   nearest   - The gate of the tilt whose beam center is closest in height,
+ *               if the point lies within that beam
+ *   bilinear  - Bilinear between rays and gates within the tilts just below
+ *               and above the point, then linear in height between them
+ *   barnes    - Gaussian (Barnes) weighting of every valid gate within
+ *               `radius` km of the point
+ *
+ * One sweep per elevation angle is used, as for volume products.
+ *
+ * Results hold the values as a Float32Array laid out [level][row][column]
+ * (rows south to north, columns west to east), NaN where nothing was
+ * sampled, plus the grid's axes and the lat/lng of every cell corner so
+ * RadarMapOverlay.loadGrid() can draw a level as an image layer. Line
+ * grids have a single row and no corners.
+ *
+ * Usage:
+ *   const grid = cappi(radar, 'REF', 3, xyGrid({ extent: 150, resolution: 1 }));
+ *   overlay.loadGrid(grid, { moment: 'REF' });
+ */
+
+import {GATE_MASK} from "../decoder/NexradLevel2.js";
+import {gateAt, gateWidthOf, interpolateAt, raysWithin} from "../decoder/sweepGrid.js";
+import {beamHeight, destination, latLngToGate, slantRangeForGround} from "../geo/beamGeometry.js";
+import {momentSweep} from "./derivedMoments.js";
+import {productTilts} from "./volumeProducts.js";
+
+export const GRID_METHODS = ['nearest', 'bilinear', 'barnes'];
+
+const BEAM_WIDTH = 0.95;           // degrees, WSR-88D half-power beam width
+const KM_PER_DEGREE = 111.2;       // Along a meridian
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Evenly spaced values from `start` in `step`s, `count` of them.
+ */
+function axis(start, step, count) {
+    return Float64Array.from({ length: count }, (_, i) => start + i * step);
+}
+
+/**
+ * Grid of points east/north of the radar, centered on it.
+ * @param {Object} options
+ *   - extent: Half-width of the grid (km, default 230)
+ *   - resolution: Cell size (km, default 1)
+ *   - heights: Levels (km above the radar, default [1])
+ * @returns {Object} Grid definition for gridVolume()
+ */
+export function xyGrid(options = {}) {
+    const { extent = 230, resolution = 1, heights = [1] } = options;
+    const count = Math.ceil(2 * extent / resolution);
+    const start = -count * resolution / 2 + resolution / 2;
+    return {
+        type: 'xy',
+        nx: count,
+        ny: count,
+        x: axis(start, resolution, count),
+        y: axis(start, resolution, count),
+        resolution: resolution,
+        heights: Float64Array.from(heights)
+    };
+}
+
+/**
+ * Grid of latitude/longitude points.
+ * @param {Object} options
+ *   - south, north, west, east: Bounds (degrees)
+ *   - resolution: Cell size (degrees, default 0.01)
+ *   - heights: Levels (km above the radar, default [1])
+ * @returns {Object} Grid definition for gridVolume()
+ */
+export function latLngGrid(options) {
+    const { south, north, west, east, resolution = 0.01, heights = [1] } = options;
+    if (!(north > south) || !(east > west)) {
+        throw new Error("Grid bounds must have north > south and east > west");
+    }
+    const nx = Math.ceil((east - west) / resolution);
+    const ny = Math.ceil((north - south) / resolution);
+    return {
+        type: 'latlng',
+        nx: nx,
+        ny: ny,
+        lngs: axis(west + resolution / 2, resolution, nx),
+        lats: axis(south + resolution / 2, resolution, ny),
+        resolution: resolution,
+        heights: Float64Array.from(heights)
+    };
+}
+
+/**
+ * Points along a great circle from `start` to `end`, one row.
+ * @param {Object} options
+ *   - start, end: { lat, lng } ends of the line
+ *   - resolution: Spacing along the line (km, default 0.5)
+ *   - heights: Levels (km above the radar, default [1])
+ * @returns {Object} Grid definition for gridVolume()
+ */
+export function lineGrid(options) {
+    const { start, end, resolution = 0.5, heights = [1] } = options;
+    const { azimuth: bearing, groundRange: length } = latLngToGate(start, end.lat, end.lng, 0);
+    const count = Math.max(1, Math.ceil(length / resolution));
+    const step = length / count;
+    const distances = axis(step / 2, step, count);
+    const points = Array.from(distances, d => destination(start, bearing, d));
+    return {
+        type: 'line',
+        nx: count,
+        ny: 1,
+        start: start,
+        end: end,
+        length: length,
+        distances: distances,
+        lats: Float64Array.from(points, p => p.lat),
+        lngs: Float64Array.from(points, p => p.lng),
+        resolution: step,
+        heights: Float64Array.from(heights)
+    };
+}
+
+/**
+ * Azimuth and ground distance of every grid column, and the lat/lng of
+ * every cell corner ([row][column], (ny + 1) × (nx + 1)).
+ */
+function locateColumns(grid, site) {
+    const { nx, ny, resolution } = grid;
+    const azimuths = new Float64Array(nx * ny);
+    const distances = new Float64Array(nx * ny);
+    if (grid.type === 'line') {
+        for (let p = 0; p < nx; p++) {
+            const { azimuth, groundRange } = latLngToGate(site, grid.lats[p], grid.lngs[p], 0);
+            azimuths[p] = azimuth;
+            distances[p] = groundRange;
+        }
+        return { azimuths, distances, corners: null };
+    }
+
+    const cornerLats = new Float64Array((nx + 1) * (ny + 1));
+    const cornerLngs = new Float64Array((nx + 1) * (ny + 1));
+
+    if (grid.type === 'xy') {
+        const polar = (x, y) => ({
+            azimuth: (Math.atan2(x, y) * RAD_TO_DEG + 360) % 360,
+            distance: Math.hypot(x, y)
+        });
+        for (let row = 0; row < ny; row++) {
+            for (let column = 0; column < nx; column++) {
+                const { azimuth, distance } = polar(grid.x[column], grid.y[row]);
+                azimuths[row * nx + column] = azimuth;
+                distances[row * nx + column] = distance;
+            }
+        }
+        for (let row = 0; row <= ny; row++) {
+            for (let column = 0; column <= nx; column++) {
+                const { azimuth, distance } = polar(
+                    grid.x[0] + (column - 0.5) * resolution,
+                    grid.y[0] + (row - 0.5) * resolution
+                );
+                const corner = destination(site, azimuth, distance);
+                cornerLats[row * (nx + 1) + column] = corner.lat;
+                cornerLngs[row * (nx + 1) + column] = corner.lng;
+            }
+        }
+    } else {
+        for (let row = 0; row < ny; row++) {
+            for (let column = 0; column < nx; column++) {
+                const { azimuth, groundRange } = latLngToGate(site, grid.lats[row], grid.lngs[column], 0);
+                azimuths[row * nx + column] = azimuth;
+                distances[row * nx + column] = groundRange;
+            }
+        }
+        for (let row = 0; row <= ny; row++) {
+            for (let column = 0; column <= nx; column++) {
+                cornerLats[row * (nx + 1) + column] = grid.lats[0] + (row - 0.5) * resolution;
+                cornerLngs[row * (nx + 1) + column] = grid.lngs[0] + (column - 0.5) * resolution;
+            }
+        }
+    }
+    return { azimuths, distances, corners: { lats: cornerLats, lngs: cornerLngs } };
+}
+
+/**
+ * Barnes-weighted value of a tilt's gates around a point.
+ */
+function barnesSum(tilt, azimuth, distance, slantRange, dz, radius, kappa, acc) {
+    const { sweep } = tilt;
+    const { azimuths, ranges, data, mask } = sweep;
+    const numGates = sweep.dims[1];
+    const gateWidth = gateWidthOf(sweep);
+
+    const window = distance > radius ? Math.asin(radius / distance) * RAD_TO_DEG : 180;
+    const firstGate = Math.max(0, Math.floor((slantRange - radius - ranges[0]) / gateWidth));
+    const lastGate = Math.min(numGates - 1, Math.ceil((slantRange + radius - ranges[0]) / gateWidth));
+
+    for (const ray of raysWithin(sweep, azimuth, window)) {
+        // Offsets from the point across and along the ray
+        const cross = distance * Math.sin((azimuths[ray] - azimuth) * DEG_TO_RAD);
+        const pointAlong = slantRange * Math.cos((azimuths[ray] - azimuth) * DEG_TO_RAD);
+        for (let g = firstGate; g <= lastGate; g++) {
+            const index = ray * numGates + g;
+            if (mask[index] !== GATE_MASK.VALID) continue;
+            const along = ranges[g] + gateWidth / 2 - pointAlong;
+            const d2 = cross * cross + along * along + dz * dz;
+            if (d2 > radius * radius) continue;
+            const weight = Math.exp(-d2 / kappa);
+            acc.sum += data[index] * weight;
+            acc.weights += weight;
+        }
+    }
+}
+
+/**
+ * Value at one grid point.
+ * @param {Object[]} tilts - Tilts, lowest first
+ * @param {Float64Array} slantRanges - Per tilt, slant range to the column (km)
+ * @param {Float64Array} heights - Per tilt, beam height at the column (km)
+ */
+function samplePoint(method, tilts, azimuth, distance, slantRanges, heights, z, barnes) {
+    const halfBeam = (t) => slantRanges[t] * Math.sin(BEAM_WIDTH / 2 * DEG_TO_RAD);
+
+    if (method === 'nearest') {
+        let best = -1;
+        for (let t = 0; t < tilts.length; t++) {
+            if (best < 0 || Math.abs(heights[t] - z) < Math.abs(heights[best] - z)) best = t;
+        }
+        if (best < 0 || Math.abs(heights[best] - z) > halfBeam(best)) return NaN;
+        const gate = gateAt(tilts[best].sweep, azimuth, slantRanges[best]);
+        return gate && gate.mask === GATE_MASK.VALID ? gate.value : NaN;
+    }
+
+    if (method === 'bilinear') {
+        let above = 0;
+        while (above < tilts.length && heights[above] <= z) above++;
+        const below = above - 1;
+        const valueBelow = below >= 0 ? interpolateAt(tilts[below].sweep, azimuth, slantRanges[below]) : NaN;
+        const valueAbove = above < tilts.length ? interpolateAt(tilts[above].sweep, azimuth, slantRanges[above]) : NaN;
+
+        if (!Number.isNaN(valueBelow) && !Number.isNaN(valueAbove)) {
+            const fraction = (z - heights[below]) / (heights[above] - heights[below]);
+            return valueBelow + fraction * (valueAbove - valueBelow);
+        }
+        // Only one side: use it if the point is inside that beam
+        if (!Number.isNaN(valueBelow) && z - heights[below] <= halfBeam(below)) return valueBelow;
+        if (!Number.isNaN(valueAbove) && heights[above] - z <= halfBeam(above)) return valueAbove;
+        return NaN;
+    }
+
+    const acc = { sum: 0, weights: 0 };
+    for (let t = 0; t < tilts.length; t++) {
+        const dz = heights[t] - z;
+        if (Math.abs(dz) > barnes.radius) continue;
+        barnesSum(tilts[t], azimuth, distance, slantRanges[t], dz, barnes.radius, barnes.kappa, acc);
+    }
+    return acc.weights > 0 ? acc.sum / acc.weights : NaN;
+}
+
+/**
+ * Interpolate a moment of a volume onto a grid.
+ * @param {NexradLevel2} radar
+ * @param {string} moment - Decoded or derived moment, e.g. 'REF' or 'VEL_DEALIASED'
+ * @param {Object} grid - xyGrid(), latLngGrid() or lineGrid()
+ * @param {Object} options
+ *   - method: 'nearest', 'bilinear' (default) or 'barnes'
+ *   - site: { lat, lng } radar location (default: the volume's RVOL block)
+ *   - radius: Barnes radius of influence (km, default twice the cell size, at least 1)
+ *   - kappa: Barnes smoothing parameter (km², default (radius / 2)²)
+ * @returns {Object} { type, moment, method, nx, ny, nz, x, y | lats, lngs, heights,
+ *                     site, corners: { lats, lngs }, data: Float32Array };
+ *                     line grids add start, end, length and distances (km along the line)
+ */
+export function gridVolume(radar, moment, grid, options = {}) {
+    const { method = 'bilinear' } = options;
+    if (!GRID_METHODS.includes(method)) {
+        throw new Error(`Unknown gridding method '${method}' (expected ${GRID_METHODS.join(', ')})`);
+    }
+
+    const site = options.site ?? (radar.site ? { lat: radar.site.lat, lng: radar.site.lon } : null);
+    if (!site) {
+        throw new Error("Volume has no site location; pass options.site");
+    }
+
+    const tilts = productTilts(radar, moment).map(sweep => ({
+        elevation: sweep.elevation,
+        sweep: momentSweep(radar, sweep.index, moment)
+    }));
+    if (!tilts.length) {
+        throw new Error(`Volume has no '${moment}' sweeps`);
+    }
+
+    const cellSize = grid.type === 'latlng' ? grid.resolution * KM_PER_DEGREE : grid.resolution;
+    const radius = options.radius ?? Math.max(1, 2 * cellSize);
+    const barnes = { radius, kappa: options.kappa ?? (radius / 2) ** 2 };
+
+    const { nx, ny, heights: levels } = grid;
+    const nz = levels.length;
+    const { azimuths, distances, corners } = locateColumns(grid, site);
+    const data = new Float32Array(nx * ny * nz).fill(NaN);
+    const slantRanges = new Float64Array(tilts.length);
+    const heights = new Float64Array(tilts.length);
+
+    for (let p = 0; p < nx * ny; p++) {
+        const distance = distances[p];
+        for (let t = 0; t < tilts.length; t++) {
+            slantRanges[t] = slantRangeForGround(distance, tilts[t].elevation);
+            heights[t] = beamHeight(slantRanges[t], tilts[t].elevation) / 1000;
+        }
+        for (let k = 0; k < nz; k++) {
+            data[k * nx * ny + p] = samplePoint(method, tilts, azimuths[p], distance, slantRanges, heights, levels[k], barnes);
+        }
+    }
+
+    const axes = grid.type === 'xy'
+        ? { x: Float32Array.from(grid.x), y: Float32Array.from(grid.y) }
+        : { lats: Float32Array.from(grid.lats), lngs: Float32Array.from(grid.lngs) };
+    if (grid.type === 'line') {
+        Object.assign(axes, { start: grid.start, end: grid.end, length: grid.length, distances: Float32Array.from(grid.distances) });
+    }
+    return {
+        type: grid.type,
+        moment: moment,
+        method: method,
+        nx: nx,
+        ny: ny,
+        nz: nz,
+        ...axes,
+        resolution: grid.resolution,
+        heights: Float32Array.from(levels),
+        site: site,
+        corners: corners,
+        data: data
+    };
+}
+
+/**
+ * Constant-altitude PPI: a moment interpolated onto one height.
+ * @param {NexradLevel2} radar
+ * @param {string} moment
+ * @param {number} height - km above the radar
+ * @param {Object} grid - xyGrid() or latLngGrid(); its heights are replaced
+ * @param {Object} options - See gridVolume()
+ * @returns {Object} gridVolume() result with nz = 1
+ */
+export function cappi(radar, moment, height, grid = xyGrid(), options = {}) {
+    return gridVolume(radar, moment, { ...grid, heights: Float64Array.of(height) }, options);
+}
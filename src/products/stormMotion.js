@@ -0,0 +1,125 @@
+/**
+ * Storm motion - Storm-relative velocity and storm motion estimates
+ *
+ * Motions are meteorological: `direction` is where the storm moves from
+ * (degrees clockwise from north, "240/25" moves toward the northeast) and
+ * `speed` is in m/s.
+ *
+ * Storm-relative velocity (SRV) subtracts the part of the storm motion
+ * along each beam from the radial velocity, so rotation shows up as a
+ * couplet even in a fast-moving storm.
+ *
+ * estimateStormMotion() tracks the reflectivity-weighted centroid of the
+ * lowest tilt between two volumes of the same radar: a mean motion of the
+ * echoes, good for an isolated storm or a line moving as one. Cells
+ * forming or dying shift the centroid too, so implausibly fast results
+ * are rejected.
+ *
+ * Usage:
+ *   const motion = estimateStormMotion(previousRadar, radar);
+ *   const srv = stormRelativeSweep(momentSweep(radar, 1, 'VEL_DEALIASED'), motion);
+ */
+
+import {GATE_MASK} from "../decoder/NexradLevel2.js";
+import {groundRange} from "../geo/beamGeometry.js";
+
+export const MS_PER_KNOT = 0.514444;
+
+const DEFAULT_CENTROID_THRESHOLD = 30;   // dBZ
+const DEFAULT_MAX_SPEED = 50;            // m/s, about 100 kt
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Subtract a storm motion from a velocity sweep.
+ * @param {Object} sweep - VEL or VEL_DEALIASED getData()/normalizeSweep() result
+ * @param {Object} motion - { direction (degrees, from), speed (m/s) }
+ * @returns {Object} Result of the same shape with storm-relative `data`
+ */
+export function stormRelativeSweep(sweep, motion) {
+    const { azimuths, data, elevation } = sweep;
+    const [numRays, numGates] = sweep.dims;
+    const toward = motion.direction + 180;
+    const horizontal = motion.speed * Math.cos(elevation * DEG_TO_RAD);
+
+    const relative = new Float32Array(data.length);
+    for (let r = 0; r < numRays; r++) {
+        // Part of the storm motion away from the radar along this ray
+        const along = horizontal * Math.cos((toward - azimuths[r]) * DEG_TO_RAD);
+        for (let g = 0; g < numGates; g++) {
+            const i = r * numGates + g;
+            relative[i] = data[i] - along;
+        }
+    }
+    return { ...sweep, data: relative, stormMotion: motion };
+}
+
+/**
+ * Reflectivity-weighted echo centroid of a volume's lowest tilt.
+ * @param {NexradLevel2} radar
+ * @param {number} threshold - Weakest reflectivity counted (dBZ)
+ * @returns {Object|null} { x, y (km east/north of the radar), time }, null without echoes
+ */
+function reflectivityCentroid(radar, threshold) {
+    const [sweep] = radar.findSweeps({ moment: 'REF', includeSupplemental: false })
+        .sort((a, b) => a.elevation - b.elevation);
+    if (!sweep) return null;
+
+    const { azimuths, ranges, data, mask, elevation } = radar.getData(sweep.index, 'REF');
+    const numGates = ranges.length;
+    const distances = Float64Array.from(ranges, range => groundRange(range, elevation));
+
+    let x = 0;
+    let y = 0;
+    let weights = 0;
+    for (let r = 0; r < azimuths.length; r++) {
+        const east = Math.sin(azimuths[r] * DEG_TO_RAD);
+        const north = Math.cos(azimuths[r] * DEG_TO_RAD);
+        for (let g = 0; g < numGates; g++) {
+            const i = r * numGates + g;
+            if (mask[i] !== GATE_MASK.VALID || data[i] < threshold) continue;
+            // Linear Z, so the cores dominate
+            const weight = 10 ** (data[i] / 10);
+            x += weight * distances[g] * east;
+            y += weight * distances[g] * north;
+            weights += weight;
+        }
+    }
+    if (!weights) return null;
+    return { x: x / weights, y: y / weights, time: sweep.startTime ?? radar.datetime };
+}
+
+/**
+ * Storm motion from the echo centroid shift between two volumes of the
+ * same radar.
+ * @param {NexradLevel2} previous - Earlier volume
+ * @param {NexradLevel2} current - Later volume
+ * @param {Object} options
+ *   - threshold: Weakest reflectivity counted (dBZ, default 30)
+ *   - maxSpeed: Fastest plausible motion (m/s, default 50)
+ * @returns {Object} { direction (degrees, from), speed (m/s) }
+ */
+export function estimateStormMotion(previous, current, options = {}) {
+    const { threshold = DEFAULT_CENTROID_THRESHOLD, maxSpeed = DEFAULT_MAX_SPEED } = options;
+    const before = reflectivityCentroid(previous, threshold);
+    const after = reflectivityCentroid(current, threshold);
+    if (!before || !after) {
+        throw new Error(`No echoes of ${threshold} dBZ or more to track`);
+    }
+
+    const seconds = (after.time - before.time) / 1000;
+    if (!(seconds > 0)) {
+        throw new Error("Volumes for a storm motion estimate must be in time order");
+    }
+
+    const dx = after.x - before.x;
+    const dy = after.y - before.y;
+    const speed = Math.hypot(dx, dy) * 1000 / seconds;
+    if (speed > maxSpeed) {
+        throw new Error(`Echoes moved ${Math.round(speed)} m/s, too fast for a storm motion (cells formed or died?)`);
+    }
+    return {
+        direction: (Math.atan2(dx, dy) * RAD_TO_DEG + 180 + 360) % 360,
+        speed: speed
+    };
+}
@@ -0,0 +1,267 @@
+/**
+ * Volume products - Derived fields built from every tilt of a volume
+ *
+ *   CREF  - Composite reflectivity: highest reflectivity above each point (dBZ)
+ *   ET    - Echo tops: highest beam center with at least 18 dBZ, above the radar (km)
+ *   VIL   - Vertically integrated liquid (kg/m²)
+ *   VILD  - VIL density: VIL divided by the echo top (g/m³)
+ *
+ * Products are computed on a polar grid of ground distances around the
+ * radar: every tilt is resampled to the grid's radials, and each grid cell
+ * takes the gate of each tilt whose beam passes above it. One tilt per
+ * elevation angle is used (the surveillance cut of split cuts, no SAILS or
+ * MRLE repeats) so layers are not counted twice.
+ *
+ * Results have the shape of NexradLevel2.getData(), with `ranges` holding
+ * ground distances (flagged by `groundRanges: true`) and `elevation` 0, so
+ * they render through RadarMapOverlay.loadData() like a moment (pass the
+ * result as options, and `moment: 'CREF'` etc. to get the product's
+ * palette).
+ *
+ * toCartesian() resamples a product onto a regular x/y grid for analysis
+ * or export.
+ *
+ * Usage:
+ *   const { CREF, ET } = computeProducts(radar);
+ *   overlay.loadData(CREF.azimuths, CREF.ranges, CREF.data, { moment: 'CREF', ...CREF });
+ */
+
+import {GATE_MASK, SAME_ELEVATION_TOLERANCE} from "../decoder/NexradLevel2.js";
+import {gateAt, gateWidthOf, resampleSweep} from "../decoder/sweepGrid.js";
+import {beamHeight, slantRangeForGround} from "../geo/beamGeometry.js";
+import {sourceMoments} from "./derivedMoments.js";
+
+export const PRODUCT_UNITS = {
+    CREF: 'dBZ',
+    ET: 'km',
+    VIL: 'kg/m²',
+    VILD: 'g/m³'
+};
+
+const DEFAULT_NUM_RADIALS = 720;
+const DEFAULT_CELL_SIZE = 1;           // km
+const DEFAULT_MAX_RANGE = 460;         // km
+const ECHO_TOP_THRESHOLD = 18;         // dBZ
+const VIL_MAX_REFLECTIVITY = 56;       // dBZ, caps hail contamination
+const VIL_COEFFICIENT = 3.44e-6;       // Greene & Clark (1972)
+
+/**
+ * One sweep with a moment per elevation angle, lowest first. Surveillance
+ * cuts are preferred, then the latest sweep.
+ * @param {NexradLevel2} radar
+ * @param {string} moment - Decoded or derived moment (see derivedMoments.js)
+ * @returns {Object[]} Sweeps from radar.sweeps
+ */
+export function productTilts(radar, moment = 'REF') {
+    const tilts = [];
+    const sources = sourceMoments(moment);
+    const sweeps = radar.findSweeps({ moment: sources[0], includeSupplemental: false })
+        .filter(sweep => sources.every(source => sweep.moments.includes(source)));
+    for (const sweep of sweeps) {
+        const same = tilts.findIndex(t => Math.abs(t.elevation - sweep.elevation) <= SAME_ELEVATION_TOLERANCE);
+        if (same < 0) {
+            tilts.push(sweep);
+        } else if (tilts[same].cutType !== 'surveillance' || sweep.cutType === 'surveillance') {
+            tilts[same] = sweep;
+        }
+    }
+    return tilts.sort((a, b) => a.elevation - b.elevation);
+}
+
+/**
+ * Reflectivity of every tilt above every grid cell.
+ * @returns {Object} { azimuths, ranges, numRadials, numCells, tilts: [{ elevation, values, heights }] }
+ *   values: Float32Array [radial * numCells + cell], NaN where the tilt has no data
+ *   heights: Float32Array per cell, beam height above the radar (km)
+ */
+function sampleColumns(radar, options) {
+    const {
+        numRadials = DEFAULT_NUM_RADIALS,
+        cellSize = DEFAULT_CELL_SIZE,
+        maxRange = DEFAULT_MAX_RANGE
+    } = options;
+
+    const numCells = Math.ceil(maxRange / cellSize);
+    const azimuths = Float32Array.from({ length: numRadials }, (_, i) => (i + 0.5) * 360 / numRadials);
+    const ranges = Float32Array.from({ length: numCells }, (_, i) => i * cellSize);
+
+    const tilts = productTilts(radar).map(sweep => {
+        // Resampled radials line up with the grid's, so only ranges need mapping
+        const sweepData = resampleSweep(radar.getData(sweep.index, 'REF'), numRadials);
+        const { elevation, data, mask } = sweepData;
+        const numGates = sweepData.dims[1];
+        const firstGate = sweepData.ranges[0];
+        const gateWidth = gateWidthOf(sweepData);
+
+        const values = new Float32Array(numRadials * numCells).fill(NaN);
+        const heights = new Float32Array(numCells);
+
+        for (let c = 0; c < numCells; c++) {
+            const slantRange = slantRangeForGround((c + 0.5) * cellSize, elevation);
+            heights[c] = beamHeight(slantRange, elevation) / 1000;
+
+            const g = Math.floor((slantRange - firstGate) / gateWidth);
+            if (g < 0 || g >= numGates) continue;
+            for (let r = 0; r < numRadials; r++) {
+                const index = r * numGates + g;
+                if (mask[index] === GATE_MASK.VALID) values[r * numCells + c] = data[index];
+            }
+        }
+        return { elevation, values, heights };
+    });
+
+    return { azimuths, ranges, numRadials, numCells, tilts };
+}
+
+/**
+ * getData()-shaped result for a product grid.
+ */
+function productResult(columns, name, data) {
+    const { azimuths, ranges, numRadials, numCells } = columns;
+    const mask = new Uint8Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        mask[i] = Number.isNaN(data[i]) ? GATE_MASK.NO_DATA : GATE_MASK.VALID;
+    }
+    return {
+        product: name,
+        units: PRODUCT_UNITS[name],
+        azimuths: azimuths,
+        ranges: ranges,
+        groundRanges: true,
+        elevation: 0,
+        dims: [numRadials, numCells],
+        data: data,
+        mask: mask,
+        beamWidths: new Float32Array(numRadials).fill(360 / numRadials),
+        nyquistVelocity: null,
+        nyquistVelocities: new Float32Array(numRadials).fill(NaN)
+    };
+}
+
+/**
+ * Build every product at once, sampling the volume only once.
+ * @param {NexradLevel2} radar
+ * @param {Object} options
+ *   - numRadials: Grid radials, 360 or 720 (default 720)
+ *   - cellSize: Grid spacing along the ground (km, default 1)
+ *   - maxRange: Grid extent (km, default 460)
+ *   - echoTopThreshold: Reflectivity defining echo tops (dBZ, default 18)
+ * @returns {Object} { CREF, ET, VIL, VILD }
+ */
+export function computeProducts(radar, options = {}) {
+    const { echoTopThreshold = ECHO_TOP_THRESHOLD } = options;
+    const columns = sampleColumns(radar, options);
+    const { tilts, numRadials, numCells } = columns;
+    const size = numRadials * numCells;
+    if (!tilts.length) {
+        throw new Error("Volume has no reflectivity sweeps");
+    }
+
+    const cref = new Float32Array(size).fill(NaN);
+    const tops = new Float32Array(size).fill(NaN);
+    const vil = new Float32Array(size).fill(NaN);
+    const vild = new Float32Array(size).fill(NaN);
+
+    for (let i = 0; i < size; i++) {
+        const cell = i % numCells;
+        let max = NaN;
+        let top = NaN;
+        let liquid = 0;
+        let any = false;
+        let below = null;   // { z, height } of the previous tilt with data
+
+        for (const tilt of tilts) {
+            const dbz = tilt.values[i];
+            if (Number.isNaN(dbz)) continue;
+            any = true;
+            const height = tilt.heights[cell];
+
+            if (!(dbz <= max)) max = dbz;
+            if (dbz >= echoTopThreshold) top = height;
+
+            // Trapezoid between consecutive tilts, in linear Z (mm⁶/m³)
+            const z = 10 ** (Math.min(dbz, VIL_MAX_REFLECTIVITY) / 10);
+            if (below) {
+                liquid += VIL_COEFFICIENT * ((below.z + z) / 2) ** (4 / 7) * (height - below.height) * 1000;
+            }
+            below = { z, height };
+        }
+
+        if (!any) continue;
+        cref[i] = max;
+        tops[i] = top;
+        vil[i] = liquid;
+        // kg/m² over km of depth is g/m³
+        if (top > 0) vild[i] = liquid / top;
+    }
+
+    return {
+        CREF: productResult(columns, 'CREF', cref),
+        ET: productResult(columns, 'ET', tops),
+        VIL: productResult(columns, 'VIL', vil),
+        VILD: productResult(columns, 'VILD', vild)
+    };
+}
+
+/**
+ * Composite reflectivity only.
+ * @param {NexradLevel2} radar
+ * @param {Object} options - See computeProducts()
+ * @returns {Object} getData()-shaped product
+ */
+export function compositeReflectivity(radar, options = {}) {
+    return computeProducts(radar, options).CREF;
+}
+
+/**
+ * Echo tops only.
+ * @param {NexradLevel2} radar
+ * @param {Object} options - See computeProducts()
+ * @returns {Object} getData()-shaped product
+ */
+export function echoTops(radar, options = {}) {
+    return computeProducts(radar, options).ET;
+}
+
+/**
+ * Resample a product onto a square grid centered on the radar.
+ * @param {Object} product - computeProducts() result entry
+ * @param {Object} options
+ *   - cellSize: Grid spacing (km, default 1)
+ *   - extent: Half-width of the grid (km, default: the product's range)
+ * @returns {Object} { product, units, width, height, cellSize, x, y, data }
+ *   x/y: Float32Array cell center offsets east/north of the radar (km);
+ *   data: Float32Array [row * width + column], rows from south to north
+ */
+export function toCartesian(product, options = {}) {
+    const { ranges } = product;
+    const productCell = ranges.length > 1 ? ranges[1] - ranges[0] : DEFAULT_CELL_SIZE;
+    const {
+        cellSize = DEFAULT_CELL_SIZE,
+        extent = ranges[ranges.length - 1] + productCell
+    } = options;
+
+    const count = Math.ceil(2 * extent / cellSize);
+    const x = Float32Array.from({ length: count }, (_, i) => -extent + (i + 0.5) * cellSize);
+    const data = new Float32Array(count * count).fill(NaN);
+
+    for (let row = 0; row < count; row++) {
+        for (let column = 0; column < count; column++) {
+            const distance = Math.hypot(x[column], x[row]);
+            const azimuth = (Math.atan2(x[column], x[row]) * 180 / Math.PI + 360) % 360;
+            const gate = gateAt(product, azimuth, distance);
+            if (gate && gate.mask === GATE_MASK.VALID) data[row * count + column] = gate.value;
+        }
+    }
+
+    return {
+        product: product.product,
+        units: product.units,
+        width: count,
+        height: count,
+        cellSize: cellSize,
+        x: x,
+        y: x.slice(),
+        data: data
+    };
+}
@@ -0,0 +1,90 @@
+/**
+ * BucketListingSource - HTTP source that enumerates volumes through an
+ * S3-style ListBucket endpoint
+ *
+ * Works against the Unidata bucket, a MinIO/local S3 mirror or a mock server
+ * that serves `ListBucketResult` XML for `?list-type=2&prefix=...`.
+ * Truncated listings are followed with the continuation token (V2) or, for
+ * endpoints that page by key, with V1 `marker` requests until every key
+ * under the prefix is collected.
+ */
+
+import {HttpVolumeSource} from "./httpSource.js";
+import {makeEntry, sortEntries} from "./volumeSource.js";
+
+// Real-time metadata files sit next to the volumes in the archive buckets
+const IGNORED_SUFFIXES = ['_MDM'];
+
+/**
+ * Parse an S3 ListBucketResult document.
+ * @param {string} xmlText
+ * @returns {Object} { keys: string[], isTruncated: boolean, nextToken: string|null, usesContinuationToken: boolean }
+ */
+export function parseListBucketResult(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error("Bucket listing is not valid XML");
+    }
+    const root = doc.documentElement;
+    if (root.localName === 'Error') {
+        const code = root.getElementsByTagName('Code')[0]?.textContent ?? 'Unknown';
+        throw new Error(`Bucket listing failed: ${code}`);
+    }
+    if (root.localName !== 'ListBucketResult') {
+        throw new Error(`Unexpected bucket listing root <${root.localName}>`);
+    }
+
+    const text = (tag) => root.getElementsByTagName(tag)[0]?.textContent ?? null;
+    const keys = Array.from(root.getElementsByTagName('Contents'))
+        .map(node => node.getElementsByTagName('Key')[0]?.textContent)
+        .filter(Boolean);
+
+    const isTruncated = text('IsTruncated') === 'true';
+    // V2 listings return a continuation token, V1 listings page by marker
+    const nextToken = text('NextContinuationToken') ?? text('NextMarker')
+        ?? (isTruncated && keys.length ? keys[keys.length - 1] : null);
+
+    return {
+        keys: keys,
+        isTruncated: isTruncated,
+        nextToken: isTruncated ? nextToken : null,
+        usesContinuationToken: text('NextContinuationToken') !== null
+    };
+}
+
+export class BucketListingSource extends HttpVolumeSource {
+    async list(station, date) {
+        const prefix = `${this.prefix(station, date)}/`;
+        const keys = [];
+        // Pages after the first are asked for with the parameter matching the
+        // listing version: V2 endpoints ignore `marker`, so marker pages are V1 requests
+        let pageQuery = '?list-type=2';
+        let previousToken = null;
+
+        while (true) {
+            const url = `${this.baseUrl}/${pageQuery}&prefix=${encodeURIComponent(prefix)}`;
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to list ${url} (${response.status} ${response.statusText})`);
+            }
+
+            const page = parseListBucketResult(await response.text());
+            keys.push(...page.keys);
+
+            if (!page.nextToken) break;
+            if (page.nextToken === previousToken) {
+                throw new Error(`Bucket listing of ${prefix} does not advance past ${page.nextToken}`);
+            }
+            previousToken = page.nextToken;
+            pageQuery = page.usesContinuationToken
+                ? `?list-type=2&continuation-token=${encodeURIComponent(page.nextToken)}`
+                : `?marker=${encodeURIComponent(page.nextToken)}`;
+        }
+
+        const entries = keys
+            .filter(key => !IGNORED_SUFFIXES.some(suffix => key.endsWith(suffix)))
+            .map(key => makeEntry(key));
+        return sortEntries(entries);
+    }
+}
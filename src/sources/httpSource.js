@@ -0,0 +1,105 @@
+/**
+ * HttpVolumeSource - Fetch volumes from any static HTTP server
+ *
+ * Volumes are addressed as `${baseUrl}/${prefix}/${filename}` where the
+ * prefix is expanded from a key template. The default template follows the
+ * Unidata bucket layout; local mirrors can rearrange the placeholders:
+ *
+ *   {station} - ICAO id (e.g. KDVN)
+ *   {yyyy}    - 4-digit UTC year
+ *   {mm}      - 2-digit UTC month
+ *   {dd}      - 2-digit UTC day
+ *
+ * Plain HTTP has no directory listing, so list() is not supported here;
+ * use BucketListingSource for servers that answer S3 ListBucket requests.
+ */
+
+import {makeEntry, VolumeSource} from "./volumeSource.js";
+
+export const UNIDATA_BUCKET_URL = 'https://unidata-nexrad-level2.s3.amazonaws.com';
+export const UNIDATA_KEY_TEMPLATE = '{yyyy}/{mm}/{dd}/{station}';
+
+export class HttpVolumeSource extends VolumeSource {
+    /**
+     * @param {string} baseUrl - Server root (no trailing slash needed)
+     * @param {Object} options
+     *   - keyTemplate: Prefix template (default: Unidata layout)
+     */
+    constructor(baseUrl = UNIDATA_BUCKET_URL, options = {}) {
+        super();
+        const { keyTemplate = UNIDATA_KEY_TEMPLATE } = options;
+
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.keyTemplate = keyTemplate;
+    }
+
+    /**
+     * Expand the key template for a station and UTC day.
+     * @param {string} station
+     * @param {Date} date
+     * @returns {string}
+     */
+    prefix(station, date) {
+        const values = {
+            station: station,
+            yyyy: String(date.getUTCFullYear()),
+            mm: String(date.getUTCMonth() + 1).padStart(2, '0'),
+            dd: String(date.getUTCDate()).padStart(2, '0'),
+        };
+        return this.keyTemplate.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in values)) {
+                throw new Error(`Unknown placeholder ${placeholder} in key template`);
+            }
+            return values[name];
+        });
+    }
+
+    /**
+     * Build an entry for a known filename, e.g. one picked from another index.
+     * @param {string} station
+     * @param {Date} date
+     * @param {string} filename
+     * @returns {Object}
+     */
+    entry(station, date, filename) {
+        return makeEntry(`${this.prefix(station, date)}/${filename}`);
+    }
+
+    /**
+     * Full URL for an entry's key.
+     * @param {Object} entry
+     * @returns {string}
+     */
+    url(entry) {
+        return `${this.baseUrl}/${entry.key}`;
+    }
+
+    async _request(entry) {
+        const url = this.url(entry);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url} (${response.status} ${response.statusText})`);
+        }
+        return response;
+    }
+
+    async fetch(entry) {
+        const response = await this._request(entry);
+        return {
+            buffer: await response.arrayBuffer(),
+            station: entry.station,
+            scanTime: entry.scanTime,
+            filename: entry.filename
+        };
+    }
+
+    async open(entry) {
+        const response = await this._request(entry);
+        return {
+            stream: response.body,
+            station: entry.station,
+            scanTime: entry.scanTime,
+            filename: entry.filename
+        };
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * LocalFileSource - Volumes picked from disk by drag-and-drop or a file input
+ *
+ * Files are kept in memory as File handles and only read when fetched.
+ * Selecting a directory (input with `webkitdirectory`) or dropping several
+ * files at once adds them all; list() then behaves like any other source.
+ *
+ * Usage:
+ *   const source = new LocalFileSource((entries) => { ... });
+ *   source.attachDropTarget(mapElement);
+ *   source.attachInput(fileInput);
+ */
+
+import {filterEntries, makeEntry, sortEntries, VolumeSource} from "./volumeSource.js";
+
+const ACCEPTED_EXTENSIONS = ['.v06', '.ar2v', '.gz', '.bz2'];
+
+/**
+ * Whether a file looks like a Level II volume, either by extension or by a
+ * station/timestamp name with no extension (as served by the archive buckets).
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isVolumeFile(file) {
+    const name = file.name.toLowerCase();
+    if (ACCEPTED_EXTENSIONS.some(ext => name.endsWith(ext))) return true;
+    return makeEntry(file.name).station !== null && !name.endsWith('_mdm');
+}
+
+export class LocalFileSource extends VolumeSource {
+    /**
+     * @param {Function} onFiles - Called with the new entries whenever files are added
+     */
+    constructor(onFiles = null) {
+        super();
+        this.onFiles = onFiles;
+        this._entries = [];
+    }
+
+    /**
+     * Add files (a FileList or array of File).
+     * @param {Iterable<File>} files
+     * @returns {Object[]} Entries created for the accepted files
+     */
+    addFiles(files) {
+        const added = [];
+        for (const file of files) {
+            if (!isVolumeFile(file)) continue;
+            const key = file.webkitRelativePath || file.name;
+            const entry = makeEntry(key, { file });
+            this._entries.push(entry);
+            added.push(entry);
+        }
+
+        sortEntries(this._entries);
+        if (added.length && this.onFiles) {
+            this.onFiles(sortEntries(added));
+        }
+        return added;
+    }
+
+    /**
+     * Accept files dropped onto an element.
+     * @param {HTMLElement} element
+     */
+    attachDropTarget(element) {
+        element.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+        });
+        element.addEventListener('drop', (event) => {
+            event.preventDefault();
+            this.addFiles(event.dataTransfer.files);
+        });
+    }
+
+    /**
+     * Accept files chosen through an <input type="file">.
+     * @param {HTMLInputElement} input
+     */
+    attachInput(input) {
+        input.addEventListener('change', () => {
+            this.addFiles(input.files);
+            input.value = '';
+        });
+    }
+
+    clear() {
+        this._entries = [];
+    }
+
+    /**
+     * List loaded files. Local files are not bound to a day, so the date
+     * only filters when the filename carries a timestamp.
+     * @param {string} station - ICAO id, or null for every file
+     * @param {Date} date - UTC day, or null for any day
+     * @returns {Promise<Object[]>}
+     */
+    async list(station = null, date = null) {
+        return filterEntries(this._entries, station, date);
+    }
+
+    async fetch(entry) {
+        return {
+            buffer: await entry.file.arrayBuffer(),
+            station: entry.station,
+            scanTime: entry.scanTime,
+            filename: entry.filename
+        };
+    }
+
+    async open(entry) {
+        return {
+            stream: entry.file.stream(),
+            station: entry.station,
+            scanTime: entry.scanTime,
+            filename: entry.filename
+        };
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * UrlListSource - Volumes given as a plain list of URLs
+ *
+ * For loops assembled elsewhere (a saved case, a list pasted by a user, a
+ * server-side index): each URL becomes an entry, with station and scan time
+ * parsed from its filename when it follows the archive naming.
+ *
+ * Usage:
+ *   const source = new UrlListSource([
+ *       'https://example.com/KDVN20250812_041552_V06',
+ *       'https://example.com/KDVN20250812_042130_V06'
+ *   ]);
+ *   const entries = await source.list('KDVN');
+ */
+
+import {filterEntries, makeEntry, sortEntries, VolumeSource} from "./volumeSource.js";
+
+export class UrlListSource extends VolumeSource {
+    /**
+     * @param {string[]} urls
+     */
+    constructor(urls = []) {
+        super();
+        this._entries = sortEntries(urls.map(url => makeEntry(url)));
+    }
+
+    /**
+     * List the URLs, optionally only those of one station and UTC day
+     * (URLs without a timestamp in their name always match).
+     * @param {string} station - ICAO id, or null for every URL
+     * @param {Date} date - UTC day, or null for any day
+     * @returns {Promise<Object[]>}
+     */
+    async list(station = null, date = null) {
+        return filterEntries(this._entries, station, date);
+    }
+
+    async _request(entry) {
+        const response = await fetch(entry.key);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${entry.key} (${response.status} ${response.statusText})`);
+        }
+        return response;
+    }
+
+    async fetch(entry) {
+        const response = await this._request(entry);
+        return {
+            buffer: await response.arrayBuffer(),
+            station: entry.station,
+            scanTime: entry.scanTime,
+            filename: entry.filename
+        };
+    }
+
+    async open(entry) {
+        const response = await this._request(entry);
+        return {
+            stream: response.body,
+            station: entry.station,
+            scanTime: entry.scanTime,
+            filename: entry.filename
+        };
+    }
+}
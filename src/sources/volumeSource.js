@@ -0,0 +1,144 @@
+/**
+ * VolumeSource - Base class for Level II volume providers
+ *
+ * A provider knows how to enumerate and fetch volumes for a station. Every
+ * provider hands the rest of the app the same shapes:
+ *
+ *   entry:  { key, filename, station, scanTime }          (from list())
+ *   volume: { buffer, station, scanTime, filename }       (from fetch())
+ *   stream: { stream, station, scanTime, filename }       (from open())
+ *
+ * where buffer is an ArrayBuffer ready for NexradLevel2 and scanTime is a
+ * Date parsed from the filename (null when the name carries no timestamp).
+ */
+
+// KDVN20250812_041552_V06, KTLX19990503_235621.gz, KFWS20110402_120004_V03.ar2v
+const FILENAME_PATTERN = /([A-Z]{4})(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})/;
+
+/**
+ * Extract station and scan time from a Level II filename.
+ * @param {string} filename
+ * @returns {Object} { station: string|null, scanTime: Date|null }
+ */
+export function parseVolumeFilename(filename) {
+    const match = FILENAME_PATTERN.exec(filename);
+    if (!match) return { station: null, scanTime: null };
+
+    const [, station, yyyy, mm, dd, hh, mi, ss] = match;
+    return {
+        station: station,
+        scanTime: new Date(Date.UTC(+yyyy, +mm - 1, +dd, +hh, +mi, +ss))
+    };
+}
+
+/**
+ * Strip any directory part from a key or path.
+ * @param {string} key
+ * @returns {string}
+ */
+export function basename(key) {
+    return key.substring(key.lastIndexOf('/') + 1);
+}
+
+/**
+ * Build a list entry from a key, filling station/time from the filename.
+ * @param {string} key
+ * @param {Object} extra - Additional properties merged into the entry
+ * @returns {Object}
+ */
+export function makeEntry(key, extra = {}) {
+    const filename = basename(key);
+    return { key, filename, ...parseVolumeFilename(filename), ...extra };
+}
+
+/**
+ * Sort entries by scan time, falling back to key order for unnamed files.
+ * @param {Object[]} entries
+ * @returns {Object[]}
+ */
+export function sortEntries(entries) {
+    return entries.sort((a, b) => {
+        if (a.scanTime && b.scanTime) return a.scanTime - b.scanTime;
+        return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+    });
+}
+
+/**
+ * Entries of one station and UTC day, for sources that hold their entries
+ * in memory. Entries whose name carries no station or timestamp always match.
+ * @param {Object[]} entries
+ * @param {string} station - ICAO id, or null for every station
+ * @param {Date} date - UTC day, or null for any day
+ * @returns {Object[]}
+ */
+export function filterEntries(entries, station = null, date = null) {
+    const day = date ? date.toISOString().slice(0, 10) : null;
+    return entries.filter(entry => {
+        if (station && entry.station && entry.station !== station) return false;
+        if (day && entry.scanTime && entry.scanTime.toISOString().slice(0, 10) !== day) return false;
+        return true;
+    });
+}
+
+export class VolumeSource {
+    /**
+     * List the volumes available for a station on a given UTC day.
+     * @param {string} station - ICAO id (e.g. "KDVN")
+     * @param {Date} date
+     * @returns {Promise<Object[]>} Entries sorted by scan time, oldest first
+     */
+    async list(station, date) {
+        throw new Error(`${this.constructor.name} does not support listing`);
+    }
+
+    /**
+     * Fetch a volume previously returned by list().
+     * @param {Object} entry
+     * @returns {Promise<Object>} { buffer, station, scanTime, filename }
+     */
+    async fetch(entry) {
+        throw new Error(`${this.constructor.name} does not support fetching`);
+    }
+
+    /**
+     * Open a volume as a byte stream for progressive decoding.
+     * Providers that can stream override this; the default fetches the
+     * whole volume first.
+     * @param {Object} entry
+     * @returns {Promise<Object>} { stream: ReadableStream, station, scanTime, filename }
+     */
+    async open(entry) {
+        const { buffer, ...metadata } = await this.fetch(entry);
+        return { stream: new Blob([buffer]).stream(), ...metadata };
+    }
+
+    /**
+     * Find the most recent volume for a station, looking back over
+     * previous days while the current one is still empty.
+     * @param {string} station
+     * @param {Date} date - Day to start from
+     * @param {number} lookbackDays - How many earlier days to try
+     * @returns {Promise<Object>} The newest entry
+     */
+    async latestEntry(station, date = new Date(), lookbackDays = 1) {
+        for (let daysBack = 0; daysBack <= lookbackDays; daysBack++) {
+            const day = new Date(date.getTime() - daysBack * 86400000);
+            const entries = await this.list(station, day);
+            if (entries.length) {
+                return entries[entries.length - 1];
+            }
+        }
+        throw new Error(`No volumes found for ${station}`);
+    }
+
+    /**
+     * Fetch the most recent volume for a station.
+     * @param {string} station
+     * @param {Date} date - Day to start from
+     * @param {number} lookbackDays - How many earlier days to try
+     * @returns {Promise<Object>}
+     */
+    async latest(station, date = new Date(), lookbackDays = 1) {
+        return this.fetch(await this.latestEntry(station, date, lookbackDays));
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Station Catalog
+ *
+ * Loads the NEXRAD site list from public/data/nexrad.json and places every
+ * site on the map through a MarkerCollection. The catalog is the single
+ * source of truth for radar positions: callers look a station up by id
+ * instead of typing coordinates in by hand.
+ *
+ * Station format (as stored in nexrad.json):
+ *   { id, name, elevation, tower, lat, lng, bounds: { sw: {lat, lng}, ne: {lat, lng} } }
+ *   - elevation: Site elevation above sea level (meters)
+ *   - tower: Antenna tower height above ground (meters)
+ *   - bounds: Box covering the radar's useful range
+ */
+
+const DEFAULT_CATALOG_URL = '/data/nexrad.json';
+
+export class StationCatalog {
+    /**
+     * @param {string} url - Location of the station list
+     */
+    constructor(url = DEFAULT_CATALOG_URL) {
+        this.url = url;
+        this._stations = [];
+        this._byId = new Map();
+    }
+
+    /**
+     * Fetch and index the station list.
+     * @returns {Promise<StationCatalog>}
+     */
+    async load() {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Failed to load station catalog (${response.status} ${response.statusText})`);
+        }
+
+        const stations = await response.json();
+        if (!Array.isArray(stations)) {
+            throw new Error("Station catalog must be an array of stations");
+        }
+
+        this._stations = stations;
+        this._byId = new Map(stations.map(s => [s.id, s]));
+        return this;
+    }
+
+    get stations() { return [...this._stations]; }
+
+    /**
+     * Look up a station by its ICAO id (e.g. "KDVN").
+     * @param {string} id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this._byId.get(id.toUpperCase());
+    }
+
+    /**
+     * Antenna height above sea level (meters) for a station.
+     * @param {Object} station
+     * @returns {number}
+     */
+    static antennaHeight(station) {
+        return station.elevation + station.tower;
+    }
+
+    /**
+     * Convert a station's coverage box to google.maps.LatLngBounds.
+     * @param {Object} station
+     * @returns {google.maps.LatLngBounds}
+     */
+    static toLatLngBounds(station) {
+        const { sw, ne } = station.bounds;
+        return new google.maps.LatLngBounds(
+            { lat: sw.lat, lng: sw.lng },
+            { lat: ne.lat, lng: ne.lng }
+        );
+    }
+
+    /**
+     * Place a marker for every station and report clicks.
+     * @param {MarkerCollection} markers
+     * @param {Function} onSelect - Called with the station object when its marker is clicked
+     */
+    addMarkers(markers, onSelect = null) {
+        for (const station of this._stations) {
+            markers.add(station.lat, station.lng, station);
+        }
+
+        if (onSelect) {
+            markers.onClick((markerObj) => onSelect(markerObj.properties));
+        }
+    }
+}
@@ -0,0 +1,100 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdir, mkdtemp, readdir, readFile, rm, writeFile} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import {dirname, join} from 'node:path';
+import {ChunkedVolumeAssembler, parseChunkName} from '../src/decoder/chunkedVolume.js';
+import {concatBytes, syntheticLevel2} from './helpers/level2Messages.js';
+
+/**
+ * Real-time chunks of a two-sweep volume: the start chunk holds the volume
+ * header and the first record, then one record per chunk, the last one 'E'.
+ * @returns {Object[]} [{ name, buffer }] in sequence order
+ */
+function volumeChunks(volumeNumber, time = '041552') {
+    const { header, records } = syntheticLevel2();
+    return records.map((record, i) => {
+        const type = i === 0 ? 'S' : i === records.length - 1 ? 'E' : 'I';
+        const bytes = i === 0 ? concatBytes(header, record) : record;
+        return {
+            name: `KDVN/${volumeNumber}/20250812-${time}-${String(i + 1).padStart(3, '0')}-${type}`,
+            buffer: bytes.buffer
+        };
+    });
+}
+
+test('parses chunk names', () => {
+    assert.deepEqual(parseChunkName('KTLX/585/20250812-041552-001-S'), {
+        station: 'KTLX',
+        volume: 585,
+        sequence: 1,
+        type: 'S',
+        time: new Date('2025-08-12T04:15:52Z')
+    });
+    assert.equal(parseChunkName('KTLX/585/20250812-041552-001-X'), null);
+});
+
+test('keys chunks by volume and sequence', () => {
+    const first = volumeChunks(585);
+    const second = volumeChunks(586, '042130');
+    const assembler = new ChunkedVolumeAssembler();
+    const add = (chunk) => assembler.addChunk(chunk.name, chunk.buffer);
+
+    // Nothing decodes before the start chunk
+    add(first[2]);
+    add(second[1]);
+    assert.deepEqual(assembler.volumeNumbers, [585, 586]);
+    assert.equal(assembler.getVolume(585), null);
+
+    // Chunk 3 waits for chunk 2
+    add(first[0]);
+    assert.equal(assembler.getVolume(585).getData(0, 'REF').dims[0], 12);
+    add(first[1]);
+    assert.equal(assembler.getVolume(585).getData(0, 'REF').dims[0], 36);
+
+    // Chunks of one volume don't feed the other, and repeats are ignored
+    add(first[1]);
+    add(second[0]);
+    assert.equal(assembler.getVolume(586).getData(0, 'REF').dims[0], 24);
+    assert.equal(assembler.getVolume(585).getData(0, 'REF').dims[0], 36);
+    assert.equal(assembler.getVolume().getData(0, 'REF').dims[0], 24);
+});
+
+test('advances the latest sweep and completes the volume with the end chunk', () => {
+    const updates = [];
+    const assembler = new ChunkedVolumeAssembler({ onUpdate: (info) => updates.push(info) });
+    const latest = [];
+
+    for (const chunk of volumeChunks(585)) {
+        assert.equal(assembler.isComplete(585), false);
+        assembler.addChunk(chunk.name, chunk.buffer);
+        latest.push(assembler.latestCompleteSweep()?.elevationNumber ?? null);
+    }
+
+    // Records of 12 rays: the first sweep ends in the third chunk
+    assert.deepEqual(latest, [null, null, 1, 1, 1, 2]);
+    assert.equal(assembler.isComplete(585), true);
+    assert.deepEqual(updates[updates.length - 1].completedSweeps, [1, 2]);
+    assert.equal(updates[updates.length - 1].isComplete, true);
+});
+
+test('loads a directory of chunk files', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'chunks-'));
+    try {
+        for (const chunk of volumeChunks(585)) {
+            await mkdir(join(dir, dirname(chunk.name)), { recursive: true });
+            await writeFile(join(dir, chunk.name), new Uint8Array(chunk.buffer));
+        }
+        await writeFile(join(dir, 'KDVN', 'README'), 'not a chunk');
+
+        // Out of order, as a listing may return them
+        const paths = (await readdir(dir, { recursive: true })).sort().reverse();
+        const assembler = new ChunkedVolumeAssembler();
+        await assembler.addDirectory(paths, (path) => readFile(join(dir, path)));
+
+        assert.equal(assembler.isComplete(585), true);
+        assert.deepEqual(assembler.getVolume(585).sweeps.map(sweep => sweep.elevation), [0.5, 1.5]);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,70 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {colorTableRange, colorTableToLUT, formatPalFile, parsePalFile} from '../src/displayer/colorTables.js';
+
+const VELOCITY_TABLE = `; Storm-relative velocity
+Product: BV
+Units: KTS
+Scale: 1.943844
+Step: 10
+RF: 119 0 125
+
+Color: -100 252 0 148 2 252 2
+Color4: -10 120 120 120 128
+SolidColor: 0 137 0 0
+Color4: 10 0 0 255 255 255 0 0 255
+Color: 100 255 255 255
+`;
+
+test('parses Color, Color4, SolidColor and RF entries', () => {
+    const table = parsePalFile(VELOCITY_TABLE);
+    assert.equal(table.product, 'BV');
+    assert.equal(table.moment, 'VEL');
+    assert.equal(table.units, 'KTS');
+    assert.equal(table.scale, 1.943844);
+    assert.equal(table.offset, 0);
+    assert.equal(table.step, 10);
+    assert.deepEqual(table.rangeFolded, [119, 0, 125, 255]);
+    assert.deepEqual(table.entries, [
+        { value: -100, color: [252, 0, 148, 255], endColor: [2, 252, 2, 255], solid: false },
+        { value: -10, color: [120, 120, 120, 128], endColor: null, solid: false },
+        { value: 0, color: [137, 0, 0, 255], endColor: null, solid: true },
+        { value: 10, color: [0, 0, 255, 255], endColor: [255, 0, 0, 255], solid: false },
+        { value: 100, color: [255, 255, 255, 255], endColor: null, solid: false }
+    ]);
+});
+
+test('round-trips through formatPalFile', () => {
+    const table = parsePalFile(VELOCITY_TABLE);
+    const text = formatPalFile(table);
+    assert.match(text, /^Color4: -10 120 120 120 128$/m);
+    assert.match(text, /^SolidColor: 0 137 0 0$/m);
+    assert.match(text, /^RF: 119 0 125$/m);
+    assert.deepEqual(parsePalFile(text), table);
+});
+
+test('builds a lookup table in data units', () => {
+    const table = parsePalFile(VELOCITY_TABLE);
+    const { minValue, maxValue } = colorTableRange(table);
+    assert.ok(Math.abs(minValue + 100 / 1.943844) < 1e-9);
+    assert.ok(Math.abs(maxValue - 100 / 1.943844) < 1e-9);
+
+    const lut = colorTableToLUT(table);
+    assert.equal(lut.length, 256);
+    assert.deepEqual(lut[0], [1, 1, 1, 0]);
+    // Index 1 is the first entry's color, the last index the last entry's
+    assert.deepEqual(lut[1], [252 / 255, 0, 148 / 255, 1]);
+    assert.deepEqual(lut[255], [1, 1, 1, 1]);
+
+    // Solid from 0 up to 10 kt, then blue fading to red
+    const indexOf = (knots) => Math.round(1 + (knots / 1.943844 - minValue) / (maxValue - minValue) * 254);
+    assert.deepEqual(lut[indexOf(5)], [137 / 255, 0, 0, 1]);
+    const fading = lut[indexOf(55)];
+    assert.ok(fading[0] > 0.3 && fading[0] < 0.7 && fading[2] > 0.3 && fading[2] < 0.7, `${fading}`);
+});
+
+test('rejects tables without colors or with a bad line', () => {
+    assert.throws(() => parsePalFile('Product: BR\n'), /no Color entries/);
+    assert.throws(() => parsePalFile('Color: 10 255\n'), /Line 1: expected 3 color components/);
+    assert.throws(() => parsePalFile('Color 10 255 0 0\n'), /Line 1: expected "Key: value"/);
+});
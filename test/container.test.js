@@ -0,0 +1,67 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {gzipSync} from 'fflate';
+import {detectContainer, unwrapVolume, unwrapVolumeStream} from '../src/decoder/container.js';
+import {NexradLevel2} from '../src/decoder/NexradLevel2.js';
+import {concatBytes, radialMessage, syntheticLevel2, volumeHeader} from './helpers/level2Messages.js';
+
+// volumeHeader() compressed with `bzip2 -9`
+const BZIP2_HEADER = Uint8Array.from(atob(
+    'QlpoOTFBWSZTWa6APQwAAAZeBUAAAAFxACQJkUBAACQAIAAxQ00wAETQ2oHkhZ0FAZk5MjRKnvh8XckU4UJCugD0MA=='
+), c => c.charCodeAt(0));
+
+// e.g. an error page served in place of the file
+const UNKNOWN = new TextEncoder().encode('<!DOCTYPE html><html></html>');
+
+function bareMessages() {
+    return concatBytes(...[0, 1, 2].map(i => radialMessage({
+        azimuth: i + 0.5,
+        elevation: 0.5,
+        elevationNumber: 1,
+        status: i === 0 ? 3 : i === 2 ? 4 : 1
+    })));
+}
+
+test('detects each container by its first bytes', () => {
+    const volume = concatBytes(volumeHeader(), ...syntheticLevel2().records);
+    assert.equal(detectContainer(volume), 'volume');
+    assert.equal(detectContainer(volumeHeader('ARCHIVE2')), 'volume');
+    assert.equal(detectContainer(gzipSync(volume)), 'gzip');
+    assert.equal(detectContainer(BZIP2_HEADER), 'bzip2');
+    assert.equal(detectContainer(bareMessages()), 'messages');
+    assert.equal(detectContainer(UNKNOWN), 'unknown');
+    assert.equal(detectContainer(new Uint8Array(0)), 'unknown');
+});
+
+test('unwraps gzip, bzip2 and gzip around bzip2', () => {
+    const { header, records } = syntheticLevel2();
+    const volume = concatBytes(header, ...records);
+    assert.deepEqual(new Uint8Array(unwrapVolume(gzipSync(volume).buffer)), volume);
+    assert.deepEqual(new Uint8Array(unwrapVolume(BZIP2_HEADER.slice().buffer)), volumeHeader());
+    assert.deepEqual(new Uint8Array(unwrapVolume(gzipSync(BZIP2_HEADER).buffer)), volumeHeader());
+});
+
+test('puts an ARCHIVE2 header in front of bare messages', () => {
+    const messages = bareMessages();
+    const file = new Uint8Array(unwrapVolume(messages.slice().buffer));
+    assert.equal(new TextDecoder().decode(file.subarray(0, 9)), 'ARCHIVE2.');
+    assert.deepEqual(file.subarray(24), messages);
+
+    const radar = new NexradLevel2(messages.slice().buffer);
+    assert.equal(radar.stationId, 'KDVN');
+    assert.equal(radar.getData(0, 'REF').dims[0], 3);
+});
+
+test('rejects unknown formats, naming their first bytes', () => {
+    assert.throws(() => unwrapVolume(UNKNOWN.slice().buffer),
+        /Unrecognized Level II file format \(starts with 3c 21 44 4f 43 54 59 50\)/);
+});
+
+test('unwraps streams the same way', async () => {
+    const { header, records } = syntheticLevel2();
+    const volume = concatBytes(header, ...records);
+    const stream = await unwrapVolumeStream(new Blob([gzipSync(volume)]).stream());
+    assert.deepEqual(new Uint8Array(await new Response(stream).arrayBuffer()), volume);
+
+    await assert.rejects(unwrapVolumeStream(new Blob([UNKNOWN]).stream()), /Unrecognized Level II file format/);
+});
@@ -0,0 +1,70 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {GATE_MASK} from '../src/decoder/NexradLevel2.js';
+import {normalizeSweep} from '../src/decoder/sweepGrid.js';
+import {dealiasSweep} from '../src/products/dealias.js';
+import {syntheticSweep} from './helpers/syntheticSweeps.js';
+
+const NYQUIST = 12;    // m/s
+const NUM_RAYS = 360;
+const NUM_GATES = 100;
+
+/**
+ * Sweep of true velocities `velocity(azimuth, range)` as a radar with
+ * NYQUIST would see them, plus the true values in the same normalized order.
+ */
+function foldedSweep(velocity) {
+    const trueSweep = syntheticSweep(velocity, { numRays: NUM_RAYS, numGates: NUM_GATES, nyquistVelocity: NYQUIST });
+    const fold = (v) => ((v + NYQUIST) % (2 * NYQUIST) + 2 * NYQUIST) % (2 * NYQUIST) - NYQUIST;
+    const sweep = { ...trueSweep, data: trueSweep.data.map(fold) };
+    return { sweep, truth: normalizeSweep(trueSweep) };
+}
+
+function assertUnfolded(result, truth) {
+    let wrong = 0;
+    for (let i = 0; i < truth.data.length; i++) {
+        if (Math.abs(result.data[i] - truth.data[i]) > 1e-3) wrong++;
+    }
+    assert.equal(wrong, 0, `${wrong} of ${truth.data.length} gates left folded`);
+}
+
+test('unfolds a ramp crossing both Nyquist limits', () => {
+    // -1.6 to +1.6 times the Nyquist velocity along every ray
+    const { sweep, truth } = foldedSweep((azimuth, range) => NYQUIST * (-1.6 + 3.2 * (range - 2) / 25));
+    assert.ok(truth.data.some(v => v > NYQUIST) && truth.data.some(v => v < -NYQUIST));
+
+    assertUnfolded(dealiasSweep(sweep), truth);
+});
+
+test('unfolds a wind field folding across rays', () => {
+    // 25 m/s from the west: folds twice around east and west
+    const { sweep, truth } = foldedSweep(azimuth => 25 * Math.sin(azimuth * Math.PI / 180));
+    assertUnfolded(dealiasSweep(sweep), truth);
+});
+
+test('takes the fold of uniform flow from a reference', () => {
+    const { sweep, truth } = foldedSweep(() => 30);
+
+    // Without a reference 30 m/s can't be told from its alias at 6 m/s
+    const unreferenced = dealiasSweep(sweep);
+    assert.ok(Math.abs(unreferenced.data[0] - 6) < 1e-3);
+
+    assertUnfolded(dealiasSweep(sweep, { reference: truth }), truth);
+});
+
+test('leaves gates without data out', () => {
+    const { sweep } = foldedSweep(() => 5);
+    sweep.mask[0] = GATE_MASK.NO_DATA;
+    sweep.data[0] = NaN;
+
+    const result = dealiasSweep(sweep);
+    const index = result.rayIndices.indexOf(0) * NUM_GATES;
+    assert.ok(Number.isNaN(result.data[index]));
+    assert.ok(Math.abs(result.data[index + 1] - 5) < 1e-3);
+});
+
+test('rejects raw codes and sweeps without a Nyquist velocity', () => {
+    const { sweep } = foldedSweep(() => 0);
+    assert.throws(() => dealiasSweep({ ...sweep, codes: new Uint8Array(1) }), /physical values/);
+    assert.throws(() => dealiasSweep({ ...sweep, nyquistVelocity: null, nyquistVelocities: new Float32Array(NUM_RAYS).fill(NaN) }), /Nyquist/);
+});
@@ -0,0 +1,100 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {GATE_MASK} from '../src/decoder/NexradLevel2.js';
+import {
+    classifyHydrometeors,
+    HYDROMETEOR_CLASSES,
+    qcReflectivity,
+    specificDifferentialPhase
+} from '../src/products/dualPol.js';
+import {seededNoise, syntheticSweep} from './helpers/syntheticSweeps.js';
+
+const NUM_RAYS = 10;
+const NUM_GATES = 120;
+
+/**
+ * Moment with `value(azimuth, range)` at every gate.
+ */
+function sweepOf(value, elevation = 0.5) {
+    return syntheticSweep(value, { numRays: NUM_RAYS, numGates: NUM_GATES, elevation });
+}
+
+function classCounts(result) {
+    const names = Object.fromEntries(Object.entries(HYDROMETEOR_CLASSES).map(([id, code]) => [code, id]));
+    const counts = {};
+    result.data.forEach((code, i) => {
+        const id = result.mask[i] === GATE_MASK.VALID ? names[code] : 'none';
+        counts[id] = (counts[id] ?? 0) + 1;
+    });
+    return counts;
+}
+
+test('KDP is half the range derivative of PHI, across the 360° wrap', () => {
+    const kdp = specificDifferentialPhase(sweepOf((azimuth, range) => (350 + 2 * range) % 360));
+    const middle = kdp.data.slice(20, 100);
+    for (const value of middle) assert.ok(Math.abs(value - 1) < 1e-3, `KDP ${value}`);
+});
+
+test('QC keeps rain and removes biological scatter and clutter', () => {
+    const noise = seededNoise();
+    const ref = sweepOf(() => 30);
+    const rain = qcReflectivity({
+        REF: ref,
+        RHO: sweepOf(() => 0.99),
+        ZDR: sweepOf(() => 0.8),
+        CFP: sweepOf(() => 0)
+    });
+    assert.equal(rain.mask.filter(m => m === GATE_MASK.VALID).length, NUM_RAYS * NUM_GATES);
+
+    const biological = qcReflectivity({ REF: ref, RHO: sweepOf(() => 0.5), ZDR: sweepOf(() => 2 + noise() * 8) });
+    assert.equal(biological.mask.filter(m => m === GATE_MASK.VALID).length, 0);
+
+    const clutter = qcReflectivity({ REF: ref, RHO: sweepOf(() => 0.99), CFP: sweepOf(() => 30) });
+    assert.equal(clutter.mask.filter(m => m === GATE_MASK.VALID).length, 0);
+});
+
+test('QC keeps strong echo with low correlation (hail)', () => {
+    const hail = qcReflectivity({ REF: sweepOf(() => 60), RHO: sweepOf(() => 0.8) });
+    assert.equal(hail.mask.filter(m => m === GATE_MASK.VALID).length, NUM_RAYS * NUM_GATES);
+});
+
+test('classifies rain, biological scatter and rain with hail', () => {
+    const noise = seededNoise();
+    const rain = classifyHydrometeors({
+        REF: sweepOf(() => 35),
+        ZDR: sweepOf(() => 1),
+        RHO: sweepOf(() => 0.99),
+        PHI: sweepOf((azimuth, range) => 60 + range)
+    });
+    assert.deepEqual(classCounts(rain), { RA: NUM_RAYS * NUM_GATES });
+
+    const biological = classifyHydrometeors({
+        REF: sweepOf(() => 15),
+        ZDR: sweepOf(() => 2 + noise() * 8),
+        RHO: sweepOf(() => 0.5),
+        PHI: sweepOf(() => noise() * 180)
+    });
+    // Noisy on purpose, so a stray gate may fall elsewhere
+    assert.ok(classCounts(biological).BI >= 0.95 * NUM_RAYS * NUM_GATES);
+
+    const hail = classifyHydrometeors({
+        REF: sweepOf(() => 60),
+        ZDR: sweepOf(() => 0.2),
+        RHO: sweepOf(() => 0.93),
+        PHI: sweepOf((azimuth, range) => 60 + 4 * range)
+    });
+    assert.deepEqual(classCounts(hail), { RH: NUM_RAYS * NUM_GATES });
+});
+
+test('the melting level separates rain from snow', () => {
+    const sweeps = {
+        REF: sweepOf(() => 25, 10),
+        ZDR: sweepOf(() => 0.2, 10),
+        RHO: sweepOf(() => 0.99, 10),
+        PHI: sweepOf(() => 60, 10)
+    };
+    // At 10° the beam passes 2 km at about 11.5 km range
+    const classes = classifyHydrometeors(sweeps, { meltingLevel: 2 });
+    assert.equal(classes.data[0], HYDROMETEOR_CLASSES.RA);
+    assert.equal(classes.data[NUM_GATES - 1], HYDROMETEOR_CLASSES.DS);
+});
@@ -0,0 +1,61 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {cappi, gridVolume, xyGrid} from '../src/products/gridding.js';
+import {heightAt, syntheticVolume} from './helpers/syntheticSweeps.js';
+
+const SITE = { lat: 41.61, lng: -90.58 };
+
+/**
+ * Volume of a 40 dBZ 0.5° tilt and a 50 dBZ 3.5° tilt out to 152 km slant range.
+ */
+function twoTiltVolume() {
+    return syntheticVolume([
+        { elevation: 0.5, value: () => 40 },
+        { elevation: 3.5, value: () => 50 }
+    ], { numGates: 600 });
+}
+
+/**
+ * Ground distance of every cell of an xyGrid() level, with its index.
+ */
+function cellsWithin(grid, minDistance, maxDistance) {
+    const cells = [];
+    for (let row = 0; row < grid.ny; row++) {
+        for (let column = 0; column < grid.nx; column++) {
+            const distance = Math.hypot(grid.x[column], grid.y[row]);
+            if (distance >= minDistance && distance <= maxDistance) cells.push({ index: row * grid.nx + column, distance });
+        }
+    }
+    return cells;
+}
+
+test('interpolates linearly in height between tilts', () => {
+    const grid = cappi(twoTiltVolume(), 'REF', 1, xyGrid({ extent: 100, resolution: 5 }), { site: SITE });
+    // Beyond about 75 km the 0.5° beam is above 1 km
+    const cells = cellsWithin(grid, 20, 70);
+    assert.ok(cells.length > 50);
+    for (const { index, distance } of cells) {
+        const below = heightAt(distance, 0.5);
+        const above = heightAt(distance, 3.5);
+        const expected = 40 + 10 * (1 - below) / (above - below);
+        assert.ok(Math.abs(grid.data[index] - expected) < 0.05, `${grid.data[index]} at ${distance} km, expected ${expected}`);
+    }
+});
+
+test('takes the nearest tilt only inside its beam', () => {
+    const radar = twoTiltVolume();
+    const grid = xyGrid({ extent: 100, resolution: 5, heights: [0.5, 6] });
+    const result = gridVolume(radar, 'REF', grid, { site: SITE, method: 'nearest' });
+    const size = grid.nx * grid.ny;
+    for (const { index, distance } of cellsWithin(grid, 30, 60)) {
+        assert.equal(result.data[index], 40, `at ${distance} km`);
+        // 6 km is well above the 3.5° beam this close
+        assert.ok(Number.isNaN(result.data[size + index]), `above the beam at ${distance} km`);
+    }
+});
+
+test('needs a site and a known method', () => {
+    const radar = twoTiltVolume();
+    assert.throws(() => cappi(radar, 'REF', 1, xyGrid({ extent: 20 })), /no site/);
+    assert.throws(() => cappi(radar, 'REF', 1, xyGrid({ extent: 20 }), { site: SITE, method: 'cubic' }), /Unknown gridding method/);
+});
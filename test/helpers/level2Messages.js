@@ -0,0 +1,150 @@
+/**
+ * Level II bytes for the tests: volume headers, Message 31 radials and
+ * uncompressed LDM records, laid out as in an archive file.
+ *
+ * Usage:
+ *   const { header, records } = syntheticLevel2({ sweeps: [0.5, 1.5] });
+ *   const radar = new NexradLevel2(concatBytes(header, ...records).buffer);
+ */
+
+export const JULIAN_DATE = 20312;          // 2025-08-11
+export const REF_SCALE = 2;
+export const REF_OFFSET = 66;
+
+const CTM_HEADER_SIZE = 12;
+const MSG_HEADER_SIZE = 16;
+const TEXT = new TextEncoder();
+
+/**
+ * Join byte arrays.
+ * @param {...Uint8Array} parts
+ * @returns {Uint8Array}
+ */
+export function concatBytes(...parts) {
+    const bytes = new Uint8Array(parts.reduce((n, part) => n + part.byteLength, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.byteLength;
+    }
+    return bytes;
+}
+
+/**
+ * 24-byte volume header.
+ * @param {string} version - e.g. 'AR2V0006' or 'ARCHIVE2'
+ */
+export function volumeHeader(version = 'AR2V0006', station = 'KDVN') {
+    const header = new Uint8Array(24);
+    header.set(TEXT.encode(`${version}.001`), 0);
+    const view = new DataView(header.buffer);
+    view.setUint32(12, JULIAN_DATE);
+    view.setUint32(16, 15000000);
+    header.set(TEXT.encode(station), 20);
+    return header;
+}
+
+/**
+ * A message behind its 12-byte CTM header.
+ * @param {number} type
+ * @param {Uint8Array} body
+ */
+export function messageFrame(type, body) {
+    const frame = new Uint8Array(CTM_HEADER_SIZE + MSG_HEADER_SIZE + body.byteLength);
+    const view = new DataView(frame.buffer);
+    view.setUint16(CTM_HEADER_SIZE, Math.ceil((MSG_HEADER_SIZE + body.byteLength) / 2));
+    view.setUint8(CTM_HEADER_SIZE + 3, type);
+    view.setUint16(CTM_HEADER_SIZE + 4, JULIAN_DATE);
+    view.setUint32(CTM_HEADER_SIZE + 6, 15000000);
+    view.setUint16(CTM_HEADER_SIZE + 12, 1);
+    view.setUint16(CTM_HEADER_SIZE + 14, 1);
+    frame.set(body, CTM_HEADER_SIZE + MSG_HEADER_SIZE);
+    return frame;
+}
+
+/**
+ * Message 31 body with one REF block of 2 km + 0.25 km gates.
+ * @param {Object} radial - { azimuth, elevation, elevationNumber, status, time (ms of day),
+ *                          gates, dbz: (azimuth, gate) => dBZ }
+ */
+export function radialMessage(radial) {
+    const { azimuth, elevation, elevationNumber, status, time = 15000000, gates = 100, dbz = () => 20 } = radial;
+    const block = new Uint8Array(28 + gates);
+    const blockView = new DataView(block.buffer);
+    block.set(TEXT.encode('DREF'), 0);
+    blockView.setUint16(8, gates);
+    blockView.setUint16(10, 2125);
+    blockView.setUint16(12, 250);
+    blockView.setUint8(19, 8);
+    blockView.setFloat32(20, REF_SCALE);
+    blockView.setFloat32(24, REF_OFFSET);
+    for (let g = 0; g < gates; g++) {
+        block[28 + g] = Math.round(dbz(azimuth, g) * REF_SCALE + REF_OFFSET);
+    }
+
+    const header = new Uint8Array(36);
+    const view = new DataView(header.buffer);
+    header.set(TEXT.encode('KDVN'), 0);
+    view.setUint32(4, time);
+    view.setUint16(8, JULIAN_DATE);
+    view.setFloat32(12, azimuth);
+    view.setUint8(20, 1);
+    view.setUint8(21, status);
+    view.setUint8(22, elevationNumber);
+    view.setFloat32(24, elevation);
+    view.setUint16(30, 1);
+    view.setUint32(32, header.byteLength);
+    return messageFrame(31, concatBytes(header, block));
+}
+
+/**
+ * Uncompressed LDM record: negative size, then the frames.
+ * @param {...Uint8Array} frames
+ */
+export function ldmRecord(...frames) {
+    const body = concatBytes(...frames);
+    const size = new Uint8Array(4);
+    new DataView(size.buffer).setInt32(0, -body.byteLength);
+    return concatBytes(size, body);
+}
+
+/**
+ * A volume as its header and LDM records.
+ * @param {Object} options
+ *   - sweeps: Elevation angles, one sweep each (default [0.5, 1.5])
+ *   - numRays: Rays per sweep (default 36)
+ *   - raysPerRecord: (default 12)
+ *   - gates, dbz: See radialMessage()
+ * @returns {Object} { header, records: Uint8Array[] }
+ */
+export function syntheticLevel2(options = {}) {
+    const { sweeps = [0.5, 1.5], numRays = 36, raysPerRecord = 12, gates, dbz } = options;
+    const records = [];
+    let time = 15000000;
+
+    sweeps.forEach((elevation, s) => {
+        const last = s === sweeps.length - 1;
+        let frames = [];
+        for (let i = 0; i < numRays; i++) {
+            let status = 1;
+            if (i === 0) status = s === 0 ? 3 : 0;
+            else if (i === numRays - 1) status = last ? 4 : 2;
+            frames.push(radialMessage({
+                azimuth: (i + 0.5) * 360 / numRays,
+                elevation,
+                elevationNumber: s + 1,
+                status,
+                time: time += 50,
+                gates,
+                dbz
+            }));
+            if (frames.length === raysPerRecord) {
+                records.push(ldmRecord(...frames));
+                frames = [];
+            }
+        }
+        if (frames.length) records.push(ldmRecord(...frames));
+    });
+
+    return { header: volumeHeader(), records };
+}
@@ -0,0 +1,98 @@
+/**
+ * Synthetic sweeps and volumes for the tests, shaped like
+ * NexradLevel2.getData() results and the parts of NexradLevel2 that the
+ * products use.
+ *
+ * Usage:
+ *   const sweep = syntheticSweep((azimuth, range) => range < 50 ? 40 : NaN);
+ *   const radar = syntheticVolume([{ elevation: 0.5, value: () => 40 }]);
+ */
+
+import {GATE_MASK} from '../../src/decoder/NexradLevel2.js';
+import {beamHeight, slantRangeForGround} from '../../src/geo/beamGeometry.js';
+
+export const FIRST_GATE = 2;       // km
+export const GATE_WIDTH = 0.25;    // km
+
+/**
+ * Sweep with `value(azimuth, range)` at every gate; NaN values are NO_DATA.
+ * @param {Function} value - (azimuth (degrees), range (km)) => number
+ * @param {Object} options
+ *   - azimuths: Ray azimuths in order (default numRays rays, 1° apart from 0.5°)
+ *   - numRays: (default 360)
+ *   - numGates: (default 100)
+ *   - elevation: (default 0.5)
+ *   - nyquistVelocity: m/s, for VEL (default null)
+ * @returns {Object} getData()-shaped sweep
+ */
+export function syntheticSweep(value, options = {}) {
+    const { numRays = 360, numGates = 100, elevation = 0.5, nyquistVelocity = null } = options;
+    const azimuths = options.azimuths
+        ? Float32Array.from(options.azimuths)
+        : Float32Array.from({ length: numRays }, (_, i) => i + 0.5);
+    const ranges = Float32Array.from({ length: numGates }, (_, g) => FIRST_GATE + g * GATE_WIDTH);
+    const data = new Float32Array(azimuths.length * numGates);
+    const mask = new Uint8Array(azimuths.length * numGates);
+
+    for (let r = 0; r < azimuths.length; r++) {
+        for (let g = 0; g < numGates; g++) {
+            const i = r * numGates + g;
+            data[i] = value(azimuths[r], ranges[g]);
+            mask[i] = Number.isNaN(data[i]) ? GATE_MASK.NO_DATA : GATE_MASK.VALID;
+        }
+    }
+    return {
+        azimuths,
+        ranges,
+        data,
+        mask,
+        dims: [azimuths.length, numGates],
+        elevation,
+        nyquistVelocity,
+        nyquistVelocities: new Float32Array(azimuths.length).fill(nyquistVelocity ?? NaN)
+    };
+}
+
+/**
+ * Volume of one moment, standing in for NexradLevel2 with sweeps,
+ * findSweeps(), getMomentsForSweep() and getData().
+ * @param {Object[]} cuts - { elevation, value, cutType = 'surveillance' } per sweep,
+ *                          value as for syntheticSweep()
+ * @param {Object} options - syntheticSweep() options, plus
+ *   - moment: (default 'REF')
+ *   - time: Volume and sweep start time (Date, default null)
+ * @returns {Object}
+ */
+export function syntheticVolume(cuts, options = {}) {
+    const { moment = 'REF', time = null } = options;
+    const data = cuts.map(cut => syntheticSweep(cut.value, { ...options, elevation: cut.elevation }));
+    const sweeps = cuts.map(({ elevation, cutType = 'surveillance' }, index) =>
+        ({ index, elevation, cutType, moments: [moment], startTime: time }));
+    return {
+        datetime: time,
+        sweeps,
+        findSweeps: () => sweeps,
+        getMomentsForSweep: () => [moment],
+        getData: (index) => data[index]
+    };
+}
+
+/**
+ * Beam height above a ground distance.
+ * @param {number} distance - km
+ * @param {number} elevation - degrees
+ * @returns {number} km
+ */
+export function heightAt(distance, elevation) {
+    return beamHeight(slantRangeForGround(distance, elevation), elevation) / 1000;
+}
+
+/**
+ * Deterministic noise in [0, 1) for textured fields. Create one per test
+ * so results don't depend on test order.
+ * @param {number} seed
+ * @returns {Function} () => number
+ */
+export function seededNoise(seed = 1) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
@@ -0,0 +1,42 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {estimateStormMotion, stormRelativeSweep} from '../src/products/stormMotion.js';
+import {syntheticSweep, syntheticVolume} from './helpers/syntheticSweeps.js';
+
+/**
+ * Volume whose lowest tilt has one 45 dBZ echo 5 km across centered at
+ * x, y (km east and north of the radar).
+ */
+function volumeWithEcho(x, y, time) {
+    const echo = (azimuth, range) => {
+        const angle = azimuth * Math.PI / 180;
+        return Math.hypot(range * Math.sin(angle) - x, range * Math.cos(angle) - y) < 2.5 ? 45 : NaN;
+    };
+    return syntheticVolume([{ elevation: 0.5, value: echo }], { numGates: 400, time });
+}
+
+const start = new Date('2025-05-01T20:00:00Z');
+const fiveMinutesLater = new Date(start.getTime() + 300000);
+
+test('estimates the motion of a tracked echo', () => {
+    // 6 km east and 6 km north in 5 minutes: from 225° at 28.3 m/s
+    const motion = estimateStormMotion(volumeWithEcho(20, 30, start), volumeWithEcho(26, 36, fiveMinutesLater));
+    assert.ok(Math.abs(motion.direction - 225) < 2, `direction ${motion.direction}`);
+    assert.ok(Math.abs(motion.speed - 28.3) < 1, `speed ${motion.speed}`);
+});
+
+test('rejects volumes out of time order and implausible speeds', () => {
+    assert.throws(() => estimateStormMotion(volumeWithEcho(20, 30, fiveMinutesLater), volumeWithEcho(26, 36, start)),
+        /time order/);
+    // 60 km in 5 minutes is a new cell, not storm motion
+    assert.throws(() => estimateStormMotion(volumeWithEcho(20, 30, start), volumeWithEcho(80, 30, fiveMinutesLater)),
+        /too fast/);
+});
+
+test('subtracts the storm motion along each beam', () => {
+    const velocities = { 45: 30, 225: -30, 135: 0 };
+    const sweep = syntheticSweep(azimuth => velocities[azimuth], { azimuths: [45, 225, 135], numGates: 1, elevation: 0 });
+    // Moving toward 45° at 30 m/s: away from the radar at 45°, toward it at 225°
+    const relative = stormRelativeSweep(sweep, { direction: 225, speed: 30 });
+    for (const value of relative.data) assert.ok(Math.abs(value) < 1e-6);
+});
@@ -0,0 +1,88 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {GATE_MASK} from '../src/decoder/NexradLevel2.js';
+import {normalizeSweep, resampleSweep} from '../src/decoder/sweepGrid.js';
+import {syntheticSweep} from './helpers/syntheticSweeps.js';
+
+const NUM_GATES = 4;
+
+/**
+ * Sweep with the given ray azimuths in arrival order, every gate of a ray
+ * holding the ray's arrival index.
+ */
+function sweepAt(azimuths) {
+    const sweep = syntheticSweep(() => 0, { azimuths, numGates: NUM_GATES });
+    for (let r = 0; r < azimuths.length; r++) sweep.data.fill(r, r * NUM_GATES, (r + 1) * NUM_GATES);
+    return sweep;
+}
+
+/**
+ * 1° rays from `start` around the circle, skipping azimuths in `gaps`.
+ */
+function rays(start, gaps = []) {
+    return Array.from({ length: 360 }, (_, i) => (start + i) % 360)
+        .filter(azimuth => !gaps.some(([from, to]) => azimuth >= from && azimuth < to));
+}
+
+test('sorts rays by azimuth and keeps the last of repeated radials', () => {
+    // Starts at 100.5° and overlaps its start by three rays
+    const azimuths = [...rays(100.5), 100.6, 101.4, 102.5];
+    const sweep = normalizeSweep(sweepAt(azimuths));
+
+    assert.equal(sweep.dims[0], 360);
+    for (let i = 1; i < 360; i++) assert.ok(sweep.azimuths[i] > sweep.azimuths[i - 1]);
+
+    const at = (azimuth) => Array.from(sweep.azimuths).findIndex(a => Math.abs(a - azimuth) < 1e-3);
+    for (const [azimuth, arrival] of [[100.6, 360], [101.4, 361], [102.5, 362], [0.5, 260]]) {
+        const i = at(azimuth);
+        assert.ok(i >= 0, `ray at ${azimuth}°`);
+        assert.equal(sweep.rayIndices[i], arrival);
+        assert.equal(sweep.data[i * NUM_GATES], arrival);
+    }
+    assert.equal(at(100.5), -1);
+});
+
+test('takes beam widths from neighboring rays, not across gaps', () => {
+    // 0.5° rays between 200° and 210°, nothing between 10° and 20°
+    const halfDegree = Array.from({ length: 20 }, (_, i) => 200.25 + i * 0.5);
+    const azimuths = [...rays(0.5, [[10, 20], [200, 210]]), ...halfDegree];
+    const sweep = normalizeSweep(sweepAt(azimuths));
+    const widthAt = (azimuth) => sweep.beamWidths[Array.from(sweep.azimuths).findIndex(a => Math.abs(a - azimuth) < 1e-3)];
+
+    assert.equal(widthAt(100.5), 1);
+    assert.equal(widthAt(205.25), 0.5);
+    // Between a 1° and a 0.5° neighbor
+    assert.equal(widthAt(200.25), 0.625);
+    // Next to the gap: only the neighbor on the other side counts
+    assert.equal(widthAt(9.5), 1);
+    assert.equal(widthAt(20.5), 1);
+});
+
+test('resamples onto 720 radials with missing radials made explicit', () => {
+    const sweep = resampleSweep(sweepAt(rays(0.5, [[10, 20]])), 720);
+
+    assert.deepEqual(sweep.dims, [720, NUM_GATES]);
+    assert.equal(sweep.azimuths[0], 0.25);
+    assert.equal(sweep.azimuths[719], 359.75);
+    assert.ok(sweep.beamWidths.every(width => width === 0.5));
+
+    // Each 1° ray fills the two 0.5° radials it covers
+    assert.equal(sweep.rayIndices[0], 0);
+    assert.equal(sweep.rayIndices[1], 0);
+    assert.equal(sweep.rayIndices[2], 1);
+
+    // 10° to 20° is missing
+    for (let i = 20; i < 40; i++) {
+        assert.equal(sweep.rayIndices[i], -1);
+        assert.ok(sweep.mask.subarray(i * NUM_GATES, (i + 1) * NUM_GATES).every(m => m === GATE_MASK.NO_DATA));
+        assert.ok(Number.isNaN(sweep.data[i * NUM_GATES]));
+    }
+    assert.equal(sweep.rayIndices[40], 10);
+});
+
+test('resamples onto 360 radials and rejects other counts', () => {
+    const sweep = resampleSweep(sweepAt(rays(0.5)), 360);
+    assert.equal(sweep.dims[0], 360);
+    assert.deepEqual(Array.from(sweep.rayIndices.slice(0, 3)), [0, 1, 2]);
+    assert.throws(() => resampleSweep(sweepAt(rays(0.5)), 100), /Unsupported radial count/);
+});
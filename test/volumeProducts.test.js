@@ -0,0 +1,40 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {GATE_MASK} from '../src/decoder/NexradLevel2.js';
+import {computeProducts, productTilts} from '../src/products/volumeProducts.js';
+import {heightAt, syntheticVolume} from './helpers/syntheticSweeps.js';
+
+// Uniform tilts out to 152 km slant range, with a Doppler cut repeating 0.5°
+const CUTS = [
+    { elevation: 0.5, value: () => 40 },
+    { elevation: 0.48, value: () => 60, cutType: 'doppler' },
+    { elevation: 3.5, value: () => 50 }
+];
+
+test('keeps one tilt per elevation, preferring surveillance cuts', () => {
+    const radar = syntheticVolume(CUTS, { numGates: 600 });
+    assert.deepEqual(productTilts(radar).map(sweep => sweep.index), [0, 2]);
+});
+
+test('builds composite reflectivity, echo tops, VIL and VIL density', () => {
+    const radar = syntheticVolume(CUTS, { numGates: 600 });
+    const { CREF, ET, VIL, VILD } = computeProducts(radar, { numRadials: 360, maxRange: 200 });
+    assert.equal(CREF.groundRanges, true);
+    assert.deepEqual(CREF.dims, [360, 200]);
+
+    // Cell 50 (50-51 km) of every radial is seen by both tilts
+    for (let r = 0; r < 360; r += 45) {
+        const i = r * 200 + 50;
+        assert.equal(CREF.data[i], 50);
+        assert.ok(Math.abs(ET.data[i] - heightAt(50.5, 3.5)) < 1e-3, `echo top ${ET.data[i]}`);
+        assert.ok(VIL.data[i] > 0);
+        assert.ok(Math.abs(VILD.data[i] - VIL.data[i] / ET.data[i]) < 1e-3);
+    }
+    // Beyond the last gate of both tilts there is nothing
+    assert.ok(Number.isNaN(CREF.data[190]));
+    assert.equal(CREF.mask[190], GATE_MASK.NO_DATA);
+});
+
+test('throws without reflectivity sweeps', () => {
+    assert.throws(() => computeProducts(syntheticVolume([])), /no reflectivity/);
+});